@@ -0,0 +1,602 @@
+#!/usr/bin/env node
+// Headless gear generation on top of the DOM-free core: the same geometry as the page, written as
+// SVG, DXF and a JSON dimension report. One gear from flags, or a batch from a CSV/JSON spec file;
+// a gear train's speeds and a ratio search; a planetary set; a worm drive; a load rating; a tolerance
+// budget; or a sheet of calibration coupons as SVG, DXF and STL.
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { basename, extname, join } from 'node:path';
+import { parseArgs } from 'node:util';
+import { SPEC_FIELDS, valueErrors, basisFromDiameter } from '../src/spec.js';
+import { designFromSpec, svgFromScene } from '../src/scene.js';
+import { dxfFromScene } from '../src/dxf.js';
+import { dimensionReport } from '../src/report.js';
+import { DESIGN_FORMAT, readDesign, parseDesignText } from '../src/design.js';
+import { computeTrain, solveTrain, trainLines, solutionLines } from '../src/train.js';
+import { computePlanetary, planetaryParts, planetaryLines } from '../src/planetary.js';
+import { computeWorm, wormParts, wormLines } from '../src/worm.js';
+import { MATERIALS, computeRating, ratingLines } from '../src/rating.js';
+import { computeTolerance, toleranceLines } from '../src/tolerance.js';
+import { computeCoupons, couponScene, couponSolid, couponLines } from '../src/coupon.js';
+import { stlBinary } from '../src/solid.js';
+
+const USAGE = `Usage:
+  gear-lab generate [--design FILE.json] [spec options] [--out FILE ...]
+  gear-lab batch SPECS.csv|SPECS.json [spec options] [--out-dir DIR] [--format svg,dxf,json]
+  gear-lab train [--design FILE.json] [spec options] [train options]
+  gear-lab planetary [--design FILE.json] [spec options] [planetary options] [--out FILE ...]
+  gear-lab worm [--design FILE.json] [spec options] [worm options] [--out FILE ...]
+  gear-lab rate [--design FILE.json] [spec options] [load options]
+  gear-lab tolerance [--design FILE.json] [spec options] [tolerance options] [--out FILE ...]
+  gear-lab coupons [--design FILE.json] [spec options] [coupon options] [--out FILE ...]
+
+Spec options (defaults as in the web form; angles in degrees):
+  --type external|internal|rack   -N, --teeth N          --units mm|in
+  --basis module|pitch            -m, --module MM        -P, --diametral-pitch PER_INCH
+  -D, --pitch-diameter D          sets the module (mm units) or diametral pitch (in) that gives this D
+  --phi, --pressure-angle DEG     --helix, --helix-angle DEG    --hand, --helix-hand right|left
+  -x, --profile-shift X           --profile involute|cycloidal   --cycloid-preset wheel|pinion|custom
+  --cycloid-mate N                --roll-addendum DIA    --roll-dedendum DIA (0 = auto)
+  --sector-mode off|span|teeth    --sector-start DEG     --sector-span DEG   --sector-teeth N
+  --sector-arm hub|none           --sector-stops on|off  (partial racks: end stops at the tip line)
+  and every other form field in kebab-case: --backlash, --addendum, --dedendum, --rack-length,
+  --rim-diameter, --rack-tip-radius, --tip-edge, --tip-edge-size, --rack-root-radius, --tip-relief,
+  --root-relief, --relief-basis, --relief-shape, --tip-relief-start, --root-relief-start,
+  --face-width, --samples, --bore-type, --bore, --key-standard, --flat-depth, --hub-diameter,
+  --web-width, --hole-count, --hole-shape
+  --design FILE          start from a design saved by the web app (flags still override it)
+
+Train options (train; the spec options set the tooth form and default size of every gear):
+  --train-stages "20:60, 15:30:45, 18:r72, s18:p27:r72 fix=carrier"   stages as in the web form
+  --train-input-speed RPM         (default 1000)
+  --train-target RATIO            search compound trains for n_in / n_out within --train-tolerance %
+  --train-solve-stages N (1-3)    --train-min-teeth N  --train-max-teeth N
+  --train-min-center A  --train-max-center A           per stage, 0 = no limit
+
+Planetary options (planetary; the spec describes the sun, planets and ring share its tooth form):
+  --planet-ring-teeth N (default 72)  --planet-count N (1-12, default 3)
+  --planet-teeth N       0 = auto, (Zr - Zs)/2 rounded down
+  --planet-shift X       planet profile shift; the ring's is solved to keep the set coaxial
+
+Worm options (worm; the spec describes the wheel: its module is the axial module, -N its teeth z2):
+  --worm-starts N (default 1)     --worm-size q|diameter
+  --worm-q Q (default 10)         --worm-diameter D1     worm pitch diameter, with --worm-size diameter
+  --worm-length B1       0 = auto   --worm-friction MU (default 0.05)
+
+Load options (rate; bending and contact stress of the spec's gear, --face-width required):
+  --load-mode torque|power        --load-torque NM (default 10)   --load-power KW (default 1)
+  --load-speed RPM (default 1000) --load-factor KA (default 1)
+  --load-material steel-c45|steel-42crmo4|steel-case|pom|nylon|pla|custom   fills the four below
+  --load-young E  --load-poisson NU  --load-bend-limit MPA  --load-contact-limit MPA
+  --load-min-bending SF (default 1.4)   --load-min-contact SH (default 1)
+  --pair-kind none|external|internal|rack  --pair-teeth N  --pair-shift X  --pair-center A
+                         the mate for the contact stress, as in the Mesh pair card (none = an identical gear)
+
+Tolerance options (tolerance; allowances, backlash and measurement limits for the spec's gear):
+  --tol-system iso|agma (default iso)   --tol-grade N (ISO 1328-1, 1-12, default 7)
+  --tol-quality Q        AGMA Q-number (5-15, default 10), with --tol-system agma
+  --tol-center FA        ± centre distance tolerance (default 0)
+  --tol-outline nominal|max|min        which material limit --out writes (default nominal)
+  --pair-*               the mate, as for rate
+
+Coupon options (coupons; a sheet of rack or gear segments, one value per coupon, engraved on it):
+  --coupon-kind rack|gear         --coupon-param backlash|thickness|profileShift
+  --coupon-start V  --coupon-step V  --coupon-count N (1-40)  --coupon-teeth N
+  --coupon-text H        label height, 0 = auto
+
+Output:
+  -o, --out FILE         .svg, .dxf or .json by extension (repeatable); no extension writes all three.
+                         Without --out, generate prints the JSON report.
+                         planetary: .svg or .dxf (one layer per part); without --out it prints the checks.
+                         worm: .svg or .dxf (wheel mid-plane and worm axial section); without --out it prints
+                         the worm and wheel dimensions.
+                         tolerance: .svg, .dxf or .json of the gear at --tol-outline; without --out it
+                         prints the budget.
+                         coupons: .svg, .dxf or .stl; without --out it prints the coupon list.
+  --out-dir DIR          batch: where files go (default: current directory), named by the "name" column
+  --format LIST          batch: which of svg,dxf,json to write (default: all)
+  --dxf-version R12|R2000   --dxf-units design|mm|in|none   --precision N   --reference on|off
+
+In a batch file, columns (CSV header) or keys (JSON objects) are the spec names above, in kebab- or
+camelCase, or the short N, m, P, D, phi, x. Flags given on the command line fill in whatever a row leaves out.
+A JSON batch may also list saved design files' contents.`;
+
+// Short names the CLI accepts besides the kebab-case field names.
+const ALIASES = { N: 'teeth', m: 'module', P: 'diametralPitch', D: 'pitchDiameter', phi: 'pressureAngle', x: 'profileShift', helix: 'helixAngle', hand: 'helixHand' };
+const kebab = (k) => k.replace(/[A-Z]/g, (ch) => '-' + ch.toLowerCase());
+const camel = (k) => k.replace(/-([a-z])/g, (_, ch) => ch.toUpperCase());
+
+const OPTIONS = {
+  out: { type: 'string', short: 'o', multiple: true },
+  'out-dir': { type: 'string' },
+  design: { type: 'string' },
+  format: { type: 'string' },
+  'dxf-version': { type: 'string' },
+  'dxf-units': { type: 'string' },
+  precision: { type: 'string' },
+  reference: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+  N: { type: 'string', short: 'N' },
+  m: { type: 'string', short: 'm' },
+  P: { type: 'string', short: 'P' },
+  D: { type: 'string', short: 'D' },
+  x: { type: 'string', short: 'x' },
+  phi: { type: 'string' },
+  helix: { type: 'string' },
+  hand: { type: 'string' },
+};
+// Besides the spec fields: a pitch diameter, turned into the basis that gives it (see withBasis).
+const INPUT_FIELDS = [...SPEC_FIELDS, 'pitchDiameter'];
+for(const f of INPUT_FIELDS) OPTIONS[kebab(f)] = { type: 'string' };
+const TRAIN_FIELDS = ['trainStages', 'trainInputSpeed', 'trainTarget', 'trainTolerance', 'trainSolveStages', 'trainMinTeeth', 'trainMaxTeeth', 'trainMinCenter', 'trainMaxCenter'];
+for(const f of TRAIN_FIELDS) OPTIONS[kebab(f)] = { type: 'string' };
+const PLANET_FIELDS = ['planetRingTeeth', 'planetCount', 'planetTeeth', 'planetShift'];
+for(const f of PLANET_FIELDS) OPTIONS[kebab(f)] = { type: 'string' };
+const WORM_FIELDS = ['wormStarts', 'wormSize', 'wormQ', 'wormDiameter', 'wormLength', 'wormFriction'];
+for(const f of WORM_FIELDS) OPTIONS[kebab(f)] = { type: 'string' };
+const COUPON_FIELDS = ['couponKind', 'couponParam', 'couponStart', 'couponStep', 'couponCount', 'couponTeeth', 'couponText'];
+for(const f of COUPON_FIELDS) OPTIONS[kebab(f)] = { type: 'string' };
+const LOAD_FIELDS = ['loadMode', 'loadTorque', 'loadPower', 'loadSpeed', 'loadFactor', 'loadMaterial', 'loadYoung', 'loadPoisson', 'loadBendLimit', 'loadContactLimit', 'loadMinBending', 'loadMinContact'];
+for(const f of LOAD_FIELDS) OPTIONS[kebab(f)] = { type: 'string' };
+const TOL_FIELDS = ['tolSystem', 'tolGrade', 'tolQuality', 'tolCenter', 'tolOutline'];
+for(const f of TOL_FIELDS) OPTIONS[kebab(f)] = { type: 'string' };
+const PAIR_FIELDS = ['pairKind', 'pairTeeth', 'pairShift', 'pairCenter'];
+for(const f of PAIR_FIELDS) OPTIONS[kebab(f)] = { type: 'string' };
+
+class UsageError extends Error {}
+
+function fieldName(key){
+  const k = ALIASES[key] || camel(key);
+  return INPUT_FIELDS.includes(k) ? k : null;
+}
+
+function specFromFlags(values){
+  const spec = {};
+  for(const [key, v] of Object.entries(values)){
+    const f = fieldName(key);
+    if(f) spec[f] = v;
+  }
+  return spec;
+}
+
+function designSpec(result, where){
+  // A saved design → spec for the gear and hub, plus its DXF, mate, load, tolerance, train, planetary, worm
+  // and coupon settings as flag defaults.
+  if(!result.design) throw new UsageError(result.errors.map(e => `${where}${e.field}: ${e.message}`).join('\n'));
+  const d = result.design;
+  const flags = {};
+  const map = { dxfVersion: 'dxf-version', dxfUnits: 'dxf-units', dxfPrecision: 'precision', dxfReference: 'reference' };
+  for(const [k, flag] of Object.entries(map)) if(d.export[k] !== undefined) flags[flag] = String(d.export[k]);
+  for(const f of PAIR_FIELDS) if(d.pair[f] !== undefined) flags[kebab(f)] = String(d.pair[f]);
+  for(const f of LOAD_FIELDS) if(d.load[f] !== undefined) flags[kebab(f)] = String(d.load[f]);
+  for(const f of TOL_FIELDS) if(d.tolerance[f] !== undefined) flags[kebab(f)] = String(d.tolerance[f]);
+  for(const f of TRAIN_FIELDS) if(d.train[f] !== undefined) flags[kebab(f)] = String(d.train[f]);
+  for(const f of PLANET_FIELDS) if(d.planetary[f] !== undefined) flags[kebab(f)] = String(d.planetary[f]);
+  for(const f of WORM_FIELDS) if(d.worm[f] !== undefined) flags[kebab(f)] = String(d.worm[f]);
+  for(const f of COUPON_FIELDS) if(d.coupon[f] !== undefined) flags[kebab(f)] = String(d.coupon[f]);
+  return { spec: { ...d.gear, ...d.hub }, flags };
+}
+
+function specFromRow(row){
+  // Blank cells fall back to the defaults rather than reading as 0; "name" only names the files.
+  if(row && (row.format === DESIGN_FORMAT || row.version !== undefined)){
+    const { name = null, ...design } = row;
+    return { name, spec: {}, design };
+  }
+  const spec = {};
+  let name = null;
+  for(const [key, v] of Object.entries(row)){
+    if(v === '' || v === null || v === undefined) continue;
+    if(key === 'name'){ name = String(v); continue; }
+    spec[fieldName(key) || key] = v;
+  }
+  return { name, spec };
+}
+
+function parseCsv(text){
+  // RFC 4180-ish: quoted fields may hold commas, quotes ("") and newlines. First row is the header.
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for(let i=0;i<text.length;i++){
+    const ch = text[i];
+    if(quoted){
+      if(ch === '"' && text[i+1] === '"'){ field += '"'; i++; }
+      else if(ch === '"') quoted = false;
+      else field += ch;
+    } else if(ch === '"') quoted = true;
+    else if(ch === ','){ row.push(field); field = ''; }
+    else if(ch === '\n' || ch === '\r'){
+      if(ch === '\r' && text[i+1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += ch;
+  }
+  if(field !== '' || row.length) { row.push(field); rows.push(row); }
+
+  const live = rows.filter(r => r.some(v => v.trim() !== ''));
+  if(!live.length) return [];
+  const header = live[0].map(h => h.trim());
+  return live.slice(1).map(r => Object.fromEntries(header.map((h, i) => [h, (r[i] ?? '').trim()])));
+}
+
+async function readBatch(file){
+  const text = await readFile(file, 'utf8');
+  if(extname(file).toLowerCase() === '.json'){
+    const data = JSON.parse(text);
+    const rows = Array.isArray(data) ? data : data.gears;
+    if(!Array.isArray(rows)) throw new UsageError(`${file}: expected an array of specs or { "gears": [...] }`);
+    return rows;
+  }
+  return parseCsv(text);
+}
+
+function dxfOptions(scene, opts){
+  return {
+    version: opts['dxf-version'] === 'R2000' ? 'R2000' : 'R12',
+    units: !opts['dxf-units'] || opts['dxf-units'] === 'design' ? scene.units : opts['dxf-units'],
+    precision: opts.precision !== undefined ? Math.floor(Number(opts.precision)) : 6,
+  };
+}
+
+function sceneOutputs(scene, opts){
+  const withRefs = opts.reference !== 'off';
+  return {
+    svg: () => svgFromScene(scene, { reference: withRefs }),
+    dxf: () => dxfFromScene(withRefs ? scene : { ...scene, circles: [], lines: [] }, dxfOptions(scene, opts)),
+  };
+}
+
+function outputs(design, opts){
+  const { inp, c, hub, scene } = design;
+  return {
+    ...sceneOutputs(scene, opts),
+    json: () => JSON.stringify(dimensionReport(inp, c, hub, design.diagnostics), null, 2) + '\n',
+  };
+}
+
+const orList = (items) => items.length > 1 ? `${items.slice(0, -1).join(', ')} or ${items[items.length - 1]}` : items.join('');
+
+async function writeOutputs(files, out, { bare = false } = {}){
+  // Each --out file by its extension; with bare, a name without one gets every kind.
+  for(const file of files){
+    const ext = extname(file).slice(1).toLowerCase();
+    if(!ext && bare){
+      for(const kind of Object.keys(out)) await writeFile(`${file}.${kind}`, out[kind]());
+      continue;
+    }
+    const kinds = orList(Object.keys(out).map(k => `.${k}`));
+    if(!out[ext]) throw new UsageError(`${file}: unknown output type "${ext ? `.${ext}` : '(none)'}" (use ${kinds})`);
+    await writeFile(file, out[ext]());
+  }
+}
+
+function withBasis(spec){
+  // A size given without --basis picks it (-P alone means a diametral pitch). D is derived from the
+  // basis now; a given D picks the module / diametral pitch that reproduces it.
+  const { pitchDiameter, ...rest } = spec;
+  if(rest.basis === undefined && rest.diametralPitch !== undefined && rest.module === undefined) rest.basis = 'pitch';
+  if(pitchDiameter === undefined) return { spec: rest, errors: [] };
+  if(!(Number(pitchDiameter) > 0)) return { spec: rest, errors: [{ field: 'pitchDiameter', message: `pitch diameter must be > 0 (got "${pitchDiameter}")` }] };
+  return { spec: { ...rest, ...basisFromDiameter(rest, pitchDiameter) }, errors: [] };
+}
+
+const say = (list, where) => list.map(e => `${where}${kebab(e.field)}: ${e.message}`).join('\n');
+
+function reportDiagnostics(diagnostics, where = '--'){
+  // Errors stop the command, warnings go to stderr.
+  const errors = diagnostics.filter(d => d.level === 'error');
+  if(errors.length) throw new UsageError(say(errors, where));
+  const warnings = diagnostics.filter(d => d.level === 'warning');
+  if(warnings.length) process.stderr.write(say(warnings, where).replace(/^/gm, 'warning: ') + '\n');
+}
+
+function designOrThrow(given, where){
+  // Malformed values, then the geometry diagnostics: errors stop this gear, warnings go to stderr.
+  const { spec, errors: dErrors } = withBasis(given);
+  const invalid = [...dErrors, ...valueErrors(spec)];
+  if(invalid.length) throw new UsageError(say(invalid, where));
+  const design = designFromSpec(spec);
+  reportDiagnostics(design.diagnostics, where);
+  return design;
+}
+
+async function loadDesign(values){
+  // --design FILE under the command line → { given, flags }: the spec as typed (flags over the file's
+  // gear and hub) and the flags with the file's other settings as defaults.
+  let fromFile = { spec: {}, flags: {} };
+  if(values.design) fromFile = designSpec(parseDesignText(await readFile(values.design, 'utf8')), `${values.design}: `);
+  return { given: { ...fromFile.spec, ...specFromFlags(values) }, flags: { ...fromFile.flags, ...values } };
+}
+
+function flagReader(flags){
+  // Numbers (absent → fallback) and choices (anything else → usage error) from the merged flags.
+  return {
+    num: (flag, fallback) => flags[flag] === undefined ? fallback : Number(flags[flag]),
+    oneOf: (flag, choices, fallback) => {
+      const v = flags[flag] ?? fallback;
+      if(!choices.includes(v)) throw new UsageError(`--${flag}: expected ${orList(choices)}, got "${v}"`);
+      return v;
+    },
+  };
+}
+
+function parseMate({ num, oneOf }){
+  // The --pair-* mate as the Mesh pair card gives it; null (none) rates against an identical gear.
+  const kind = oneOf('pair-kind', ['none', 'external', 'internal', 'rack'], 'none');
+  return kind === 'none' ? null : {
+    kind, N2: Math.floor(num('pair-teeth', 36)), x2: num('pair-shift', 0) || 0, centerDistance: num('pair-center', 0) || 0,
+  };
+}
+
+async function generate(values){
+  const { given, flags } = await loadDesign(values);
+  const out = outputs(designOrThrow(given, '--'), flags);
+  if(!values.out){
+    process.stdout.write(out.json());
+    return;
+  }
+  await writeOutputs(values.out, out, { bare: true });
+}
+
+async function train(values){
+  const { given, flags } = await loadDesign(values);
+  const { spec } = withBasis(given);
+  designOrThrow(spec, '--');
+  const { num } = flagReader(flags);
+  const stages = flags['train-stages'] ?? '';
+  const target = num('train-target', 0);
+  if(!stages.trim() && !target) throw new UsageError('train needs --train-stages, --train-target or both');
+
+  const lines = [];
+  if(stages.trim()){
+    const t = computeTrain(spec, stages, { inputSpeed: num('train-input-speed', 1000) });
+    reportDiagnostics(t.diagnostics);
+    lines.push(...trainLines(t));
+  }
+  if(target){
+    const solved = solveTrain(spec, {
+      target,
+      tolerance: num('train-tolerance', 1),
+      stages: num('train-solve-stages', 2),
+      minTeeth: num('train-min-teeth', 18),
+      maxTeeth: num('train-max-teeth', 80),
+      minCenter: num('train-min-center', 0),
+      maxCenter: num('train-max-center', 0),
+    });
+    reportDiagnostics(solved.diagnostics);
+    if(lines.length) lines.push('');
+    lines.push(`Trains for ${target} : 1 (best first):`, ...solutionLines(solved, target, spec.units));
+  }
+  process.stdout.write(lines.join('\n') + '\n');
+}
+
+async function planetary(values){
+  const { given, flags } = await loadDesign(values);
+  const design = designOrThrow(given, '--');
+  const { num } = flagReader(flags);
+  const set = computePlanetary(design.inp, {
+    ringTeeth: num('planet-ring-teeth', 72),
+    count: num('planet-count', 3),
+    planetTeeth: num('planet-teeth', 0),
+    planetShift: num('planet-shift', 0),
+  });
+  reportDiagnostics(set.diagnostics);
+
+  if(!values.out){
+    process.stdout.write(planetaryLines(set, design.inp.units).join('\n') + '\n');
+    return;
+  }
+  const { scene } = planetaryParts(set, design.inp, design.hub, { cx: 0, cy: 0 });
+  await writeOutputs(values.out, sceneOutputs(scene, flags));
+}
+
+async function worm(values){
+  const { given, flags } = await loadDesign(values);
+  const design = designOrThrow(given, '--');
+  const { num, oneOf } = flagReader(flags);
+  const set = computeWorm(design.inp, design.c, {
+    starts: num('worm-starts', 1),
+    size: oneOf('worm-size', ['q', 'diameter'], 'q'),
+    q: num('worm-q', 10),
+    diameter: num('worm-diameter', 20),
+    length: num('worm-length', 0),
+    friction: num('worm-friction', 0.05),
+  });
+  reportDiagnostics(set.diagnostics);
+
+  if(!values.out){
+    process.stdout.write(wormLines(set, design.inp.units).join('\n') + '\n');
+    return;
+  }
+  const { scene } = wormParts(set, design.inp, design.c, design.hub, { cx: 0, cy: 0 });
+  await writeOutputs(values.out, sceneOutputs(scene, flags));
+}
+
+async function rate(values){
+  const { given, flags } = await loadDesign(values);
+  const design = designOrThrow(given, '--');
+  const read = flagReader(flags);
+  const { num, oneOf } = read;
+  // The command asks for a rating, so a design saved with the card off still rates under its torque.
+  const mode = oneOf('load-mode', ['off', 'torque', 'power'], 'torque') === 'power' ? 'power' : 'torque';
+  const material = oneOf('load-material', [...Object.keys(MATERIALS), 'custom'], 'steel-c45');
+  // A material named on the command line brings its own values; flags typed alongside still win.
+  const lib = MATERIALS[material];
+  const prop = (flag, key) => values[flag] === undefined && values['load-material'] && lib ? lib[key] : num(flag, lib ? lib[key] : NaN);
+  const mate = parseMate(read);
+  const set = computeRating(design.inp, design.c, {
+    mode,
+    torque: num('load-torque', 10),
+    power: num('load-power', 1),
+    speed: num('load-speed', 1000),
+    factor: num('load-factor', 1),
+    E: prop('load-young', 'E'),
+    nu: prop('load-poisson', 'nu'),
+    bendLimit: prop('load-bend-limit', 'bendLimit'),
+    contactLimit: prop('load-contact-limit', 'contactLimit'),
+    minBending: num('load-min-bending', 1.4),
+    minContact: num('load-min-contact', 1),
+  }, mate);
+  reportDiagnostics(set.diagnostics);
+  process.stdout.write(ratingLines(set, design.inp.units).join('\n') + '\n');
+}
+
+async function tolerance(values){
+  const { given, flags } = await loadDesign(values);
+  const design = designOrThrow(given, '--');
+  const read = flagReader(flags);
+  const { num, oneOf } = read;
+  // As with rate, the command itself asks for the budget: a design saved with the card off means ISO.
+  const system = oneOf('tol-system', ['none', 'iso', 'agma'], 'iso') === 'agma' ? 'agma' : 'iso';
+  const mate = parseMate(read);
+  const set = computeTolerance(design.inp, design.c, {
+    system,
+    grade: num('tol-grade', 7),
+    quality: num('tol-quality', 10),
+    center: num('tol-center', 0),
+    outline: oneOf('tol-outline', ['nominal', 'max', 'min'], 'nominal'),
+  }, mate);
+  reportDiagnostics(set.diagnostics);
+
+  if(!values.out){
+    process.stdout.write(toleranceLines(set, design.inp.units).join('\n') + '\n');
+    return;
+  }
+  // The material limit is the gear with that backlash on its thickness.
+  const part = set.offset === null ? design : designOrThrow({ ...given, backlash: String(set.offset) }, '--');
+  await writeOutputs(values.out, outputs(part, flags));
+}
+
+async function coupons(values){
+  const { given, flags } = await loadDesign(values);
+  const design = designOrThrow(given, '--');
+  const { num, oneOf } = flagReader(flags);
+
+  // A design saved with the sheet off still gives rack coupons; the rest default as in the web form.
+  const kind = !flags['coupon-kind'] || flags['coupon-kind'] === 'none' ? 'rack' : oneOf('coupon-kind', ['rack', 'gear']);
+  const set = computeCoupons(design.inp, {
+    kind,
+    param: oneOf('coupon-param', ['backlash', 'thickness', 'profileShift'], 'backlash'),
+    start: num('coupon-start', 0),
+    step: num('coupon-step', 0.05),
+    count: num('coupon-count', 5),
+    teeth: num('coupon-teeth', 4),
+    textHeight: num('coupon-text', 0),
+  });
+  reportDiagnostics(set.diagnostics);
+
+  if(!values.out){
+    process.stdout.write(couponLines(set).join('\n') + '\n');
+    return;
+  }
+  const scene = couponScene(set);
+  await writeOutputs(values.out, {
+    svg: () => svgFromScene(scene),
+    dxf: () => dxfFromScene(scene, dxfOptions(scene, flags)),
+    stl: () => {
+      const mesh = couponSolid(set);
+      if(!mesh) throw new UsageError('--face-width: needs a face width > 0 for an STL');
+      return new Uint8Array(stlBinary(mesh, 'coupons'));
+    },
+  });
+}
+
+async function batch(file, values){
+  const formats = (values.format || 'svg,dxf,json').split(',').map(f => f.trim().toLowerCase()).filter(Boolean);
+  const bad = formats.filter(f => !['svg', 'dxf', 'json'].includes(f));
+  if(bad.length) throw new UsageError(`--format: unknown ${bad.join(', ')}`);
+  const dir = values['out-dir'] || '.';
+  await mkdir(dir, { recursive: true });
+
+  const defaults = specFromFlags(values);
+  const rows = await readBatch(file);
+  const used = new Set();
+  let failed = 0;
+  for(let i=0;i<rows.length;i++){
+    const label = `${basename(file)} row ${i + 1}`;
+    try {
+      const { name, spec, design: saved } = specFromRow(rows[i]);
+      const fromFile = saved ? designSpec(readDesign(saved), `${label}: `) : { spec: {}, flags: {} };
+      const design = designOrThrow({ ...defaults, ...fromFile.spec, ...spec }, `${label}: `);
+      // Unnamed rows get a descriptive name; repeats get a counter so nothing is overwritten.
+      const base = (name || (design.inp.type === 'rack' ? `rack-${i + 1}` : `${design.inp.type}-N${design.inp.N}-${i + 1}`)).replace(/[^\w.-]+/g, '_');
+      let stem = base;
+      for(let k=2; used.has(stem); k++) stem = `${base}-${k}`;
+      used.add(stem);
+      const out = outputs(design, { ...values, ...fromFile.flags });
+      for(const kind of formats) await writeFile(join(dir, `${stem}.${kind}`), out[kind]());
+      process.stdout.write(`${stem}: ${formats.map(f => `${stem}.${f}`).join(', ')}\n`);
+    } catch(err){
+      if(!(err instanceof UsageError)) throw err;
+      failed++;
+      process.stderr.write(`${err.message}\n`);
+    }
+  }
+  if(failed){
+    process.stderr.write(`${failed} of ${rows.length} specs failed\n`);
+    process.exitCode = 1;
+  }
+}
+
+function attachNegatives(argv){
+  // parseArgs won't take "-0.3" as a value (it looks like a flag); glue it on so "-x -0.3" works.
+  const out = [];
+  for(let i=0;i<argv.length;i++){
+    const a = argv[i], next = argv[i+1];
+    if(/^-/.test(a) && !a.includes('=') && next !== undefined && /^-(\d|\.\d)/.test(next)){
+      out.push(a.startsWith('--') ? `${a}=${next}` : a + next);
+      i++;
+    } else out.push(a);
+  }
+  return out;
+}
+
+async function main(argv){
+  const { values, positionals } = parseArgs({ args: attachNegatives(argv), options: OPTIONS, allowPositionals: true, strict: true });
+  const [command, ...rest] = positionals;
+  if(values.help || !command){
+    process.stdout.write(USAGE + '\n');
+    return;
+  }
+  if(command === 'generate'){
+    if(rest.length) throw new UsageError(`generate takes no file arguments (got ${rest.join(' ')})`);
+    return generate(values);
+  }
+  if(command === 'batch'){
+    if(rest.length !== 1) throw new UsageError('batch needs exactly one CSV or JSON spec file');
+    return batch(rest[0], values);
+  }
+  if(command === 'train'){
+    if(rest.length) throw new UsageError(`train takes no file arguments (got ${rest.join(' ')})`);
+    return train(values);
+  }
+  if(command === 'planetary'){
+    if(rest.length) throw new UsageError(`planetary takes no file arguments (got ${rest.join(' ')})`);
+    return planetary(values);
+  }
+  if(command === 'worm'){
+    if(rest.length) throw new UsageError(`worm takes no file arguments (got ${rest.join(' ')})`);
+    return worm(values);
+  }
+  if(command === 'rate'){
+    if(rest.length) throw new UsageError(`rate takes no file arguments (got ${rest.join(' ')})`);
+    return rate(values);
+  }
+  if(command === 'tolerance'){
+    if(rest.length) throw new UsageError(`tolerance takes no file arguments (got ${rest.join(' ')})`);
+    return tolerance(values);
+  }
+  if(command === 'coupons'){
+    if(rest.length) throw new UsageError(`coupons takes no file arguments (got ${rest.join(' ')})`);
+    return coupons(values);
+  }
+  throw new UsageError(`unknown command "${command}"`);
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  // Bad flags, specs and files get a one-line message; anything else is a bug and keeps its stack.
+  const badArgs = String(err.code).startsWith('ERR_PARSE_ARGS');
+  const expected = badArgs || err instanceof UsageError || err.code === 'ENOENT' || err instanceof SyntaxError;
+  process.stderr.write(`gear-lab: ${expected ? err.message : err.stack}\n`);
+  if(badArgs) process.stderr.write('Run "gear-lab --help" for usage.\n');
+  process.exitCode = 1;
+});
@@ -1,6 +1,20 @@
-import { computeGear, buildExternalGearPath, buildInternalGearPath, buildRackPath, fmt, downloadText, copyTextToClipboard } from './gear.js';
-import { dxfFromPolylines } from './dxf.js';
+import { computeGear, buildExternalGearPath, buildInternalGearPath, buildRackPath, fmt } from './gear.js';
+import { downloadText, copyTextToClipboard } from './dom.js';
+import { dxfFromScene } from './dxf.js';
+import { DEFAULT_SPEC, SPEC_FIELDS, specToInputs, specToHub } from './spec.js';
+import { FORM_FIELDS, EXPORT_FIELDS, rescaleLengths, designFromForm, formFromDesign, parseDesignText, designToText, designToHash, designFromHash } from './design.js';
+import { rotatePolyline, referenceCircles, rackReferenceLines, gearPaths, addHubPaths, partScene, svgFromScene } from './scene.js';
+import { computePair, meshLayout } from './pair.js';
 import { bboxFromPolylines, fitScaleToViewBox } from './fit.js';
+import { extrudeOutline, stlAscii, stlBinary, objText } from './solid.js';
+import { computeHub } from './hub.js';
+import { computeTrain, solveTrain, solverChecks, trainLines, solutionLines } from './train.js';
+import { computePlanetary, planetaryParts, planetaryLines } from './planetary.js';
+import { computeWorm, wormParts, wormLines } from './worm.js';
+import { MATERIALS, computeRating, ratingLines } from './rating.js';
+import { computeTolerance, toleranceLines } from './tolerance.js';
+import { computeCoupons, couponScene, couponSolid, couponLines } from './coupon.js';
+import { diagnose, hasErrors, STANDARD_MODULES, ISO_54_SERIES_I, STANDARD_DIAMETRAL_PITCHES } from './diagnostics.js';
 
 const $ = (id) => document.getElementById(id);
 
@@ -10,15 +24,125 @@ function hydrateEls(){
     type: $('type'),
     units: $('units'),
     teeth: $('teeth'),
+    basis: $('basis'),
+    module: $('module'),
+    diametralPitch: $('diametralPitch'),
     pitchDiameter: $('pitchDiameter'),
     pressureAngle: $('pressureAngle'),
+    helixAngle: $('helixAngle'),
+    helixHand: $('helixHand'),
     backlash: $('backlash'),
+    profileShift: $('profileShift'),
+    profile: $('profile'),
+    cycloidPreset: $('cycloidPreset'),
+    cycloidMate: $('cycloidMate'),
+    rollAddendum: $('rollAddendum'),
+    rollDedendum: $('rollDedendum'),
     addendum: $('addendum'),
     dedendum: $('dedendum'),
     rackLength: $('rackLength'),
+    rimDiameter: $('rimDiameter'),
+    rackTipRadius: $('rackTipRadius'),
+    faceWidth: $('faceWidth'),
+    hubCard: $('hubCard'),
+    boreType: $('boreType'),
+    bore: $('bore'),
+    keyStandard: $('keyStandard'),
+    flatDepth: $('flatDepth'),
+    hubDiameter: $('hubDiameter'),
+    webWidth: $('webWidth'),
+    holeCount: $('holeCount'),
+    holeShape: $('holeShape'),
+    hubDims: $('hubDims'),
+    stlFormat: $('stlFormat'),
+    dxfVersion: $('dxfVersion'),
+    dxfUnits: $('dxfUnits'),
+    dxfPrecision: $('dxfPrecision'),
+    dxfReference: $('dxfReference'),
+    tipEdge: $('tipEdge'),
+    tipEdgeSize: $('tipEdgeSize'),
+    rackRootRadius: $('rackRootRadius'),
+    tipRelief: $('tipRelief'),
+    rootRelief: $('rootRelief'),
+    reliefBasis: $('reliefBasis'),
+    reliefShape: $('reliefShape'),
+    tipReliefStart: $('tipReliefStart'),
+    rootReliefStart: $('rootReliefStart'),
     samples: $('samples'),
 
+    sectorMode: $('sectorMode'),
+    sectorStart: $('sectorStart'),
+    sectorSpan: $('sectorSpan'),
+    sectorTeeth: $('sectorTeeth'),
+    sectorArm: $('sectorArm'),
+    sectorStops: $('sectorStops'),
+    sectorDims: $('sectorDims'),
+
+    pairKind: $('pairKind'),
+    pairTeeth: $('pairTeeth'),
+    pairShift: $('pairShift'),
+    pairCenter: $('pairCenter'),
+
+    loadMode: $('loadMode'),
+    loadTorque: $('loadTorque'),
+    loadPower: $('loadPower'),
+    loadSpeed: $('loadSpeed'),
+    loadFactor: $('loadFactor'),
+    loadMaterial: $('loadMaterial'),
+    loadYoung: $('loadYoung'),
+    loadPoisson: $('loadPoisson'),
+    loadBendLimit: $('loadBendLimit'),
+    loadContactLimit: $('loadContactLimit'),
+    loadMinBending: $('loadMinBending'),
+    loadMinContact: $('loadMinContact'),
+    loadDims: $('loadDims'),
+
+    tolSystem: $('tolSystem'),
+    tolGrade: $('tolGrade'),
+    tolQuality: $('tolQuality'),
+    tolCenter: $('tolCenter'),
+    tolOutline: $('tolOutline'),
+    tolDims: $('tolDims'),
+
+    planetMode: $('planetMode'),
+    planetRingTeeth: $('planetRingTeeth'),
+    planetCount: $('planetCount'),
+    planetTeeth: $('planetTeeth'),
+    planetShift: $('planetShift'),
+    planetDims: $('planetDims'),
+
+    wormMode: $('wormMode'),
+    wormStarts: $('wormStarts'),
+    wormSize: $('wormSize'),
+    wormQ: $('wormQ'),
+    wormDiameter: $('wormDiameter'),
+    wormLength: $('wormLength'),
+    wormFriction: $('wormFriction'),
+    wormDims: $('wormDims'),
+
+    trainStages: $('trainStages'),
+    trainInputSpeed: $('trainInputSpeed'),
+    trainTarget: $('trainTarget'),
+    trainTolerance: $('trainTolerance'),
+    trainSolveStages: $('trainSolveStages'),
+    trainMinTeeth: $('trainMinTeeth'),
+    trainMaxTeeth: $('trainMaxTeeth'),
+    trainMinCenter: $('trainMinCenter'),
+    trainMaxCenter: $('trainMaxCenter'),
+    trainDims: $('trainDims'),
+    trainResults: $('trainResults'),
+    btnSolveTrain: $('btnSolveTrain'),
+
+    couponKind: $('couponKind'),
+    couponParam: $('couponParam'),
+    couponStart: $('couponStart'),
+    couponStep: $('couponStep'),
+    couponCount: $('couponCount'),
+    couponTeeth: $('couponTeeth'),
+    couponText: $('couponText'),
+
     dims: $('dims'),
+    pairDims: $('pairDims'),
 
     svg: $('svg'),
     drawing: $('drawing'),
@@ -30,11 +154,23 @@ function hydrateEls(){
     btnCopyDims: $('btnCopyDims'),
     btnDownloadSVG: $('btnDownloadSVG'),
     btnDownloadDXF: $('btnDownloadDXF'),
+    btnDownloadSTL: $('btnDownloadSTL'),
+    btnDownloadOBJ: $('btnDownloadOBJ'),
+    btnSaveDesign: $('btnSaveDesign'),
+    btnOpenDesign: $('btnOpenDesign'),
+    btnCopyLink: $('btnCopyLink'),
+    designFile: $('designFile'),
+    designStatus: $('designStatus'),
+    diagnostics: $('diagnostics'),
 
     zoomIn: $('zoomIn'),
     zoomOut: $('zoomOut'),
     zoomReset: $('zoomReset'),
     viewport: $('viewport'),
+
+    meshControls: $('meshControls'),
+    meshPlay: $('meshPlay'),
+    meshAngle: $('meshAngle'),
   };
 }
 
@@ -43,20 +179,202 @@ let isPanning = false;
 let panStart = null;
 let autoFit = true;
 
+// Live mesh preview: rotating parts + contact markers, updated without a full redraw while animating.
+let mesh = null;
+let meshAnim = null;
+
+// What the DXF button writes: outlines (with the circles their lands follow) plus reference geometry.
+let dxfScene = null;
+
+// The planetary set on show (null when off or blocked).
+let planetSet = null;
+
+// The worm drive on show (null when off or blocked).
+let wormSet = null;
+
+// The tolerance budget on show (null when off or blocked); its offset, if any, replaces the Backlash field.
+let toleranceSet = null;
+
+// The coupon sheet on show (null when off); the SVG and STL/OBJ buttons export it instead of the part.
+let couponSet = null;
+
+// Units the length fields currently hold, so a switch knows what to convert from.
+let formUnits = 'mm';
+
+function fillStandardOptions(){
+  // The basis selects list the standard cutter sizes; a design with an odd size adds its own (applyForm).
+  const fill = (el, values, label, selected) => {
+    clearNode(el);
+    for(const v of values){
+      const opt = document.createElement('option');
+      opt.value = String(v);
+      opt.textContent = label(v);
+      el.append(opt);
+    }
+    el.value = String(selected);
+  };
+  fill(els.module, STANDARD_MODULES, (m) => `${m} mm${m >= 1 && !ISO_54_SERIES_I.includes(m) ? '  (series II)' : ''}`, DEFAULT_SPEC.module);
+  fill(els.diametralPitch, STANDARD_DIAMETRAL_PITCHES, (P) => `${P} /in`, DEFAULT_SPEC.diametralPitch);
+}
+
+function readSpec(){
+  // The form as a spec: every field by its id, as typed (see spec.js).
+  return Object.fromEntries(SPEC_FIELDS.map(id => [id, els[id].value]));
+}
+
+function readForm(){
+  // Everything a design file or link carries (see design.js).
+  return Object.fromEntries(FORM_FIELDS.map(id => [id, els[id].value]));
+}
+
+function applyForm(values){
+  for(const id of FORM_FIELDS){
+    const el = els[id];
+    const v = String(values[id]);
+    // A pressure angle off the usual three (or a module / pitch off the standard lists) gets its own
+    // option rather than an empty select.
+    if(el.tagName === 'SELECT' && ![...el.options].some(o => o.value === v)){
+      const opt = document.createElement('option');
+      opt.value = v;
+      opt.textContent = id === 'pressureAngle' ? `${v}°` : id === 'module' ? `${v} mm (non-standard)` : id === 'diametralPitch' ? `${v} /in (non-standard)` : v;
+      el.append(opt);
+    }
+    el.value = v;
+  }
+  formUnits = els.units.value;
+}
+
+function switchUnits(){
+  // mm ↔ in: convert every length so the part stays the same size; module and pitch are unit-bound.
+  applyForm(rescaleLengths(readForm(), formUnits, els.units.value));
+}
+
+function showDesignStatus(lines, isError = false){
+  els.designStatus.hidden = !lines.length;
+  els.designStatus.classList.toggle('outError', isError);
+  els.designStatus.textContent = lines.join('\n');
+}
+
+function syncHash(){
+  // Keep the current design in the address bar so a reload (or a copied link) reopens it.
+  const hash = designToHash(designFromForm(readForm()));
+  history.replaceState(null, '', `${location.pathname}${location.search}#${hash}`);
+}
+
+function loadDesign(result, source){
+  if(!result.design){
+    showDesignStatus([`Could not open ${source}; nothing was changed:`, ...result.errors.map(e => `  ${e.field}: ${e.message}`)], true);
+    return false;
+  }
+  applyForm(formFromDesign(result.design));
+  autoFit = true;
+  update();
+  syncHash();
+  const migrated = result.migratedFrom !== null ? ` (migrated from schema v${result.migratedFrom})` : '';
+  showDesignStatus([`Opened ${source}${migrated}.`]);
+  return true;
+}
+
 function readInputs(){
-  const type = els.type.value;
-  const units = els.units.value;
-  const N = Number(els.teeth.value);
-  const D = Number(els.pitchDiameter.value);
-  const phi = Number(els.pressureAngle.value) * Math.PI/180;
-  const backlash = Number(els.backlash.value);
-  const addendum = Number(els.addendum.value);
-  const dedendum = Number(els.dedendum.value);
-  const rackLength = Number(els.rackLength.value);
-  // thickness removed (2D-only)
-  const samples = Math.max(12, Math.floor(Number(els.samples.value) || 48));
+  return specToInputs(readSpec());
+}
+
+function readPair(){
+  return {
+    kind: els.pairKind.value,
+    N2: Math.floor(Number(els.pairTeeth.value)),
+    x2: Number(els.pairShift.value) || 0,
+    centerDistance: Number(els.pairCenter.value) || 0,
+  };
+}
+
+function readLoad(){
+  return {
+    mode: els.loadMode.value,
+    torque: Number(els.loadTorque.value),
+    power: Number(els.loadPower.value),
+    speed: Number(els.loadSpeed.value),
+    factor: Number(els.loadFactor.value),
+    E: Number(els.loadYoung.value),
+    nu: Number(els.loadPoisson.value),
+    bendLimit: Number(els.loadBendLimit.value),
+    contactLimit: Number(els.loadContactLimit.value),
+    minBending: Number(els.loadMinBending.value),
+    minContact: Number(els.loadMinContact.value),
+  };
+}
 
-  return { type, units, N, D, phi, backlash, addendum, dedendum, rackLength, samples };
+function applyMaterial(){
+  // A library pick fills in its values; 'custom' keeps whatever is typed.
+  const mat = MATERIALS[els.loadMaterial.value];
+  if(!mat) return;
+  els.loadYoung.value = String(mat.E);
+  els.loadPoisson.value = String(mat.nu);
+  els.loadBendLimit.value = String(mat.bendLimit);
+  els.loadContactLimit.value = String(mat.contactLimit);
+}
+
+function readTolerance(){
+  return {
+    system: els.tolSystem.value,
+    grade: Number(els.tolGrade.value),
+    quality: Number(els.tolQuality.value),
+    center: Number(els.tolCenter.value),
+    outline: els.tolOutline.value,
+  };
+}
+
+function withTolerance(inp){
+  // The part as drawn and exported: at the picked material limit rather than the Backlash field.
+  return toleranceSet && toleranceSet.offset !== null ? { ...inp, backlash: toleranceSet.offset } : inp;
+}
+
+function readHub(){
+  return specToHub(readSpec());
+}
+
+function readSolver(){
+  return {
+    target: Number(els.trainTarget.value),
+    tolerance: Number(els.trainTolerance.value),
+    stages: Number(els.trainSolveStages.value),
+    minTeeth: Number(els.trainMinTeeth.value),
+    maxTeeth: Number(els.trainMaxTeeth.value),
+    minCenter: Number(els.trainMinCenter.value) || 0,
+    maxCenter: Number(els.trainMaxCenter.value) || 0,
+  };
+}
+
+function readPlanetary(){
+  return {
+    ringTeeth: Number(els.planetRingTeeth.value),
+    count: Number(els.planetCount.value),
+    planetTeeth: Number(els.planetTeeth.value),
+    planetShift: Number(els.planetShift.value),
+  };
+}
+
+function readWorm(){
+  return {
+    starts: Number(els.wormStarts.value),
+    size: els.wormSize.value,
+    q: Number(els.wormQ.value),
+    diameter: Number(els.wormDiameter.value),
+    length: Number(els.wormLength.value),
+    friction: Number(els.wormFriction.value),
+  };
+}
+
+function readCoupons(){
+  return {
+    kind: els.couponKind.value,
+    param: els.couponParam.value,
+    start: Number(els.couponStart.value),
+    step: Number(els.couponStep.value),
+    count: Number(els.couponCount.value),
+    teeth: Number(els.couponTeeth.value),
+    textHeight: Number(els.couponText.value) || 0,
+  };
 }
 
 function setFieldVisibility(){
@@ -68,9 +386,79 @@ function setFieldVisibility(){
     : 'For gears: number of teeth.';
 
   els.pitchDiameter.closest('label').style.display = isRack ? 'none' : '';
+  els.module.closest('label').style.display = els.basis.value === 'module' ? '' : 'none';
+  els.diametralPitch.closest('label').style.display = els.basis.value === 'pitch' ? '' : 'none';
   els.addendum.closest('label').style.display = '';
   els.dedendum.closest('label').style.display = '';
   els.rackLength.closest('label').style.display = isRack ? '' : 'none';
+  els.helixHand.closest('label').style.display = Number(els.helixAngle.value) > 0 ? '' : 'none';
+  els.rimDiameter.closest('label').style.display = type === 'internal' ? '' : 'none';
+  els.hubCard.style.display = type === 'external' ? '' : 'none';
+  const boreType = els.boreType.value;
+  els.bore.closest('label').style.display = boreType === 'none' ? 'none' : '';
+  els.keyStandard.closest('label').style.display = boreType === 'keyway' ? '' : 'none';
+  els.flatDepth.closest('label').style.display = boreType === 'dflat' ? '' : 'none';
+  els.holeShape.closest('label').style.display = Number(els.holeCount.value) > 0 ? '' : 'none';
+  els.rackRootRadius.closest('label').style.display = isRack ? '' : 'none';
+  for(const id of ['tipEdge','tipEdgeSize','tipRelief','rootRelief','reliefBasis','reliefShape','tipReliefStart','rootReliefStart']){
+    els[id].closest('label').style.display = type === 'internal' ? 'none' : '';
+  }
+
+  // Cycloidal teeth (external gears only) swap the involute's settings for generating circles; the
+  // hidden ones are ignored (the helix angle stays: cycloidal gears are spur, diagnostics say so).
+  els.profile.closest('label').style.display = type === 'external' ? '' : 'none';
+  const cycloidal = type === 'external' && els.profile.value === 'cycloidal';
+  for(const id of ['cycloidPreset','cycloidMate','rollAddendum','rollDedendum']){
+    els[id].closest('label').style.display = cycloidal ? '' : 'none';
+  }
+  if(cycloidal){
+    for(const id of ['pressureAngle','profileShift','tipRelief','rootRelief','reliefBasis','reliefShape','tipReliefStart','rootReliefStart']){
+      els[id].closest('label').style.display = 'none';
+    }
+  }
+
+  // Sector: racks are centred on their length, so only the tooth count and the end stops apply.
+  const sectorMode = els.sectorMode.value;
+  els.sectorStart.closest('label').style.display = sectorMode !== 'off' && !isRack ? '' : 'none';
+  els.sectorSpan.closest('label').style.display = sectorMode === 'span' && !isRack ? '' : 'none';
+  els.sectorTeeth.closest('label').style.display = sectorMode === 'teeth' ? '' : 'none';
+  els.sectorArm.closest('label').style.display = sectorMode !== 'off' && type === 'external' ? '' : 'none';
+  els.sectorStops.closest('label').style.display = sectorMode !== 'off' && isRack ? '' : 'none';
+
+  const couponsOn = els.couponKind.value !== 'none';
+  for(const id of ['couponParam','couponStart','couponStep','couponCount','couponTeeth','couponText']){
+    els[id].closest('label').style.display = couponsOn ? '' : 'none';
+  }
+
+  const planetOn = els.planetMode.value === 'on' && !couponsOn;
+  for(const id of ['planetRingTeeth','planetCount','planetTeeth','planetShift']){
+    els[id].closest('label').style.display = els.planetMode.value === 'on' ? '' : 'none';
+  }
+
+  const wormOn = els.wormMode.value === 'on' && !couponsOn && !planetOn;
+  for(const id of ['wormStarts','wormSize','wormLength','wormFriction']){
+    els[id].closest('label').style.display = els.wormMode.value === 'on' ? '' : 'none';
+  }
+  els.wormQ.closest('label').style.display = els.wormMode.value === 'on' && els.wormSize.value === 'q' ? '' : 'none';
+  els.wormDiameter.closest('label').style.display = els.wormMode.value === 'on' && els.wormSize.value === 'diameter' ? '' : 'none';
+
+  const loadMode = els.loadMode.value;
+  for(const id of ['loadSpeed','loadFactor','loadMaterial','loadYoung','loadPoisson','loadBendLimit','loadContactLimit','loadMinBending','loadMinContact']){
+    els[id].closest('label').style.display = loadMode !== 'off' ? '' : 'none';
+  }
+  els.loadTorque.closest('label').style.display = loadMode === 'torque' ? '' : 'none';
+  els.loadPower.closest('label').style.display = loadMode === 'power' ? '' : 'none';
+
+  const tolSystem = els.tolSystem.value;
+  for(const id of ['tolCenter','tolOutline']){
+    els[id].closest('label').style.display = tolSystem !== 'none' ? '' : 'none';
+  }
+  els.tolGrade.closest('label').style.display = tolSystem === 'iso' ? '' : 'none';
+  els.tolQuality.closest('label').style.display = tolSystem === 'agma' ? '' : 'none';
+
+  const pairOn = els.pairKind.value !== 'none' && !couponsOn && !planetOn && !wormOn;
+  els.meshControls.style.display = pairOn ? '' : 'none';
+  if(!pairOn && meshAnim) toggleMeshPlay();
 }
 
 function clearNode(node){
@@ -83,6 +471,11 @@ function svgEl(tag, attrs = {}){
   return e;
 }
 
+function strokePath(d, cls){
+  // Note: we intentionally allow stroke to scale with zoom so the preview doesn't look like a blob when zoomed out.
+  return svgEl('path', { d, class: cls });
+}
+
 function drawDimLine(g, x1,y1,x2,y2, label){
   const line = svgEl('line', { x1, y1, x2, y2, class: 'dimLine' });
   const midx = (x1+x2)/2, midy=(y1+y2)/2;
@@ -104,10 +497,17 @@ function applySvgStyles(){
     .pitch{ fill:none; stroke: rgba(255,209,102,0.70); stroke-width:0.9; stroke-dasharray: 6 8; }
     .base{ fill:none; stroke: rgba(69,243,255,0.45); stroke-width:0.9; stroke-dasharray: 3 6; }
     .root{ fill:none; stroke: rgba(255,92,122,0.35); stroke-width:0.9; stroke-dasharray: 8 7; }
+    .relief{ fill:none; stroke: rgba(170,140,255,0.60); stroke-width:0.9; stroke-dasharray: 2 4; }
     .centerDot{ fill: rgba(255,209,102,0.92); }
     .dimLine{ stroke: rgba(224,251,252,0.55); stroke-width:1.2; }
     .dimText{ fill: rgba(224,251,252,0.78); font-family: ${getComputedStyle(document.documentElement).getPropertyValue('--mono')}; font-size: 12px; }
     .dimCap{ fill: rgba(224,251,252,0.78); }
+    .mateStroke{ fill:none; stroke: rgba(69,243,255,0.85); stroke-width:1.15; }
+    .lineOfAction{ stroke: rgba(255,209,102,0.55); stroke-width:0.8; stroke-dasharray: 4 4; }
+    .activeAction{ stroke: rgba(255,209,102,0.95); stroke-width:1.6; }
+    .contactDot{ fill: rgba(255,92,122,0.95); }
+    .couponText{ fill:none; stroke: rgba(255,92,122,0.92); stroke-width:0.8; stroke-linecap: round; stroke-linejoin: round; }
+    .blockedText{ fill: rgba(255,92,122,0.92); font-family: ${getComputedStyle(document.documentElement).getPropertyValue('--mono')}; font-size: 16px; }
   `;
   els.svg.insertBefore(style, els.svg.firstChild);
 }
@@ -116,10 +516,50 @@ function update(){
   setFieldVisibility();
   applySvgStyles();
 
-  const inp = readInputs();
+  const form = readInputs();
+  els.pitchDiameter.value = Number.isFinite(form.D) && form.D > 0 ? `${fmt(form.D, form.units)} ${form.units}` : '—';
 
   // Core derived dimensions
-  const c = computeGear(inp);
+  const formGear = computeGear(form);
+
+  // A coupon sheet stands in for the part (and any mate), so only its own checks are added; a planetary
+  // set or a worm drive replaces the mesh pair the same way.
+  const coupons = readCoupons();
+  const planetOn = coupons.kind === 'none' && els.planetMode.value === 'on';
+  const wormOn = coupons.kind === 'none' && !planetOn && els.wormMode.value === 'on';
+  const pair = coupons.kind === 'none' && !planetOn && !wormOn ? readPair() : { kind: 'none' };
+  const formDiagnostics = diagnose(form, formGear, { pair });
+  // The tolerance budget starts from the form; a material limit then becomes the part everything below
+  // draws, checks and exports.
+  const tolerance = els.tolSystem.value !== 'none' && !hasErrors(formDiagnostics)
+    ? computeTolerance(form, formGear, readTolerance(), pair.kind === 'none' ? null : pair) : null;
+  toleranceSet = tolerance && !hasErrors(tolerance.diagnostics) ? tolerance : null;
+  const inp = withTolerance(form);
+  const c = inp === form ? formGear : computeGear(inp);
+  const diagnostics = inp === form ? formDiagnostics : diagnose(inp, c, { pair });
+  if(tolerance) diagnostics.push(...tolerance.diagnostics);
+  couponSet = coupons.kind === 'none' || hasErrors(diagnostics) ? null : computeCoupons(inp, coupons);
+  if(couponSet) diagnostics.push(...couponSet.diagnostics);
+  const planetary = planetOn && !hasErrors(diagnostics) ? computePlanetary(inp, readPlanetary()) : null;
+  if(planetary) diagnostics.push(...planetary.diagnostics);
+  planetSet = planetary && !hasErrors(diagnostics) ? planetary : null;
+  const worm = wormOn && !hasErrors(diagnostics) ? computeWorm(inp, c, readWorm()) : null;
+  if(worm) diagnostics.push(...worm.diagnostics);
+  wormSet = worm && !hasErrors(diagnostics) ? worm : null;
+  // The train and solver only borrow the tooth form: their problems are listed but don't block the part.
+  const train = hasErrors(diagnostics) ? null : computeTrain(readSpec(), els.trainStages.value, { inputSpeed: Number(els.trainInputSpeed.value) });
+  const solver = train && Number(els.trainTarget.value) !== 0 ? solverChecks(readSpec(), readSolver()) : [];
+  // So does the load rating: it runs on the mate from Mesh pair (when that is what's on show) or a copy.
+  const rating = hasErrors(diagnostics) || els.loadMode.value === 'off' ? null : computeRating(inp, c, readLoad(), pair.kind === 'none' ? null : pair);
+  showDiagnostics([...diagnostics, ...(train ? train.diagnostics : []), ...solver, ...(rating ? rating.diagnostics : [])]);
+  if(hasErrors(diagnostics)) return blockOutputs(diagnostics);
+  setExportsEnabled(true);
+  els.trainDims.textContent = train.stages.length
+    ? trainLines(train).join('\n')
+    : els.trainStages.value.trim() ? '— fix the stages, see Diagnostics.' : 'No train — list stages to chain gears.';
+
+  const pairResult = pair.kind === 'none' ? null : computePair(inp, pair);
+  const hub = inp.type === 'external' ? computeHub(c, readHub()) : null;
 
   const unit = inp.units;
   const unitLabel = unit === 'mm' ? 'mm' : 'in';
@@ -128,43 +568,104 @@ function update(){
   const lines = [];
   lines.push(`Type: ${inp.type}`);
   lines.push(`Units: ${unitLabel}`);
+  lines.push(inp.basis === 'pitch'
+    ? `Basis: diametral pitch ${c.beta > 0 ? 'Pn' : 'P'} = ${fmt(inp.diametralPitch)} /in (module ${fmt(25.4 / inp.diametralPitch)} mm)`
+    : `Basis: module ${c.beta > 0 ? 'mn' : 'm'} = ${fmt(inp.module)} mm (diametral pitch ${fmt(25.4 / inp.module)} /in)`);
   if(inp.type !== 'rack'){
     lines.push(`N (teeth): ${inp.N}`);
-    lines.push(`D (pitch dia): ${fmt(c.D, unit)} ${unitLabel}`);
-  }
-  lines.push(`Pressure angle: ${fmt(c.phiDeg, 'deg')}°`);
-  lines.push(`Module m: ${fmt(c.m, unit)} ${unitLabel}`);
-  lines.push(`Circular pitch p: ${fmt(c.p, unit)} ${unitLabel}`);
-  lines.push(`Tooth thickness at pitch (no backlash): ${fmt(c.s0, unit)} ${unitLabel}`);
-  lines.push(`Backlash (entered): ${fmt(c.backlash, unit)} ${unitLabel}`);
-  lines.push(`Tooth thickness at pitch (with backlash): ${fmt(c.s, unit)} ${unitLabel}`);
+    lines.push(`D (pitch dia): ${both(c.D, unit)}`);
+  }
+  if(c.beta > 0){
+    lines.push(`Helix angle β: ${fmt(c.betaDeg, 'deg')}° ${c.hand} hand (base helix βb ${fmt(c.betaB * 180/Math.PI, 'deg')}°)`);
+    lines.push(`Normal module mn: ${both(c.mn, unit)}`);
+    lines.push(`Transverse module mt: ${both(c.m, unit)}`);
+    lines.push(`Normal pressure angle φn: ${fmt(c.phiNDeg, 'deg')}°`);
+    lines.push(`Transverse pressure angle φt: ${fmt(c.phiDeg, 'deg')}°`);
+    if(inp.type !== 'rack'){
+      lines.push(`Lead: ${both(c.lead, unit)}`);
+      lines.push(`Virtual tooth count zn: ${fmt(c.zn)}`);
+    }
+    lines.push(`Transverse circular pitch pt: ${both(c.p, unit)}`);
+  } else {
+    if(c.profile !== 'cycloidal') lines.push(`Pressure angle: ${fmt(c.phiDeg, 'deg')}°`);
+    lines.push(`Module m: ${both(c.m, unit)}`);
+    lines.push(`Circular pitch p: ${both(c.p, unit)}`);
+  }
+  if(c.profile === 'cycloidal') lines.push(...cycloidLines(c, unit));
+  else lines.push(`Profile shift x: ${fmt(c.x)} (x·m${c.beta > 0 ? 'n' : ''} = ${both(c.x * c.mn, unit)})`);
+  lines.push(`Tooth thickness at pitch (no backlash): ${both(c.s0, unit)}`);
+  lines.push(`Backlash (entered): ${both(c.backlash, unit)}`);
+  lines.push(`Tooth thickness at pitch (with backlash): ${both(c.s, unit)}`);
   lines.push('');
 
-  lines.push(`Thickness (face width): ${fmt(c.thickness, unit)} ${unitLabel}`);
+  lines.push(`Face width: ${both(c.faceWidth, unit)}`);
+  if(c.beta > 0){
+    lines.push(inp.type === 'rack'
+      ? `Helix offset over face width: ${both(c.helixShift, unit)}`
+      : `Helix twist over face width: ${fmt(c.helixTwist * 180/Math.PI, 'deg')}°`);
+  }
   lines.push('');
 
   if(inp.type === 'rack'){
-    lines.push(`Rack length: ${fmt(c.rackLength, unit)} ${unitLabel}`);
-    lines.push(`Rack addendum: ${fmt(c.a, unit)} ${unitLabel}`);
-    lines.push(`Rack dedendum: ${fmt(c.b, unit)} ${unitLabel}`);
-    lines.push(`Total tooth height: ${fmt(c.a + c.b, unit)} ${unitLabel}`);
+    lines.push(`Rack length: ${both(c.rackLength, unit)}`);
+    lines.push(`Rack addendum: ${both(c.a, unit)}`);
+    lines.push(`Rack dedendum: ${both(c.b, unit)}`);
+    lines.push(`Total tooth height: ${both(c.a + c.b, unit)}`);
+    lines.push(...modificationLines(c, unit));
+    lines.push('', ...inspectionLines(c, inp, unit));
   } else {
-    lines.push(`Addendum a: ${fmt(c.a, unit)} ${unitLabel}`);
-    lines.push(`Dedendum b: ${fmt(c.b, unit)} ${unitLabel}`);
-    lines.push(`Outside dia Do: ${fmt(c.Do, unit)} ${unitLabel}`);
-    lines.push(`Root dia Dr: ${fmt(c.Dr, unit)} ${unitLabel}`);
-    lines.push(`Base dia Db: ${fmt(c.Db, unit)} ${unitLabel}`);
+    lines.push(`Addendum a: ${both(c.a, unit)}`);
+    lines.push(`Dedendum b: ${both(c.b, unit)}`);
+    lines.push(`Outside dia Do: ${both(c.Do, unit)}`);
+    lines.push(`Root dia Dr: ${both(c.Dr, unit)}`);
+    if(c.profile !== 'cycloidal') lines.push(`Base dia Db: ${both(c.Db, unit)}`);
+    if(inp.type === 'internal'){
+      lines.push(`Space width at pitch e: ${both(c.e, unit)}`);
+      lines.push(`Rim outer dia: ${both(c.Drim, unit)}`);
+    }
+    if(c.profile === 'cycloidal'){
+      lines.push(`Space width at pitch e: ${both(c.e, unit)}`);
+      lines.push(...modificationLines(c, unit));
+    } else {
+      lines.push(`Min shift for no undercut x_min: ${fmt(c.xMinNoUndercut)}`);
+    }
+    if(inp.type === 'external' && c.profile !== 'cycloidal'){
+      lines.push(`Cutter tip radius ρ: ${both(c.rho, unit)}`);
+      lines.push(c.undercutGenerated
+        ? 'Form dia dFf: — (generated profile is undercut)'
+        : `Form dia dFf: ${both(c.dFf, unit)}`);
+    }
+    if(inp.type === 'external' && c.profile !== 'cycloidal') lines.push(...modificationLines(c, unit));
     if(c.undercutRisk){
       lines.push('');
-      lines.push(`⚠ Undercut risk: HIGH (N < ~${c.NminNoUndercut}) at ${fmt(c.phiDeg,'deg')}° without profile shift`);
+      lines.push(`⚠ Undercut risk: HIGH (x < ${fmt(c.xMinNoUndercut)} for N=${inp.N}${c.beta > 0 ? `, zn=${fmt(c.zn)}` : ''}) at ${fmt(c.phiNDeg,'deg')}° — raise profile shift or use N ≥ ~${c.NminNoUndercut}`);
     }
+    lines.push('', ...inspectionLines(c, inp, unit));
   }
 
+  if(couponSet) lines.push('', ...couponLines(couponSet));
+
   els.dims.textContent = lines.join('\n');
+  els.pairDims.textContent = pairLines(pairResult, pair, unit).join('\n');
+  els.planetDims.textContent = planetSet
+    ? planetaryLines(planetSet, unit).join('\n')
+    : couponSet && els.planetMode.value === 'on' ? 'Off while the coupon sheet is on.' : 'Off.';
+  els.wormDims.textContent = wormSet
+    ? wormLines(wormSet, unit).join('\n')
+    : els.wormMode.value !== 'on' ? 'Off.' : couponSet ? 'Off while the coupon sheet is on.' : 'Off while the planetary set is on.';
+  els.loadDims.textContent = rating && rating.checks
+    ? ratingLines(rating, unit).join('\n')
+    : rating ? '— fix the load inputs, see Diagnostics.' : 'Off.';
+  els.tolDims.textContent = toleranceSet ? toleranceLines(toleranceSet, unit).join('\n') : 'Off.';
+  els.hubDims.textContent = hub ? hubLines(hub, unit).join('\n') : '—';
+  els.sectorDims.textContent = c.sector
+    ? [...sectorLines(c, hub, unit), ...(pairResult || couponSet || planetSet || wormSet ? ['Preview shows the full gear while a mate, planetary set, worm or coupon sheet is on.'] : [])].join('\n')
+    : 'Off — full gear.';
 
   // Legend
-  els.legend1.textContent = inp.type === 'rack' ? `Rack • p=${fmt(c.p, unit)} ${unitLabel}` : `${inp.type === 'internal' ? 'Internal' : 'External'} spur • N=${inp.N} • m=${fmt(c.m, unit)} ${unitLabel}`;
-  els.legend2.textContent = `φ=${fmt(c.phiDeg,'deg')}° • backlash=${fmt(c.backlash, unit)} ${unitLabel}`;
+  const kindLabel = c.beta > 0 ? `helical ${fmt(c.betaDeg, 'deg')}° ${c.hand === 'left' ? 'LH' : 'RH'}` : c.profile === 'cycloidal' ? 'cycloidal' : 'spur';
+  els.legend1.textContent = inp.type === 'rack' ? `Rack${c.beta > 0 ? ` (${kindLabel})` : ''} • p=${fmt(c.p, unit)} ${unitLabel}` : `${inp.type === 'internal' ? 'Internal' : 'External'} ${kindLabel} • N=${inp.N} • ${inp.basis === 'pitch' ? `P${c.beta > 0 ? 'n' : ''}=${fmt(inp.diametralPitch)} /in` : `m${c.beta > 0 ? 'n' : ''}=${fmt(inp.module)} mm`}`;
+  els.legend2.textContent = `${c.profile === 'cycloidal' ? c.cycloidPreset : `φ${c.beta > 0 ? 'n' : ''}=${fmt(c.phiNDeg,'deg')}°`} • backlash=${fmt(c.backlash, unit)} ${unitLabel}`;
   els.legend3.textContent = inp.type === 'rack' ? `Len=${fmt(c.rackLength, unit)} ${unitLabel} • height=${fmt(c.a + c.b, unit)} ${unitLabel}` : `Do=${fmt(c.Do, unit)} ${unitLabel} • Dr=${fmt(c.Dr, unit)} ${unitLabel}`;
 
   // Drawing
@@ -176,29 +677,53 @@ function update(){
 
   const cx = 600, cy = 380;
 
-  // Keep last generated outline points (for DXF)
+  // Keep last generated outline points (auto-fit, scripts); the DXF gets a richer scene
   window.__lastPolylines = [];
+  dxfScene = { units: inp.units, origin: { x: cx, y: cy }, paths: [], circles: [], lines: [] };
+  mesh = null;
 
-  if(inp.type === 'rack'){
-    const rack = buildRackPath(c, inp, { x: cx - c.rackLength/2, y: cy });
-    g.append(rack.el);
-    window.__lastPolylines = [rack.points];
+  const part = pairResult || couponSet || planetSet || wormSet ? null : partScene(c, inp, hub, { cx, cy });
+  if(part) dxfScene = part.scene;
+
+  if(couponSet){
+    dxfScene = couponScene(couponSet, { cx, cy });
+    for(const p of dxfScene.paths){
+      const d = `M ${p.points.map(v => `${v.x.toFixed(3)} ${v.y.toFixed(3)}`).join(' L ')}${p.closed === false ? '' : ' Z'}`;
+      g.append(strokePath(d, p.layer === 'TEXT' ? 'couponText' : 'gearStroke'));
+      if(p.layer === 'GEAR') window.__lastPolylines.push(p.points);
+    }
+  } else if(planetSet){
+    drawPlanetary(g, dimsG, planetSet, inp, hub, { cx, cy }, unit, unitLabel);
+  } else if(wormSet){
+    drawWorm(g, dimsG, wormSet, inp, c, hub, { cx, cy }, unit, unitLabel);
+  } else if(pairResult){
+    drawMesh(g, dimsG, pairResult, inp, hub, { cx, cy }, unit, unitLabel);
+  } else if(part.rack){
+    g.append(strokePath(part.rack.d, 'gearStroke'));
+    window.__lastPolylines = [part.rack.points];
+
+    // relief start lines
+    const rx0 = cx - c.rackLength/2, rx1 = cx + c.rackLength/2;
+    if(c.tipRelief > 0) g.append(svgEl('line', { x1: rx0, y1: cy - c.hTipRelief, x2: rx1, y2: cy - c.hTipRelief, class: 'relief' }));
+    if(c.rootRelief > 0) g.append(svgEl('line', { x1: rx0, y1: cy - c.hRootRelief, x2: rx1, y2: cy - c.hRootRelief, class: 'relief' }));
 
     // dim line: rack length
     drawDimLine(dimsG, cx - c.rackLength/2, cy + (c.a + c.b) + 28, cx + c.rackLength/2, cy + (c.a + c.b) + 28, `L ${fmt(c.rackLength, unit)} ${unitLabel}`);
   } else {
-    const gear = inp.type === 'internal'
-      ? buildInternalGearPath(c, inp, { cx, cy })
-      : buildExternalGearPath(c, inp, { cx, cy });
+    const gear = part.gear;
 
     // reference circles
     const pitch = svgEl('circle', { cx, cy, r: c.D/2, class: 'pitch' });
-    const base = svgEl('circle', { cx, cy, r: c.Db/2, class: 'base' });
     const root = svgEl('circle', { cx, cy, r: c.Dr/2, class: 'root' });
     const center = svgEl('circle', { cx, cy, r: 3.2, class: 'centerDot' });
 
-    g.append(pitch, base, root, center);
-    (gear.els || []).forEach(el => g.append(el));
+    g.append(pitch, root, center);
+    if(c.Db > 0) g.append(svgEl('circle', { cx, cy, r: c.Db/2, class: 'base' }));
+    if(inp.type === 'external'){
+      if(c.tipRelief > 0) g.append(svgEl('circle', { cx, cy, r: c.dTipRelief/2, class: 'relief' }));
+      if(c.rootRelief > 0) g.append(svgEl('circle', { cx, cy, r: c.dRootRelief/2, class: 'relief' }));
+    }
+    for(const d of gear.paths) g.append(strokePath(d, 'gearStroke'));
     window.__lastPolylines = gear.polylines || [];
 
     // dim: outside diameter
@@ -214,8 +739,9 @@ function update(){
     const bbox = bboxFromPolylines(window.__lastPolylines);
     const kFit = fitScaleToViewBox(bbox, viewBox, 110);
     camera.k = kFit;
-    camera.x = 0;
-    camera.y = 0;
+    // Centre the drawing too (a mesh pair extends well below the pinion).
+    camera.x = bbox ? -(bbox.cx - 600) * kFit : 0;
+    camera.y = bbox ? -(bbox.cy - 400) * kFit : 0;
 
     // re-apply transforms after fitting
     g.setAttribute('transform', cameraTransform());
@@ -226,6 +752,416 @@ function update(){
   els.dimsLayer.appendChild(dimsG);
 }
 
+function fieldLabel(id){
+  return els[id]?.closest('label')?.querySelector('span')?.textContent || id;
+}
+
+function showDiagnostics(diagnostics){
+  // List everything in the Diagnostics card and pin each message under the input it is about.
+  for(const el of document.querySelectorAll('.diagMsg')) el.remove();
+  for(const el of document.querySelectorAll('.fieldError, .fieldWarning')) el.classList.remove('fieldError', 'fieldWarning');
+
+  const lines = [];
+  for(const d of diagnostics){
+    const isError = d.level === 'error';
+    lines.push(`${isError ? '✗' : '⚠'} ${fieldLabel(d.field)}: ${d.message}`);
+    const label = els[d.field]?.closest('label');
+    if(!label) continue;
+    label.classList.add(isError ? 'fieldError' : 'fieldWarning');
+    const msg = document.createElement('small');
+    msg.className = 'diagMsg';
+    msg.textContent = d.message;
+    label.append(msg);
+  }
+  els.diagnostics.textContent = lines.length ? lines.join('\n') : '✓ No problems found.';
+  els.diagnostics.classList.toggle('outError', hasErrors(diagnostics));
+}
+
+function setExportsEnabled(on){
+  for(const btn of [els.btnDownloadSVG, els.btnDownloadDXF, els.btnDownloadSTL, els.btnDownloadOBJ, els.btnCopyDims]) btn.disabled = !on;
+}
+
+function blockOutputs(diagnostics){
+  // Errors stop everything downstream: no dimensions, drawing or exports — the preview says why instead.
+  const n = diagnostics.filter(d => d.level === 'error').length;
+  const what = `${n} input error${n === 1 ? '' : 's'}`;
+  els.dims.textContent = `— ${what}, see Diagnostics.`;
+  els.pairDims.textContent = '—';
+  els.hubDims.textContent = '—';
+  els.sectorDims.textContent = '—';
+  els.trainDims.textContent = '—';
+  els.planetDims.textContent = '—';
+  els.wormDims.textContent = '—';
+  els.loadDims.textContent = '—';
+  els.tolDims.textContent = '—';
+  els.legend1.textContent = what;
+  els.legend2.textContent = '—';
+  els.legend3.textContent = '—';
+
+  clearNode(els.drawing);
+  clearNode(els.dimsLayer);
+  window.__lastPolylines = [];
+  dxfScene = null;
+  couponSet = null;
+  planetSet = null;
+  wormSet = null;
+  toleranceSet = null;
+  mesh = null;
+  const text = svgEl('text', { x: 600, y: 400, class: 'blockedText', 'text-anchor': 'middle' });
+  text.textContent = `Nothing to draw: fix the ${what} listed under Diagnostics.`;
+  els.drawing.append(text);
+  setExportsEnabled(false);
+}
+
+function both(v, unit){
+  // A length in the design units with the other system alongside: 48.0000 mm (1.88976 in).
+  const other = unit === 'in' ? 'mm' : 'in';
+  return `${fmt(v, unit)} ${unit === 'in' ? 'in' : 'mm'} (${fmt(unit === 'in' ? v * 25.4 : v / 25.4, other)} ${other})`;
+}
+
+function inspectionLines(c, inp, unit){
+  // What a machinist checks with a micrometer or gear-tooth caliper; all of it for the finished tooth
+  // (backlash and profile shift included).
+  const lines = ['Inspection (with backlash):'];
+  const n = c.beta > 0 ? ' (normal)' : '';
+  if(inp.type === 'external' && c.spanTeeth){
+    lines.push(`Span W over k=${c.spanTeeth} teeth${n}: ${both(c.span, unit)} • contacts at Ø${both(c.spanContactDiameter, unit)}`);
+    if(c.beta > 0) lines.push(`  needs face width > W·sin βb = ${both(c.spanMinFaceWidth, unit)}${c.faceWidth > 0 && c.faceWidth <= c.spanMinFaceWidth ? ' ⚠ face too narrow, use pins/balls' : ''}`);
+    if(!c.undercutGenerated && c.spanContactDiameter < c.dFf) lines.push('  ⚠ span contacts below the form diameter');
+  }
+  if(Number.isFinite(c.overPins)){
+    const what = inp.type === 'internal' ? 'between' : 'over';
+    lines.push(`Measurement ${what} ${c.beta > 0 ? 'balls' : 'pins'} M_d: ${both(c.overPins, unit)} with Ø${both(c.pinDiameter, unit)}${inp.N % 2 ? ' (odd N)' : ''}`);
+    lines.push(`  ${c.beta > 0 ? 'ball' : 'pin'} touches the flank at Ø${both(c.pinContactDiameter, unit)}${c.pinClear ? '' : ` ⚠ ${inp.type === 'internal' ? 'does not reach past the tips' : 'does not stand proud of the tips'}`}`);
+  }
+  lines.push(`Chordal thickness${n}: ${both(c.chordalThickness, unit)} at chordal addendum ${both(c.chordalAddendum, unit)}`);
+  return lines;
+}
+
+function cycloidLines(c, unit){
+  // Generating circles as diameters, the way clock-train tables give them.
+  const tip = c.cycloidTip === 'round' ? 'round (semicircular) top' : `epicycloidal, flanks meet at Ø${both(c.dPointed, unit)}`;
+  return [
+    `Profile: cycloidal, ${c.cycloidPreset} proportions (mate N = ${c.cycloidMate})`,
+    `Addendum generating circle: Ø${both(c.rollAddendum, unit)}`,
+    `Dedendum generating circle: Ø${both(c.rollDedendum, unit)}${Math.abs(c.rollDedendum - c.D/2) < 1e-9 ? ' (radial flanks)' : ''}`,
+    `Tip: ${tip}`,
+  ];
+}
+
+function modificationLines(c, unit){
+  const lines = [];
+  if(c.tipEdgeSize > 0){
+    lines.push(`Tip ${c.tipEdge}: ${both(c.tipEdgeSize, unit)}`);
+  }
+  if(c.rackRootRadius > 0){
+    lines.push(`Root corner radius: ${both(c.rackRootRadius, unit)}`);
+  }
+  const shape = c.reliefShape === 'parabolic' ? 'parabolic' : 'linear';
+  const isRack = c.type === 'rack';
+  // Rack starts read as heights above the pitch line; gears as diameter + roll angle.
+  const start = (d, xi, h) => isRack
+    ? `pitch line ${h < 0 ? '−' : '+'} ${both(Math.abs(h), unit)}`
+    : `dia ${both(d, unit)} (roll ${fmt(xi, 'deg')}°)`;
+  if(c.tipRelief > 0){
+    lines.push(`Tip relief Cα: ${both(c.tipRelief, unit)} ${shape}, from ${start(c.dTipRelief, c.xiTipRelief, c.hTipRelief)}`);
+  }
+  if(c.rootRelief > 0){
+    lines.push(`Root relief Cf: ${both(c.rootRelief, unit)} ${shape}, from ${start(c.dRootRelief, c.xiRootRelief, c.hRootRelief)}`);
+  }
+  return lines;
+}
+
+function pairLines(r, pair, unit){
+  if(!r) return ['Pair mode off — pick a mate to check the mesh.'];
+
+  const isRack = r.kind === 'rack';
+  const lines = [];
+  lines.push(`Pair: external (N₁=${r.z1}) + ${isRack ? 'rack' : `${r.kind} (N₂=${r.z2})`}`);
+  lines.push(`Module m: ${both(r.m, unit)} • φ: ${fmt(r.alpha * 180/Math.PI, 'deg')}°${r.beta > 0 ? ' (transverse)' : ''}`);
+  if(r.beta > 0) lines.push(`Helix: ${r.hand1} hand pinion → ${r.hand2} hand mate`);
+  if(!isRack) lines.push(`Ratio N₂/N₁: ${fmt(r.ratio)}`);
+  lines.push(`Shifts: x₁ = ${fmt(r.x1)}, x₂ = ${fmt(r.x2)}${pair.centerDistance > 0 ? ' (solved)' : ''}`);
+  lines.push('');
+  lines.push(`${isRack ? 'Reference axis → pitch line' : 'Reference center distance a'}: ${both(r.a0, unit)}`);
+  lines.push(`${isRack ? 'Operating axis → pitch line' : 'Operating center distance a_w'}: ${both(r.aw, unit)}`);
+  lines.push(`Operating pressure angle φ_w: ${fmt(r.alphaWDeg, 'deg')}°`);
+  lines.push(`Required Σx for a_w: ${fmt(r.sumXRequired)}`);
+  lines.push(`Transverse contact ratio ε_α: ${fmt(r.contactRatio)}`);
+  if(r.beta > 0){
+    lines.push(`Overlap ratio ε_β: ${fmt(r.overlapRatio)} • total ε_γ: ${fmt(r.contactRatio + r.overlapRatio)}`);
+  }
+  lines.push('');
+  for(const chk of r.checks){
+    lines.push(`${chk.ok ? '✓' : '⚠'} ${chk.name}: ${chk.detail}`);
+  }
+  return lines;
+}
+
+function sectorLines(c, hub, unit){
+  const s = c.sector;
+  if(c.type === 'rack'){
+    return [
+      `Partial rack: ${s.teeth} teeth over ${both(s.toothed, unit)}, centred on the ${both(c.rackLength, unit)} length`,
+      s.stops ? `End stops: ${both(s.stopLength, unit)} long at the tip line, each end` : `Plain root land to the ends: ${both((c.rackLength - s.toothed)/2, unit)} each`,
+    ];
+  }
+  const deg = (a) => `${fmt(a * 180/Math.PI, 'deg')}°`;
+  const lines = [
+    `Sector: ${s.teeth} teeth over ${deg(s.span)}, edges at ${deg(s.start)} and ${deg(s.end)} (one tooth ${deg(s.pitchAngle)})`,
+    c.type === 'internal'
+      ? `Radial edges from the root circle Ø${both(c.Dro_int, unit)} out to the rim Ø${both(c.Drim, unit)}`
+      : `Radial edges from the root circle Ø${both(c.Dr_ext, unit)}`,
+  ];
+  if(c.type === 'external'){
+    lines.push(s.arm === 'hub'
+      ? `Arm back to the hub Ø${both(hub.hubDiameter, unit)} round the pivot${hub.bore > 0 ? ` (bore Ø${both(hub.bore, unit)})` : ''}`
+      : `Segment: rim ${both(hub.web, unit)} under the root circle, no arm`);
+  }
+  return lines;
+}
+
+function hubLines(h, unit){
+  const lines = [];
+  const names = { none: 'none', round: 'round', keyway: 'round + keyway', dflat: 'D-flat', hex: 'hex' };
+  lines.push(h.boreRejected
+    ? 'Bore: not cut (see check below)'
+    : `Bore: ${names[h.boreType]}${h.bore > 0 ? ` ${h.boreType === 'hex' ? 'AF' : 'Ø'}${both(h.bore, unit)}` : ''}`);
+  if(h.key){
+    lines.push(`Key (${h.keyStandard === 'ansi' ? 'ANSI B17.1' : 'DIN 6885'}): ${both(h.key.b, unit)} × ${both(h.key.h, unit)}, hub depth t2 ${both(h.key.t2, unit)}`);
+    lines.push(`Keyway bottom from opposite bore edge: ${both(h.bore + h.key.t2, unit)}`);
+  }
+  if(h.boreType === 'dflat') lines.push(`Flat: depth ${both(h.flat, unit)} (across flat ${both(h.bore - h.flat, unit)})`);
+  if(h.holes){
+    const what = h.holes.shape === 'circle'
+      ? `${h.holes.count} × Ø${both(h.holes.dh, unit)} on Ø${both(2*h.holes.rc, unit)}`
+      : `${h.holes.count} kidney slots, Ø${both(2*h.holes.rh, unit)} … Ø${both(2*h.holes.rw, unit)}`;
+    lines.push(`Lightening holes: ${what}`);
+    lines.push(`Hub dia: ${both(h.hubDiameter, unit)} • web: ${both(h.web, unit)}`);
+  }
+  for(const chk of h.checks) lines.push(`${chk.ok ? '✓' : '⚠'} ${chk.name}: ${chk.detail}`);
+  return lines;
+}
+
+function drawMesh(g, dimsG, r, inp, hub, { cx, cy }, unit, unitLabel){
+  const layout = meshLayout(r);
+  const theta = Number(els.meshAngle.value) * Math.PI/180;
+  const deg = (a) => a * 180/Math.PI;
+  const parts = [];
+
+  // Pinion: a tooth points at the pitch point (+y) at θ = 0.
+  const pinion = buildExternalGearPath(r.c1, inp, { cx, cy });
+  if(hub) addHubPaths(pinion, hub, { cx, cy }, inp.samples);
+  parts.push({ gear: pinion, cx, cy, angle: (t) => Math.PI/2 + t });
+
+  const mate = svgEl('g');
+  if(r.kind === 'rack'){
+    // Rack slides by the pinion's rolling distance; wrap to one pitch so it stays in view.
+    const p = r.c2.p;
+    const L = r.c2.rackLength;
+    const x0 = cx - p/2 - Math.round(L / (2*p)) * p;
+    const rack = buildRackPath(r.c2, inp, { x: x0, y: cy + r.aw });
+    parts.push({ rack, x0, angle: (t) => {
+      const d = -layout.rw1 * t;
+      return d - p * Math.round(d / p);
+    } });
+  } else {
+    const mcx = cx + layout.mateCenter.x, mcy = cy + layout.mateCenter.y;
+    const ratio = r.z1 / r.z2;
+    const gear = r.kind === 'internal'
+      ? buildInternalGearPath(r.c2, inp, { cx: mcx, cy: mcy })
+      : buildExternalGearPath(r.c2, inp, { cx: mcx, cy: mcy });
+    // External mate counter-rotates with a space facing the pinion; an internal ring turns the same way.
+    const angle = r.kind === 'internal'
+      ? (t) => Math.PI/2 + t * ratio
+      : (t) => -Math.PI/2 + Math.PI/r.z2 - t * ratio;
+    parts.push({ gear, cx: mcx, cy: mcy, angle });
+    mate.append(
+      svgEl('circle', { cx: mcx, cy: mcy, r: r.c2.D/2, class: 'pitch' }),
+      svgEl('circle', { cx: mcx, cy: mcy, r: 3.2, class: 'centerDot' }),
+    );
+    drawDimLine(dimsG, cx + r.c1.Do_ext/2 + 24, cy, cx + r.c1.Do_ext/2 + 24, mcy, `a_w ${fmt(r.aw, unit)} ${unitLabel}`);
+  }
+
+  const pinionG = svgEl('g');
+  for(const d of pinion.paths) pinionG.append(strokePath(d, 'gearStroke'));
+  const mateG = svgEl('g');
+  const mateGear = parts[1].gear;
+  for(const d of (mateGear ? mateGear.paths : [parts[1].rack.d])) mateG.append(strokePath(d, 'mateStroke'));
+  parts[0].el = pinionG;
+  parts[1].el = mateG;
+
+  const at = (pt) => ({ x: cx + pt.x, y: cy + pt.y });
+  const lf = at(layout.lineFrom), lt = at(layout.lineTo);
+  const af = at(layout.activeFrom), ae = at(layout.activeTo);
+  const contactsG = svgEl('g');
+
+  g.append(
+    svgEl('circle', { cx, cy, r: r.c1.D/2, class: 'pitch' }),
+    svgEl('circle', { cx, cy, r: 3.2, class: 'centerDot' }),
+    mate, pinionG, mateG,
+    svgEl('line', { x1: lf.x, y1: lf.y, x2: lt.x, y2: lt.y, class: 'lineOfAction' }),
+    svgEl('line', { x1: af.x, y1: af.y, x2: ae.x, y2: ae.y, class: 'activeAction' }),
+    contactsG,
+  );
+
+  mesh = {
+    setAngle(t){
+      for(const part of parts){
+        const a = part.angle(t);
+        part.el.setAttribute('transform', part.rack ? `translate(${a} 0)` : `rotate(${deg(a)} ${part.cx} ${part.cy})`);
+      }
+      clearNode(contactsG);
+      for(const pt of layout.contactsAt(t)){
+        const q = at(pt);
+        contactsG.append(svgEl('circle', { cx: q.x, cy: q.y, r: 0.15 * r.m, class: 'contactDot' }));
+      }
+    },
+  };
+  mesh.setAngle(theta);
+
+  // Export the pair as drawn at the current angle.
+  window.__lastPolylines = [];
+  for(const part of parts){
+    const a = part.angle(theta);
+    if(part.rack) window.__lastPolylines.push(part.rack.points.map(p => ({ x: p.x + a, y: p.y })));
+    else for(const poly of (part.gear.polylines || [])) window.__lastPolylines.push(rotatePolyline(poly, a, part.cx, part.cy));
+
+    // DXF: pinion on GEAR, mate on MATE, each with its own reference geometry.
+    const layer = part === parts[0] ? 'GEAR' : 'MATE';
+    if(part.rack){
+      dxfScene.paths.push({ points: part.rack.points.map(p => ({ x: p.x + a, y: p.y })), layer });
+      dxfScene.lines.push(...rackReferenceLines(r.c2, part.x0 + a, cy + r.aw));
+    } else {
+      dxfScene.paths.push(...gearPaths(part.gear, layer, a, part.cx, part.cy));
+      dxfScene.circles.push(...referenceCircles(part === parts[0] ? r.c1 : r.c2, part === parts[0] ? 'external' : r.kind, part.cx, part.cy));
+    }
+  }
+}
+
+function drawPlanetary(g, dimsG, set, inp, hub, { cx, cy }, unit, unitLabel){
+  // The whole set at rest, carrier fixed; the DXF gets every part on its own layer.
+  const { parts, scene } = planetaryParts(set, inp, hub, { cx, cy });
+  g.append(svgEl('circle', { cx, cy, r: set.aw, class: 'base' }));
+  window.__lastPolylines = [];
+  for(const p of parts){
+    const pg = svgEl('g', { transform: `rotate(${p.angle * 180/Math.PI} ${p.cx} ${p.cy})` });
+    for(const d of p.gear.paths) pg.append(strokePath(d, p.name.startsWith('PLANET') ? 'mateStroke' : 'gearStroke'));
+    g.append(
+      svgEl('circle', { cx: p.cx, cy: p.cy, r: p.c.D/2, class: 'pitch' }),
+      svgEl('circle', { cx: p.cx, cy: p.cy, r: 3.2, class: 'centerDot' }),
+      pg,
+    );
+    for(const poly of (p.gear.polylines || [])) window.__lastPolylines.push(rotatePolyline(poly, p.angle, p.cx, p.cy));
+  }
+  const ring = parts[parts.length - 1];
+  const rOut = ring.c.Drim/2;
+  drawDimLine(dimsG, cx - rOut, cy - rOut - 32, cx + rOut, cy - rOut - 32, `Rim ${fmt(2*rOut, unit)} ${unitLabel}`);
+  drawDimLine(dimsG, cx, cy, cx + set.aw * Math.cos(set.positions[0]), cy + set.aw * Math.sin(set.positions[0]), `a_w ${fmt(set.aw, unit)} ${unitLabel}`);
+  dxfScene = scene;
+}
+
+function drawWorm(g, dimsG, set, inp, c, hub, { cx, cy }, unit, unitLabel){
+  // The wheel's mid-plane: its profile with a tooth in the worm's centre space, and the worm's axial
+  // section below on its own axis. The DXF carries both on WHEEL / WORM layers.
+  const { wheel, worm, axisY, angle, scene } = wormParts(set, inp, c, hub, { cx, cy });
+  const wg = svgEl('g', { transform: `rotate(${angle * 180/Math.PI} ${cx} ${cy})` });
+  for(const d of wheel.paths) wg.append(strokePath(d, 'gearStroke'));
+  const x0 = cx - set.length/2, x1 = cx + set.length/2;
+  g.append(
+    svgEl('circle', { cx, cy, r: c.D/2, class: 'pitch' }),
+    svgEl('circle', { cx, cy, r: set.de2/2, class: 'root' }),
+    svgEl('circle', { cx, cy, r: 3.2, class: 'centerDot' }),
+    svgEl('line', { x1: x0 - 2*set.m, y1: axisY, x2: x1 + 2*set.m, y2: axisY, class: 'pitch' }),
+    svgEl('line', { x1: x0, y1: axisY - set.d1/2, x2: x1, y2: axisY - set.d1/2, class: 'pitch' }),
+    wg,
+    strokePath(worm.d, 'mateStroke'),
+  );
+  window.__lastPolylines = [...(wheel.polylines || []).map(poly => rotatePolyline(poly, angle, cx, cy)), worm.points];
+  drawDimLine(dimsG, x1 + 24, cy, x1 + 24, axisY, `a ${fmt(set.a, unit)} ${unitLabel}`);
+  drawDimLine(dimsG, cx - set.de2/2, cy - set.de2/2 - 32, cx + set.de2/2, cy - set.de2/2 - 32, `de2 ${fmt(set.de2, unit)} ${unitLabel}`);
+  dxfScene = scene;
+}
+
+function buildSolid(){
+  // The generator part on its own (or the coupon sheet), centred on the origin with y flipped to CAD's y-up.
+  if(couponSet) return couponSolid(couponSet);
+  const inp = withTolerance(readInputs());
+  const c = computeGear(inp);
+  if(!(c.faceWidth > 0)) return null;
+
+  const hub = inp.type === 'external' ? computeHub(c, readHub()) : null;
+  const { rack, gear } = partScene(c, inp, hub, { cx: 0, cy: 0 });
+  const outer = rack ? rack.points : gear.outline;
+  const holes = rack ? [] : gear.holes;
+
+  const flip = (ring) => ring.map(p => ({ x: p.x, y: -p.y }));
+  return extrudeOutline(flip(outer), holes.map(flip), { height: c.faceWidth, twist: c.helixTwist, shift: c.helixShift });
+}
+
+function solveTrainRatio(){
+  // Runs on demand (solveTrain caps its own work, so a wide 3-stage search stops rather than hangs); each
+  // result can replace the stage list.
+  const opts = readSolver();
+  const solved = solveTrain(readSpec(), opts);
+  clearNode(els.trainResults);
+  els.trainResults.hidden = false;
+  const item = (text, stages) => {
+    const li = document.createElement('li');
+    const span = document.createElement('span');
+    span.textContent = text;
+    li.append(span);
+    if(stages){
+      const use = document.createElement('button');
+      use.className = 'btnTiny';
+      use.type = 'button';
+      use.textContent = 'Use';
+      use.addEventListener('click', () => {
+        els.trainStages.value = stages.split(', ').join('\n');
+        update();
+        syncHash();
+      });
+      li.append(use);
+    }
+    els.trainResults.append(li);
+  };
+  const errors = solved.diagnostics.filter(d => d.level === 'error');
+  if(errors.length){
+    item(opts.target > 0 ? '✗ Fix the solver inputs (see Diagnostics).' : 'Set a target ratio first.');
+    return;
+  }
+  for(const d of solved.diagnostics) item(`⚠ ${fieldLabel(d.field)}: ${d.message}`);
+  const lines = solutionLines(solved, opts.target, els.units.value);
+  if(!solved.results.length) item(lines[0]);
+  solved.results.forEach((r, i) => item(lines[i], r.text));
+}
+
+function flashButton(btn, text, restore){
+  btn.textContent = text;
+  setTimeout(() => (btn.textContent = restore), 900);
+}
+
+function toggleMeshPlay(){
+  if(meshAnim){
+    cancelAnimationFrame(meshAnim);
+    meshAnim = null;
+    els.meshPlay.textContent = 'Play';
+    update(); // resync exports with the paused angle
+    return;
+  }
+  els.meshPlay.textContent = 'Pause';
+  let last = performance.now();
+  const step = (now) => {
+    // 30°/s on the pinion
+    const angle = (Number(els.meshAngle.value) + (now - last) * 0.03) % 360;
+    last = now;
+    els.meshAngle.value = String(angle);
+    if(mesh) mesh.setAngle(angle * Math.PI/180);
+    meshAnim = requestAnimationFrame(step);
+  };
+  meshAnim = requestAnimationFrame(step);
+}
+
 function cameraTransform(){
   const cx = 600, cy = 400;
   // translate to center, apply pan, scale about center
@@ -272,11 +1208,53 @@ function initPanZoom(){
 }
 
 function bind(){
-  const ids = ['type','units','teeth','pitchDiameter','pressureAngle','backlash','addendum','dedendum','rackLength','samples'];
+  // Every design field redraws; the export settings only go into the link.
+  const ids = FORM_FIELDS.filter(id => !EXPORT_FIELDS.includes(id));
+  // Registered ahead of onEdit so the redraw sees the material's values (or 'custom').
+  els.loadMaterial.addEventListener('change', applyMaterial);
+  for(const id of ['loadYoung','loadPoisson','loadBendLimit','loadContactLimit']){
+    const toCustom = () => { els.loadMaterial.value = 'custom'; };
+    $(id).addEventListener('input', toCustom);
+    $(id).addEventListener('change', toCustom);
+  }
+  const onEdit = () => {
+    if(els.units.value !== formUnits) switchUnits();
+    update();
+    syncHash();
+  };
   for(const id of ids){
-    $(id).addEventListener('input', update);
-    $(id).addEventListener('change', update);
+    $(id).addEventListener('input', onEdit);
+    $(id).addEventListener('change', onEdit);
   }
+  for(const id of EXPORT_FIELDS){
+    $(id).addEventListener('change', syncHash);
+  }
+
+  els.btnSaveDesign.addEventListener('click', () => {
+    downloadText('gear-design.json', designToText(designFromForm(readForm())), 'application/json');
+  });
+
+  els.btnOpenDesign.addEventListener('click', () => els.designFile.click());
+  els.designFile.addEventListener('change', async () => {
+    const file = els.designFile.files[0];
+    els.designFile.value = '';
+    if(file) loadDesign(parseDesignText(await file.text()), file.name);
+  });
+
+  els.btnCopyLink.addEventListener('click', async () => {
+    syncHash();
+    await copyTextToClipboard(location.href);
+    flashButton(els.btnCopyLink, 'Copied', 'Copy link');
+  });
+
+  window.addEventListener('hashchange', () => {
+    const result = designFromHash(location.hash);
+    if(result) loadDesign(result, 'link');
+  });
+
+  els.btnSolveTrain.addEventListener('click', solveTrainRatio);
+  els.meshPlay.addEventListener('click', toggleMeshPlay);
+  els.meshAngle.addEventListener('input', () => { if(!meshAnim) update(); });
 
   els.btnCopyDims.addEventListener('click', async () => {
     await copyTextToClipboard(els.dims.textContent);
@@ -285,7 +1263,8 @@ function bind(){
   });
 
   els.btnDownloadSVG.addEventListener('click', () => {
-    // Export current SVG view, with inline styles
+    // A coupon sheet goes out at true size (it is meant to be cut); otherwise the current view, with inline styles
+    if(couponSet && dxfScene) return downloadText('gear-geometry.svg', svgFromScene(dxfScene), 'image/svg+xml');
     const clone = els.svg.cloneNode(true);
     // ensure inline style exists
     if(!clone.querySelector('style[data-inline]')){
@@ -297,10 +1276,29 @@ function bind(){
   });
 
   els.btnDownloadDXF.addEventListener('click', () => {
-    const polys = window.__lastPolylines || [];
-    const dxf = dxfFromPolylines(polys, { layer: 'GEAR' });
+    if(!dxfScene) return;
+    const withRefs = els.dxfReference.value !== 'off';
+    const scene = withRefs ? dxfScene : { ...dxfScene, circles: [], lines: [] };
+    const dxf = dxfFromScene(scene, {
+      version: els.dxfVersion.value,
+      units: els.dxfUnits.value === 'design' ? dxfScene.units : els.dxfUnits.value,
+      precision: Math.floor(Number(els.dxfPrecision.value)),
+    });
     downloadText('gear-geometry.dxf', dxf, 'application/dxf');
   });
+
+  els.btnDownloadSTL.addEventListener('click', () => {
+    const mesh = buildSolid();
+    if(!mesh) return flashButton(els.btnDownloadSTL, 'Set face width', 'Download STL');
+    if(els.stlFormat.value === 'ascii') downloadText('gear-geometry.stl', stlAscii(mesh, 'gear'), 'model/stl');
+    else downloadText('gear-geometry.stl', stlBinary(mesh, 'gear'), 'model/stl');
+  });
+
+  els.btnDownloadOBJ.addEventListener('click', () => {
+    const mesh = buildSolid();
+    if(!mesh) return flashButton(els.btnDownloadOBJ, 'Set face width', 'Download OBJ');
+    downloadText('gear-geometry.obj', objText(mesh, 'gear'), 'model/obj');
+  });
 }
 
 function boot(){
@@ -314,9 +1312,12 @@ function boot(){
     return;
   }
 
+  fillStandardOptions();
   initPanZoom();
   bind();
-  update();
+  // A design in the URL wins over the form defaults; a broken one leaves the defaults and says why.
+  const fromLink = designFromHash(location.hash);
+  if(!fromLink || !loadDesign(fromLink, 'link')) update();
 }
 
 if(document.readyState === 'loading'){
@@ -0,0 +1,255 @@
+// Calibration coupons: one sheet of short rack or gear segments, each cut with one parameter stepped
+// (backlash, tooth thickness offset or profile shift) and labelled with its value in single-stroke text.
+// Print or laser-cut the sheet, try every coupon against a reference gear and keep the value that meshes
+// best. Coupons are spur sections of the form's gear; the helix is ignored.
+
+import { computeGear, buildExternalGearPath, buildRackPath, cleanLoop, fmt } from './gear.js';
+import { strokeText } from './strokefont.js';
+import { extrudeOutline, joinMeshes } from './solid.js';
+
+// What a coupon sheet can sweep; `length` ones are in the design units (and follow a unit switch).
+export const COUPON_PARAMS = {
+  backlash: { label: 'backlash', length: true },
+  thickness: { label: 'tooth thickness offset', length: true },
+  profileShift: { label: 'profile shift x', length: false },
+};
+
+export const MAX_COUPONS = 40;
+
+function error(field, message){
+  return { level: 'error', field, message };
+}
+
+function warning(field, message){
+  return { level: 'warning', field, message };
+}
+
+function decimals(v){
+  const m = String(v).match(/\.(\d+)/);
+  return m ? m[1].length : 0;
+}
+
+export function couponValues({ start, step, count }){
+  // start, start + step, … (count of them), rounded to the decimals the user typed.
+  const d = Math.min(6, Math.max(decimals(start), decimals(step)));
+  return Array.from({ length: count }, (_, i) => Number((start + i * step).toFixed(d)));
+}
+
+function couponLabel(value, param, digits){
+  // Offsets read as signed, backlash as a plain amount.
+  const t = value.toFixed(digits);
+  return param !== 'backlash' && value > 0 ? `+${t}` : t;
+}
+
+function optionErrors(opts, c0, N){
+  const out = [];
+  if(!(Number.isInteger(opts.count) && opts.count >= 1 && opts.count <= MAX_COUPONS)) out.push(error('couponCount', `coupon count must be a whole number 1 … ${MAX_COUPONS} (got ${opts.count})`));
+  if(!Number.isFinite(opts.start)) out.push(error('couponStart', 'first value must be a number'));
+  if(!Number.isFinite(opts.step)) out.push(error('couponStep', 'step must be a number'));
+  else if(opts.step === 0 && opts.count > 1) out.push(warning('couponStep', 'step is 0: every coupon is the same'));
+  const maxTeeth = opts.kind === 'gear' ? N - 1 : 50;
+  if(!(Number.isInteger(opts.teeth) && opts.teeth >= 1 && opts.teeth <= maxTeeth)) out.push(error('couponTeeth', `teeth per coupon must be a whole number 1 … ${maxTeeth} (got ${opts.teeth})`));
+  if(!(Number.isFinite(opts.textHeight) && opts.textHeight >= 0)) out.push(error('couponText', 'text height must be ≥ 0 (0 = auto)'));
+  if(!(c0.faceWidth > 0)) out.push(warning('faceWidth', 'face width is 0: no STL/OBJ for the coupons'));
+  return out;
+}
+
+function rackCoupon(c, inp, { teeth, band }){
+  // Pitch line at y = 0, teeth up, ends cut mid-space; the label band is the backing under the roots.
+  const rack = buildRackPath({ ...c, rackLength: teeth * c.p }, inp, { x: 0, y: 0, backing: band, phase: 0.5 });
+  return {
+    outline: rack.points,
+    arcs: [],
+    // Baseline (the bottom of the text) a margin above the back edge, centred along the rack.
+    textAt: { x: teeth * c.p / 2, yBack: c.b + band },
+  };
+}
+
+function gearCoupon(c, inp, { teeth, band }){
+  // `teeth` teeth of the gear around the centre (0, 0), cut mid-space, closed by an arc `band` inside
+  // the root circle; turned so the middle tooth points up (−y).
+  const gear = buildExternalGearPath(c, inp, { cx: 0, cy: 0 });
+  const pitch = 2*Math.PI / c.N;
+  const a0 = pitch/2;                       // space before tooth 0 (tooth j is centred at −j·pitch)
+  const span = teeth * pitch;
+  const rr = c.Dr_ext/2;
+  const rIn = Math.max(0, rr - band);
+  const from = (p) => {
+    // How far clockwise (decreasing angle) p is from the start cut, 0 … 2π.
+    let d = a0 - Math.atan2(p.y, p.x);
+    d = ((d % (2*Math.PI)) + 2*Math.PI) % (2*Math.PI);
+    return d;
+  };
+
+  const loop = gear.outline;
+  const keep = loop.map(p => from(p) <= span);
+  const first = keep.findIndex((k, i) => k && !keep[(i - 1 + loop.length) % loop.length]);
+  const run = [];
+  for(let i=0;i<loop.length;i++){
+    const j = (first + i) % loop.length;
+    if(!keep[j]) break;
+    run.push(loop[j]);
+  }
+  if(run.length > 1 && from(run[0]) > from(run[run.length - 1])) run.reverse();
+
+  const at = (r, a) => ({ x: r * Math.cos(a), y: r * Math.sin(a) });
+  const aEnd = a0 - span;
+  const pts = [at(rr, a0), ...run, at(rr, aEnd)];
+  if(rIn > 1e-9){
+    const steps = Math.max(8, teeth * 8);
+    for(let i=0;i<=steps;i++) pts.push(at(rIn, aEnd + span * (i/steps)));
+  } else {
+    pts.push({ x: 0, y: 0 });
+  }
+
+  // Middle of the segment straight up.
+  const turn = -Math.PI/2 - (a0 - span/2);
+  const ca = Math.cos(turn), sa = Math.sin(turn);
+  const rot = (p) => ({ x: p.x * ca - p.y * sa, y: p.x * sa + p.y * ca });
+  const arcs = [{ cx: 0, cy: 0, r: c.Do_ext/2 }, { cx: 0, cy: 0, r: rr }];
+  if(rIn > 1e-9) arcs.push({ cx: 0, cy: 0, r: rIn });
+  return {
+    outline: cleanLoop(pts.map(rot), true),
+    arcs,
+    textAt: { x: 0, yBack: -rIn },
+  };
+}
+
+export function computeCoupons(inp, opts){
+  // inp: the form's gear inputs (specToInputs); opts: { kind: rack | gear, param, start, step, count,
+  // teeth, textHeight }. Returns the coupons in their own frames plus diagnostics in the usual shape
+  // (field = form id); with any error there are no coupons.
+  const kind = opts.kind === 'gear' ? 'gear' : 'rack';
+  const param = COUPON_PARAMS[opts.param] ? opts.param : 'backlash';
+  const base = { ...inp, type: kind === 'gear' ? 'external' : 'rack', helixAngle: 0 };
+  const c0 = computeGear(base);
+  const diagnostics = optionErrors({ ...opts, kind }, c0, inp.N);
+  const set = { kind, param, units: inp.units, faceWidth: c0.faceWidth, coupons: [], diagnostics, textHeight: 0 };
+  if(diagnostics.some(d => d.level === 'error')) return set;
+
+  // Label text: cap height from the module unless given, never below what a printer or laser can resolve.
+  const minText = inp.units === 'in' ? 0.1 : 2.5;
+  const textHeight = opts.textHeight > 0 ? opts.textHeight : Math.max(1.5 * c0.mn, minText);
+  const margin = textHeight / 2;
+  const band = textHeight + 2 * margin;
+  set.textHeight = textHeight;
+
+  const values = couponValues(opts);
+  const digits = Math.min(6, Math.max(decimals(opts.start), decimals(opts.step)));
+  for(const value of values){
+    const inpV = { ...base };
+    if(param === 'backlash') inpV.backlash = value;
+    else if(param === 'thickness') inpV.backlash = base.backlash - value;
+    else inpV.profileShift = value;
+    const c = computeGear(inpV);
+    const label = couponLabel(value, param, digits);
+
+    // The tooth must survive the step: something left at pitch, and a space left beside it.
+    const s = c.s0 - c.backlash;
+    if(!(s > 0 && s < c.p)){
+      diagnostics.push(error(param === 'profileShift' ? 'couponStart' : 'couponStep', `coupon ${label}: tooth thickness at pitch ${s.toFixed(4)} leaves ${s <= 0 ? 'no tooth' : 'no space'}`));
+      continue;
+    }
+    const part = kind === 'gear' ? gearCoupon(c, inpV, { teeth: opts.teeth, band }) : rackCoupon(c, inpV, { teeth: opts.teeth, band });
+    const text = strokeText(label, { x: part.textAt.x, y: part.textAt.yBack - margin, height: textHeight });
+    set.coupons.push({ value, label, c, outline: part.outline, arcs: part.arcs, text: text.polylines, textWidth: text.width });
+  }
+  if(diagnostics.some(d => d.level === 'error')){
+    set.coupons = [];
+    return set;
+  }
+
+  const width = kind === 'gear'
+    ? 2 * (c0.Dr_ext/2 - band) * Math.sin(Math.min(Math.PI/2, opts.teeth * Math.PI / c0.N))
+    : opts.teeth * c0.p;
+  const widest = Math.max(...set.coupons.map(k => k.textWidth));
+  if(widest > width - 2 * margin) diagnostics.push(warning('couponText', `labels (${widest.toFixed(3)} wide) overrun the coupon (${width.toFixed(3)}): fewer decimals, more teeth or smaller text`));
+  return set;
+}
+
+function bounds(points){
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for(const p of points){ minX = Math.min(minX, p.x); minY = Math.min(minY, p.y); maxX = Math.max(maxX, p.x); maxY = Math.max(maxY, p.y); }
+  return { minX, minY, maxX, maxY };
+}
+
+export function layoutCoupons(set, { cx = 0, cy = 0 } = {}){
+  // Coupons on a grid (row-major, in sweep order) centred on (cx, cy), a pitch apart; each one moved,
+  // not turned, so its label still reads upright. Returns the placed outlines, arcs and text.
+  const n = set.coupons.length;
+  if(!n) return [];
+  const boxes = set.coupons.map(k => bounds(k.outline));
+  const w = Math.max(...boxes.map(b => b.maxX - b.minX));
+  const h = Math.max(...boxes.map(b => b.maxY - b.minY));
+  const gap = Math.max(set.coupons[0].c.p, set.textHeight);
+  const cols = Math.ceil(Math.sqrt(n));
+  const rows = Math.ceil(n / cols);
+  const x0 = cx - (cols * w + (cols - 1) * gap) / 2;
+  const y0 = cy - (rows * h + (rows - 1) * gap) / 2;
+  return set.coupons.map((k, i) => {
+    const b = boxes[i];
+    const col = i % cols, row = Math.floor(i / cols);
+    const dx = x0 + col * (w + gap) + (w - (b.maxX - b.minX)) / 2 - b.minX;
+    const dy = y0 + row * (h + gap) + (h - (b.maxY - b.minY)) / 2 - b.minY;
+    const move = (p) => ({ x: p.x + dx, y: p.y + dy });
+    return {
+      label: k.label,
+      outline: k.outline.map(move),
+      arcs: k.arcs.map(a => ({ cx: a.cx + dx, cy: a.cy + dy, r: a.r })),
+      text: k.text.map(pl => pl.map(move)),
+    };
+  });
+}
+
+export function couponScene(set, { cx = 0, cy = 0 } = {}){
+  // The sheet as a scene: outlines on GEAR (cut), labels as open strokes on TEXT (engrave).
+  const scene = { units: set.units, origin: { x: cx, y: cy }, paths: [], circles: [], lines: [] };
+  for(const k of layoutCoupons(set, { cx, cy })){
+    scene.paths.push({ points: k.outline, layer: 'GEAR', arcs: k.arcs });
+    for(const pl of k.text) scene.paths.push({ points: pl, layer: 'TEXT', closed: false });
+  }
+  return scene;
+}
+
+export function couponSolid(set){
+  // Each coupon extruded by the face width with its label raised on top (strokes as thin bars, 0.2 of
+  // the text height wide and 0.15 high), CAD frame: centred on the origin, y up. null without a thickness.
+  if(!(set.faceWidth > 0) || !set.coupons.length) return null;
+  const flip = (p) => ({ x: p.x, y: -p.y });
+  const stroke = 0.2 * set.textHeight;
+  const raise = 0.15 * set.textHeight;
+  const meshes = [];
+  for(const k of layoutCoupons(set)){
+    meshes.push(extrudeOutline(k.outline.map(flip), [], { height: set.faceWidth }));
+    for(const pl of k.text){
+      for(let i=1;i<pl.length;i++){
+        const a = flip(pl[i-1]), b = flip(pl[i]);
+        const len = Math.hypot(b.x - a.x, b.y - a.y);
+        if(len < 1e-12) continue;
+        // Bar along the segment, half a stroke longer at each end so consecutive bars overlap.
+        const ux = (b.x - a.x) / len * stroke/2, uy = (b.y - a.y) / len * stroke/2;
+        const bar = [
+          { x: a.x - ux + uy, y: a.y - uy - ux },
+          { x: b.x + ux + uy, y: b.y + uy - ux },
+          { x: b.x + ux - uy, y: b.y + uy + ux },
+          { x: a.x - ux - uy, y: a.y - uy + ux },
+        ];
+        // Sunk a little into the top face so the shells overlap rather than touch.
+        meshes.push(extrudeOutline(bar, [], { height: raise * 1.1, base: set.faceWidth - raise * 0.1 }));
+      }
+    }
+  }
+  return joinMeshes(meshes);
+}
+
+export function couponLines(set){
+  // Summary for the dimensions panel / CLI.
+  const what = COUPON_PARAMS[set.param].label;
+  const unit = COUPON_PARAMS[set.param].length ? ` ${set.units}` : '';
+  const lines = [`Coupons: ${set.coupons.length} ${set.kind === 'gear' ? 'gear segments' : 'rack segments'} sweeping ${what}`];
+  for(const k of set.coupons){
+    lines.push(`  ${k.label}${unit}: tooth thickness at pitch ${fmt(k.c.s, set.units)} ${set.units}`);
+  }
+  if(set.coupons.length) lines.push(`Labels: single-stroke, ${fmt(set.textHeight, set.units)} ${set.units} high (TEXT layer; raised in STL)`);
+  return lines;
+}
@@ -0,0 +1,136 @@
+// Cycloidal tooth form, as used in clocks and instruments: above the pitch circle each flank is an
+// epicycloid, below it a hypocycloid, each traced by a point on a generating circle rolling on the pitch
+// circle (outside for the addendum, inside for the dedendum). Two gears run conjugate when the circle that
+// forms one's addenda also forms the other's dedenda; a generating circle of half the pitch radius makes
+// radial (straight) dedendum flanks. Pure math like gear.js, which calls in here for cycloidal teeth.
+
+// Proportions in modules (spur only: m is the module), after the BS 978-2 clock-train pattern. Wheel:
+// half-pitch teeth with the full epicycloidal (ogival) addendum and a 1.57·m root; pinion: thinner leaves
+// (1.05·m up to 10 leaves, 1.25·m above) with round tops, rooted 0.4·m below the tips of its wheel.
+// Custom: half-pitch teeth, addendum 1·m (less if the ogive points first), dedendum 1.25·m.
+export const CYCLOID_PRESETS = {
+  wheel: { thickness: () => Math.PI/2, tip: 'epicycloid', dedendum: () => Math.PI/2 },
+  pinion: { thickness: (N) => N <= 10 ? 1.05 : 1.25, tip: 'round', clearance: 0.4 },
+  custom: { thickness: () => Math.PI/2, tip: 'epicycloid', addendum: 1, dedendum: () => 1.25 },
+};
+
+function epicycloid(R, rho, t){
+  // Generating circle of radius rho rolled by t (carrier angle) outside the pitch circle R, from (R, 0).
+  const k = (R + rho) / rho;
+  return { x: (R + rho) * Math.cos(t) - rho * Math.cos(k*t), y: (R + rho) * Math.sin(t) - rho * Math.sin(k*t) };
+}
+
+function hypocycloid(R, rho, t){
+  // The same circle rolled inside the pitch circle. rho = R/2 traces the radius itself.
+  const k = (R - rho) / rho;
+  return { x: (R - rho) * Math.cos(t) + rho * Math.cos(k*t), y: (R - rho) * Math.sin(t) - rho * Math.sin(k*t) };
+}
+
+function solve(f, lo, hi){
+  // f(lo) < 0 ≤ f(hi), by bisection.
+  for(let i=0;i<60;i++){
+    const mid = (lo + hi) / 2;
+    if(f(mid) < 0) lo = mid; else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+function epiPointed(R, rho, half){
+  // Roll and radius where the epicycloidal flanks of a tooth with half-angle `half` at the pitch circle
+  // meet on the centreline. A flank that never gets there within one lobe stops at the lobe's crest (R + 2ρ).
+  const crest = Math.PI * rho / R;
+  const turn = (t) => { const p = epicycloid(R, rho, t); return Math.atan2(p.y, p.x) - half; };
+  if(turn(crest) < 0) return { t: crest, r: R + 2*rho };
+  const t = solve(turn, 0, crest);
+  const p = epicycloid(R, rho, t);
+  return { t, r: Math.hypot(p.x, p.y) };
+}
+
+export function cycloidProportions(inp, { N, m, p, backlash }){
+  // Tooth thickness, addendum, dedendum and generating circles for a cycloidal spur gear of N teeth.
+  // Generating circles default to half the pitch radius of the gear whose flank they also form: the
+  // mate's for the addendum, this gear's own for the dedendum (radial flanks on both).
+  const preset = CYCLOID_PRESETS[inp.cycloidPreset] || CYCLOID_PRESETS.wheel;
+  const R = m * N / 2;
+  const mateN = inp.cycloidMate;
+  const rollA = inp.rollAddendum > 0 ? inp.rollAddendum/2 : m * mateN / 4;
+  const rollD = inp.rollDedendum > 0 ? inp.rollDedendum/2 : R / 2;
+  const s0 = preset.thickness(N) * m;
+  const s = Math.max(0, s0 - backlash);
+  const tip = preset.tip;
+
+  // Natural addendum: the ogive's point, or a round top the width of the tooth at pitch.
+  const rRound = 2 * R * Math.sin(s / (4*R));
+  const pointed = epiPointed(R, rollA, s / (2*R));
+  const aNatural = tip === 'round' ? rRound : preset.addendum ? Math.min(preset.addendum * m, pointed.r - R) : pointed.r - R;
+  const a = inp.addendum > 0 ? inp.addendum : aNatural;
+
+  // A pinion's root clears the tip of the wheel it drives: the wheel's own ogive, on the same circle
+  // that forms this pinion's dedenda.
+  let bNatural;
+  if(preset.dedendum) bNatural = preset.dedendum(N) * m;
+  else {
+    const Rm = m * mateN / 2;
+    bNatural = epiPointed(Rm, rollD, (CYCLOID_PRESETS.wheel.thickness(mateN) * m) / (2*Rm)).r - Rm + preset.clearance * m;
+  }
+  const b = inp.dedendum > 0 ? inp.dedendum : bNatural;
+
+  return {
+    cycloidPreset: CYCLOID_PRESETS[inp.cycloidPreset] ? inp.cycloidPreset : 'wheel',
+    cycloidTip: tip,
+    cycloidMate: mateN,
+    rollAddendum: 2 * rollA,
+    rollDedendum: 2 * rollD,
+    dPointed: 2 * pointed.r,
+    s0, s, e: p - s, a, b,
+  };
+}
+
+export function cycloidFlank(c, samples){
+  // +angle flank of the tooth centred at angle 0, root → tip: the hypocycloid from the root circle up to
+  // the pitch circle, then the epicycloid (or the round top) to the tip. { flank, rTip }.
+  const R = c.D/2;
+  const half = c.s / (2*R);
+  const rRoot = c.Dr_ext/2;
+  const rA = c.rollAddendum/2, rD = c.rollDedendum/2;
+  const turn = (pt, a) => ({ x: pt.x * Math.cos(a) - pt.y * Math.sin(a), y: pt.x * Math.sin(a) + pt.y * Math.cos(a) });
+
+  // Dedendum: the hypocycloid only reaches R − 2ρ; a deeper root carries on radially from there.
+  const flank = [];
+  const trough = Math.PI * rD / R;
+  const depth = (t) => { const q = hypocycloid(R, rD, t); return rRoot - Math.hypot(q.x, q.y); };
+  const tRoot = depth(trough) >= 0 ? solve(depth, 0, trough) : trough;
+  const low = turn(hypocycloid(R, rD, tRoot), half);
+  const rLow = Math.hypot(low.x, low.y);
+  if(rLow - rRoot > 1e-9) flank.push({ x: rRoot * low.x / rLow, y: rRoot * low.y / rLow });
+  for(let i=samples;i>0;i--) flank.push(turn(hypocycloid(R, rD, tRoot * i/samples), half));
+
+  // Addendum, cut at the tip circle unless the flanks meet first.
+  const rWant = R + c.a;
+  if(c.cycloidTip === 'round'){
+    // Circle on the tooth centreline at the pitch circle, through both pitch points.
+    const rc = 2 * R * Math.sin(half / 2);
+    const a0 = Math.atan2(R * Math.sin(half), R * Math.cos(half) - R);
+    const pts = [];
+    for(let i=0;i<=samples;i++){
+      const a = a0 * (1 - i/samples);
+      pts.push({ x: R + rc * Math.cos(a), y: rc * Math.sin(a) });
+    }
+    const rTip = Math.min(rWant, R + rc);
+    const k = pts.findIndex(p => Math.hypot(p.x, p.y) > rTip + 1e-12);
+    if(k > 0){
+      // Flat top: stop where the round meets the tip circle.
+      const aCut = solve((a) => Math.hypot(R + rc * Math.cos(a), rc * Math.sin(a)) - rTip, a0, a0 * (1 - k/samples));
+      pts.splice(k, pts.length - k, { x: R + rc * Math.cos(aCut), y: rc * Math.sin(aCut) });
+    }
+    return { flank: [...flank, ...pts], rTip };
+  }
+  const pointed = epiPointed(R, rA, half);
+  const rTip = Math.min(rWant, pointed.r);
+  const tTip = rTip < pointed.r ? solve((t) => { const q = epicycloid(R, rA, t); return Math.hypot(q.x, q.y) - rTip; }, 0, pointed.t) : pointed.t;
+  for(let i=0;i<=samples;i++){
+    const q = epicycloid(R, rA, tTip * i/samples);
+    flank.push(turn({ x: q.x, y: -q.y }, half));
+  }
+  return { flank, rTip };
+}
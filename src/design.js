@@ -0,0 +1,287 @@
+// Saved designs: the whole form as versioned JSON (Save/Open) and as a compact URL hash (share links).
+// Files are migrated forward one version at a time and checked field by field, so a bad file yields a
+// list of "section.field: problem" messages instead of a half-applied form.
+//
+// Version history
+//   0  unversioned: a flat object of form ids → values (what spec.js and CLI batch rows use)
+//   1  { format, version, gear, hub, pair, export }, each section keyed by form id
+//   2  gear.pitchDiameter replaced by a design basis: gear.basis (module | pitch), gear.module (mm) and
+//      gear.diametralPitch (1/in); D follows from N. Older designs get the basis that gives their D back.
+//   3  new section coupon (couponKind, couponParam, couponStart, couponStep, couponCount, couponTeeth,
+//      couponText). From here on a version only adds fields: an older design opens as is, with the form
+//      defaults for what it lacks, and an older reader turns the newer file away instead of listing its new
+//      fields as unknown.
+//   4  new section train (trainStages, trainInputSpeed, trainTarget, trainTolerance, trainSolveStages,
+//      trainMinTeeth, trainMaxTeeth, trainMinCenter, trainMaxCenter).
+//   5  new section planetary (planetMode, planetRingTeeth, planetCount, planetTeeth, planetShift).
+//   6  gear gains the cycloidal profile: profile, cycloidPreset, cycloidMate, rollAddendum, rollDedendum.
+//   7  gear gains the sector fields: sectorMode, sectorStart, sectorSpan, sectorTeeth, sectorArm, sectorStops.
+//   8  new section worm (wormMode, wormStarts, wormSize, wormQ, wormDiameter, wormLength, wormFriction).
+//   9  new section load (loadMode, loadTorque, loadPower, loadSpeed, loadFactor, loadMaterial, loadYoung,
+//      loadPoisson, loadBendLimit, loadContactLimit, loadMinBending, loadMinContact).
+//   10 new section tolerance (tolSystem, tolGrade, tolQuality, tolCenter, tolOutline).
+
+import { DEFAULT_SPEC, SPEC_CHOICES, HUB_FIELDS, valueErrors, basisFromDiameter } from './spec.js';
+import { MATERIALS } from './rating.js';
+
+export const DESIGN_FORMAT = 'gear-lab-design';
+export const DESIGN_VERSION = 10;
+
+// Form fields outside the gear spec, with the form defaults (index.html).
+const FORM_DEFAULTS = {
+  ...DEFAULT_SPEC,
+  pairKind: 'none',
+  pairTeeth: 36,
+  pairShift: 0,
+  pairCenter: 0,
+  loadMode: 'off',
+  loadTorque: 10,
+  loadPower: 1,
+  loadSpeed: 1000,
+  loadFactor: 1,
+  loadMaterial: 'steel-c45',
+  loadYoung: 210000,
+  loadPoisson: 0.3,
+  loadBendLimit: 220,
+  loadContactLimit: 560,
+  loadMinBending: 1.4,
+  loadMinContact: 1,
+  tolSystem: 'none',
+  tolGrade: 7,
+  tolQuality: 10,
+  tolCenter: 0,
+  tolOutline: 'nominal',
+  planetMode: 'off',
+  planetRingTeeth: 72,
+  planetCount: 3,
+  planetTeeth: 0,
+  planetShift: 0,
+  wormMode: 'off',
+  wormStarts: 1,
+  wormSize: 'q',
+  wormQ: 10,
+  wormDiameter: 20,
+  wormLength: 0,
+  wormFriction: 0.05,
+  trainStages: '',
+  trainInputSpeed: 1000,
+  trainTarget: 0,
+  trainTolerance: 1,
+  trainSolveStages: 2,
+  trainMinTeeth: 18,
+  trainMaxTeeth: 80,
+  trainMinCenter: 0,
+  trainMaxCenter: 0,
+  couponKind: 'none',
+  couponParam: 'backlash',
+  couponStart: 0,
+  couponStep: 0.05,
+  couponCount: 5,
+  couponTeeth: 4,
+  couponText: 0,
+  dxfVersion: 'R12',
+  dxfUnits: 'design',
+  dxfPrecision: 6,
+  dxfReference: 'on',
+  stlFormat: 'binary',
+};
+
+const FORM_CHOICES = {
+  ...SPEC_CHOICES,
+  pairKind: ['none', 'external', 'internal', 'rack'],
+  loadMode: ['off', 'torque', 'power'],
+  loadMaterial: [...Object.keys(MATERIALS), 'custom'],
+  tolSystem: ['none', 'iso', 'agma'],
+  tolOutline: ['nominal', 'max', 'min'],
+  planetMode: ['off', 'on'],
+  wormMode: ['off', 'on'],
+  wormSize: ['q', 'diameter'],
+  couponKind: ['none', 'rack', 'gear'],
+  couponParam: ['backlash', 'thickness', 'profileShift'],
+  dxfVersion: ['R12', 'R2000'],
+  dxfUnits: ['design', 'mm', 'in', 'none'],
+  dxfReference: ['on', 'off'],
+  stlFormat: ['binary', 'ascii'],
+};
+
+export const FORM_FIELDS = Object.keys(FORM_DEFAULTS);
+// Export settings only shape the files written; they don't change the drawing.
+export const EXPORT_FIELDS = ['dxfVersion', 'dxfUnits', 'dxfPrecision', 'dxfReference', 'stlFormat'];
+
+const SECTIONS = {
+  gear: Object.keys(DEFAULT_SPEC).filter(f => !HUB_FIELDS.includes(f)),
+  hub: HUB_FIELDS,
+  pair: ['pairKind', 'pairTeeth', 'pairShift', 'pairCenter'],
+  load: ['loadMode', 'loadTorque', 'loadPower', 'loadSpeed', 'loadFactor', 'loadMaterial', 'loadYoung', 'loadPoisson', 'loadBendLimit', 'loadContactLimit', 'loadMinBending', 'loadMinContact'],
+  tolerance: ['tolSystem', 'tolGrade', 'tolQuality', 'tolCenter', 'tolOutline'],
+  planetary: ['planetMode', 'planetRingTeeth', 'planetCount', 'planetTeeth', 'planetShift'],
+  worm: ['wormMode', 'wormStarts', 'wormSize', 'wormQ', 'wormDiameter', 'wormLength', 'wormFriction'],
+  train: ['trainStages', 'trainInputSpeed', 'trainTarget', 'trainTolerance', 'trainSolveStages', 'trainMinTeeth', 'trainMaxTeeth', 'trainMinCenter', 'trainMaxCenter'],
+  coupon: ['couponKind', 'couponParam', 'couponStart', 'couponStep', 'couponCount', 'couponTeeth', 'couponText'],
+  export: EXPORT_FIELDS,
+};
+
+// Fields earlier versions had and a migration consumes, by section.
+const RETIRED = { pitchDiameter: 'gear' };
+
+// Form fields that are lengths in the design units (the relief starts only while they are diameters,
+// the coupon sweep only while it sweeps a length).
+const LENGTH_FIELDS = [
+  'backlash', 'rollAddendum', 'rollDedendum', 'addendum', 'dedendum', 'rackLength', 'rimDiameter', 'tipEdgeSize', 'rackRootRadius',
+  'tipRelief', 'rootRelief', 'tipReliefStart', 'rootReliefStart', 'faceWidth',
+  'bore', 'flatDepth', 'hubDiameter', 'webWidth', 'pairCenter', 'tolCenter', 'wormDiameter', 'wormLength', 'trainMinCenter', 'trainMaxCenter',
+  'couponStart', 'couponStep', 'couponText',
+];
+
+function typed(field, v){
+  return FORM_CHOICES[field] || typeof FORM_DEFAULTS[field] === 'string' ? v : Number(v);
+}
+
+function grouped(flat, version = DESIGN_VERSION){
+  // Flat form values → sections; anything unrecognised is kept aside so validation can name it.
+  const design = { format: DESIGN_FORMAT, version };
+  for(const [section, fields] of Object.entries(SECTIONS)){
+    design[section] = {};
+    for(const f of fields) if(flat[f] !== undefined) design[section][f] = flat[f];
+  }
+  for(const [f, section] of Object.entries(RETIRED)) if(flat[f] !== undefined) design[section][f] = flat[f];
+  const known = new Set([...Object.values(SECTIONS).flat(), ...Object.keys(RETIRED)]);
+  const extra = Object.keys(flat).filter(k => !known.has(k) && k !== 'format' && k !== 'version');
+  if(extra.length) design.unknown = Object.fromEntries(extra.map(k => [k, flat[k]]));
+  return design;
+}
+
+function flattened(design){
+  const flat = {};
+  for(const section of Object.keys(SECTIONS)) Object.assign(flat, design[section]);
+  return flat;
+}
+
+// MIGRATIONS[n] takes a version-n design to version n + 1.
+const MIGRATIONS = [
+  (flat) => grouped(flat, 1),
+  (design) => {
+    // v1 typed D (default 48, so a design that never touched it still means 48); keep its geometry.
+    const gear = design.gear;
+    if(!gear || typeof gear !== 'object' || Array.isArray(gear)) return { ...design, version: 2 };
+    const { pitchDiameter = 48, ...rest } = gear;
+    if(!(Number(pitchDiameter) > 0)) return { ...design, version: 2 };
+    return { ...design, version: 2, gear: { ...rest, ...basisFromDiameter(rest, pitchDiameter) } };
+  },
+  // From v3 on a version only adds fields; their defaults stand in for what an older design lacks.
+  (design) => ({ ...design, version: 3 }),
+  (design) => ({ ...design, version: 4 }),
+  (design) => ({ ...design, version: 5 }),
+  (design) => ({ ...design, version: 6 }),
+  (design) => ({ ...design, version: 7 }),
+  (design) => ({ ...design, version: 8 }),
+  (design) => ({ ...design, version: 9 }),
+  (design) => ({ ...design, version: 10 }),
+];
+
+export function designFromForm(values){
+  // values: form id → value as read off the inputs (strings are fine).
+  const flat = {};
+  for(const f of FORM_FIELDS) flat[f] = typed(f, values[f] ?? FORM_DEFAULTS[f]);
+  return grouped(flat);
+}
+
+export function formFromDesign(design){
+  // Every form id with its value from the design, or the form default where the design is silent.
+  const flat = flattened(design);
+  return Object.fromEntries(FORM_FIELDS.map(f => [f, flat[f] !== undefined ? flat[f] : FORM_DEFAULTS[f]]));
+}
+
+export function rescaleLengths(values, from, to){
+  // Form values after switching units: every length converted, everything else (module, diametral
+  // pitch, angles, counts, coefficients) as it was. Rounded to 0.000001 in / 0.0001 mm: far below any
+  // tolerance, readable in the inputs, and mm → in → mm comes back to what was typed.
+  if(from === to) return { ...values };
+  const k = from === 'mm' ? 1/25.4 : 25.4;
+  const places = to === 'in' ? 6 : 4;
+  const out = { ...values };
+  for(const f of LENGTH_FIELDS){
+    if((f === 'tipReliefStart' || f === 'rootReliefStart') && values.reliefBasis === 'roll') continue;
+    if((f === 'couponStart' || f === 'couponStep') && values.couponParam === 'profileShift') continue;
+    const v = Number(values[f]);
+    if(values[f] !== undefined && String(values[f]).trim() !== '' && Number.isFinite(v)) out[f] = Number((v * k).toFixed(places));
+  }
+  return out;
+}
+
+export function readDesign(data){
+  // Parsed JSON (or a hash) → { design, errors, migratedFrom }. design is null whenever errors is non-empty.
+  const fail = (field, message) => ({ design: null, errors: [{ field, message }], migratedFrom: null });
+  if(!data || typeof data !== 'object' || Array.isArray(data)) return fail('(file)', 'not a design: expected a JSON object');
+  if(data.format !== undefined && data.format !== DESIGN_FORMAT) return fail('format', `expected "${DESIGN_FORMAT}", got "${data.format}"`);
+
+  const from = data.version === undefined ? 0 : data.version;
+  if(!Number.isInteger(from) || from < 0) return fail('version', `not a schema version: "${data.version}"`);
+  if(from > DESIGN_VERSION) return fail('version', `saved by a newer Gear Geometry Lab (schema v${from}); this page reads up to v${DESIGN_VERSION}`);
+
+  let design = data;
+  for(let v = from; v < DESIGN_VERSION; v++) design = MIGRATIONS[v](design);
+
+  const errors = [];
+  for(const key of Object.keys(design)){
+    if(key !== 'format' && key !== 'version' && !SECTIONS[key] && key !== 'unknown') errors.push({ field: key, message: 'unknown section' });
+  }
+  for(const [field] of Object.entries(design.unknown || {})) errors.push({ field, message: 'unknown field' });
+  for(const [section, fields] of Object.entries(SECTIONS)){
+    const values = design[section] ?? {};
+    if(typeof values !== 'object' || Array.isArray(values)){
+      errors.push({ field: section, message: 'expected an object' });
+      continue;
+    }
+    const defaults = Object.fromEntries(fields.map(f => [f, FORM_DEFAULTS[f]]));
+    for(const e of valueErrors(values, defaults, FORM_CHOICES)){
+      const message = RETIRED[e.field] ? `could not be converted (expected a number > 0, got "${values[e.field]}")` : e.message;
+      errors.push({ field: `${section}.${e.field}`, message });
+    }
+  }
+  if(errors.length) return { design: null, errors, migratedFrom: from < DESIGN_VERSION ? from : null };
+
+  const clean = { format: DESIGN_FORMAT, version: DESIGN_VERSION };
+  for(const [section, fields] of Object.entries(SECTIONS)){
+    clean[section] = {};
+    for(const f of fields) if(design[section]?.[f] !== undefined) clean[section][f] = typed(f, design[section][f]);
+  }
+  return { design: clean, errors, migratedFrom: from < DESIGN_VERSION ? from : null };
+}
+
+export function parseDesignText(text){
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch(err){
+    return { design: null, errors: [{ field: '(file)', message: `not valid JSON (${err.message})` }], migratedFrom: null };
+  }
+  return readDesign(data);
+}
+
+export function designToText(design){
+  return JSON.stringify(design, null, 2) + '\n';
+}
+
+export function designToHash(design){
+  // Only what differs from the form defaults, as v=1&teeth=30&… — short enough to paste into a ticket.
+  const flat = flattened(design);
+  const params = new URLSearchParams({ v: String(design.version) });
+  for(const f of FORM_FIELDS){
+    if(flat[f] !== undefined && String(flat[f]) !== String(FORM_DEFAULTS[f])) params.set(f, String(flat[f]));
+  }
+  return params.toString();
+}
+
+export function designFromHash(hash){
+  // '' / '#' → null (no design in the URL); otherwise the same result shape as readDesign.
+  const text = String(hash || '').replace(/^#/, '');
+  if(!text) return null;
+  const params = new URLSearchParams(text);
+  const flat = {};
+  for(const [k, v] of params) if(k !== 'v') flat[k] = v;
+  const version = params.has('v') ? Number(params.get('v')) : 0;
+  // A hash is always flat; from v1 on it carries the version so old links keep migrating.
+  if(version >= 1 && version <= DESIGN_VERSION) return readDesign({ ...grouped(flat), version });
+  return readDesign(version === 0 ? flat : { version });
+}
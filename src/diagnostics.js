@@ -0,0 +1,254 @@
+// Input validation and geometric sanity checks. computeGear takes whatever it is given (N = 0, a rack
+// with no module, backlash eating the whole tooth) and clamps its way to *some* number; this module says
+// so. Every finding names the form input behind it (field = input id) and is either an error — the
+// geometry is meaningless, so nothing is drawn or exported — or a warning: it can be made, but is
+// probably not what was meant.
+
+import { fmt, involute, inverseInvolute } from './gear.js';
+import { computePair } from './pair.js';
+
+// ISO 54 series I and II (1 … 50 mm) plus the fine DIN 780 modules below 1 mm.
+export const STANDARD_MODULES = [
+  0.05, 0.06, 0.07, 0.08, 0.09, 0.1, 0.12, 0.15, 0.2, 0.25, 0.3, 0.35, 0.4, 0.45, 0.5, 0.55, 0.6, 0.65, 0.7, 0.75, 0.8, 0.85, 0.9, 0.95,
+  1, 1.125, 1.25, 1.375, 1.5, 1.75, 2, 2.25, 2.5, 2.75, 3, 3.5, 4, 4.5, 5, 5.5, 6, 7, 8, 9, 10, 11, 12, 14, 16, 18, 20, 22, 25, 28, 32, 36, 40, 45, 50,
+];
+
+// ISO 54 series I, the first choice; the rest of 1 … 50 above is series II.
+export const ISO_54_SERIES_I = [1, 1.25, 1.5, 2, 2.5, 3, 4, 5, 6, 8, 10, 12, 16, 20, 25, 32, 40, 50];
+
+// AGMA coarse and fine diametral pitches (teeth per inch of pitch diameter).
+export const STANDARD_DIAMETRAL_PITCHES = [
+  1, 1.25, 1.5, 1.75, 2, 2.5, 3, 4, 5, 6, 8, 10, 12, 16, 20, 24, 32, 40, 48, 64, 72, 80, 96, 120, 128, 150, 200,
+];
+
+function error(field, message){
+  return { level: 'error', field, message };
+}
+
+function warning(field, message){
+  return { level: 'warning', field, message };
+}
+
+export function hasErrors(diagnostics){
+  return diagnostics.some(d => d.level === 'error');
+}
+
+function nearest(list, v){
+  // The standard values either side of v (one if v is off either end).
+  const hi = list.find(s => s > v);
+  const lo = [...list].reverse().find(s => s < v);
+  return [lo, hi].filter(s => s !== undefined);
+}
+
+function inputErrors(inp){
+  // Things no geometry can be built from. Checked on the parsed inputs, before computeGear clamps them.
+  const out = [];
+  const deg = (a) => a * 180/Math.PI;
+  const isRack = inp.type === 'rack';
+
+  // The basis is a cutter size (module in mm or diametral pitch per inch); D = N·mn/cos β follows from it.
+  const sizeField = inp.basis === 'pitch' ? 'diametralPitch' : 'module';
+  const size = inp.basis === 'pitch' ? inp.diametralPitch : inp.module;
+  if(!(Number.isFinite(size) && size > 0)) out.push(error(sizeField, `${inp.basis === 'pitch' ? 'diametral pitch' : 'module'} must be > 0`));
+  if(isRack){
+    // The rack itself only needs the module; N is how many teeth the reference gear (and preview) has.
+    if(!(Number.isFinite(inp.N) && inp.N > 0)) out.push(error('teeth', `rack needs a reference tooth count N > 0 (got ${inp.N})`));
+    if(!(inp.rackLength > 0)) out.push(error('rackLength', 'rack length must be > 0'));
+  } else {
+    if(!(Number.isInteger(inp.N) && inp.N >= 3)) out.push(error('teeth', `tooth count must be a whole number ≥ 3 (got ${inp.N})`));
+  }
+  if(!(inp.phi > 0 && deg(inp.phi) < 45)) out.push(error('pressureAngle', `pressure angle must be between 0° and 45° (got ${deg(inp.phi)}°)`));
+  if(!(deg(inp.helixAngle) >= 0 && deg(inp.helixAngle) <= 45)){
+    // The hand is its own field: a negative angle is a mistake, not a left-hand helix.
+    const hint = inp.helixAngle < 0 ? '; set Helix hand for a left-hand gear' : '';
+    out.push(error('helixAngle', `helix angle must be 0° … 45° (got ${deg(inp.helixAngle)}°)${hint}`));
+  }
+  if(!(Number.isFinite(inp.backlash) && inp.backlash >= 0)) out.push(error('backlash', 'backlash must be ≥ 0'));
+
+  // Overrides and sizes where a negative value used to be dropped without a word.
+  const nonNegative = {
+    addendum: 'addendum override', dedendum: 'dedendum override', rackTipRadius: 'cutter tip radius',
+    faceWidth: 'face width', tipEdgeSize: 'tip edge size', rackRootRadius: 'root corner radius',
+    tipRelief: 'tip relief', rootRelief: 'root relief', tipReliefStart: 'tip relief start', rootReliefStart: 'root relief start',
+    rimDiameter: 'rim diameter', rollAddendum: 'addendum generating circle', rollDedendum: 'dedendum generating circle',
+  };
+  const zero = { addendum: 'standard', dedendum: 'standard', rollAddendum: 'auto', rollDedendum: 'auto' };
+  for(const [field, what] of Object.entries(nonNegative)){
+    if(!(Number.isFinite(inp[field]) && inp[field] >= 0)) out.push(error(field, `${what} must be ≥ 0 (0 = ${zero[field] || 'off'})`));
+  }
+
+  // Cycloidal teeth (external gears only; the others ignore the profile) are spur, sized against their mate.
+  if(inp.profile === 'cycloidal' && inp.type === 'external'){
+    if(inp.helixAngle > 0) out.push(error('helixAngle', 'cycloidal gears are spur gears: set the helix angle to 0'));
+    const needsMate = !(inp.rollAddendum > 0) || inp.cycloidPreset === 'pinion';
+    if(needsMate && !(Number.isInteger(inp.cycloidMate) && inp.cycloidMate >= 3)) out.push(error('cycloidMate', `mate tooth count must be a whole number ≥ 3 (got ${inp.cycloidMate})`));
+    if(inp.rollDedendum > 0 && inp.rollDedendum >= inp.D) out.push(error('rollDedendum', 'must be smaller than the pitch diameter D: it rolls inside the pitch circle'));
+  }
+
+  // Sectors: a span short of a full turn, or fewer teeth than the full gear (a rack: at least one).
+  if(inp.sectorMode === 'span' && !isRack){
+    if(!Number.isFinite(inp.sectorStart)) out.push(error('sectorStart', 'start angle must be a number'));
+    if(!(deg(inp.sectorSpan) > 0 && deg(inp.sectorSpan) < 360)) out.push(error('sectorSpan', `sector span must be between 0° and 360° (got ${deg(inp.sectorSpan)}°; 360° is the full gear)`));
+  }
+  if(inp.sectorMode === 'teeth'){
+    if(!isRack && !Number.isFinite(inp.sectorStart)) out.push(error('sectorStart', 'start angle must be a number'));
+    if(!(Number.isInteger(inp.sectorTeeth) && inp.sectorTeeth >= 1)) out.push(error('sectorTeeth', `sector tooth count must be a whole number ≥ 1 (got ${inp.sectorTeeth})`));
+    else if(!isRack && inp.sectorTeeth >= inp.N) out.push(error('sectorTeeth', `${inp.sectorTeeth} of ${inp.N} teeth is the whole gear: fewer teeth, or sector off`));
+  }
+  return out;
+}
+
+export function tipThickness(c, type){
+  // Transverse tooth thickness on the tip circle: s_y = d_y·(s/d ± (inv α − inv α_y)), + for external
+  // teeth (thinning outwards), − for internal ones (thinning inwards). Rack: flat flanks.
+  if(type === 'rack') return { s: c.s - 2 * c.a * Math.tan(c.phi) };
+  const rb = c.Db/2;
+  const rTip = type === 'internal' ? c.Dt_int/2 : c.Do_ext/2;
+  if(rTip <= rb) return { s: NaN, belowBase: true };
+  const ay = Math.acos(rb / rTip);
+  const sign = type === 'internal' ? -1 : 1;
+  const s = 2 * rTip * (c.s / c.D + sign * (involute(c.phi) - involute(ay)));
+  let dPointed = NaN;
+  if(type === 'external'){
+    const ap = inverseInvolute(c.s / c.D + involute(c.phi));
+    dPointed = c.Db / Math.cos(ap);
+  }
+  return { s, dPointed };
+}
+
+function involuteChecks(inp, c, L, aField){
+  const out = [];
+  // Pointed teeth: tip thickness ≤ 0 means the flanks cross inside the tip circle.
+  const tip = tipThickness(c, inp.type);
+  if(tip.belowBase){
+    out.push(warning(aField, `tip circle is inside the base circle Ø${L(c.Db)}: the internal teeth have no involute at the tip`));
+  } else if(tip.s <= 1e-9){
+    const where = Number.isFinite(tip.dPointed) ? ` (flanks meet at Ø${L(tip.dPointed)}, tip circle Ø${L(c.Do_ext)})` : '';
+    out.push(error(aField, `pointed teeth: tooth thickness at the tip ${L(tip.s)} ≤ 0${where}`));
+  } else if(tip.s < 0.2 * c.mn){
+    out.push(warning(aField, `thin tips: ${L(tip.s)} at the tip, under 0.2·m (${L(0.2 * c.mn)})`));
+  }
+
+  if(c.undercutRisk){
+    out.push(warning('profileShift', `undercut: x = ${fmt(c.x)} is below x_min = ${fmt(c.xMinNoUndercut)} for ${c.beta > 0 ? `zn = ${fmt(c.zn)}` : `N = ${inp.N}`}`));
+  }
+  return out;
+}
+
+function cycloidChecks(inp, c, L){
+  const out = [];
+  // Past half the pitch circle the hypocycloid leans back in: the tooth is thinnest at its root.
+  if(c.rollDedendum > c.D/2 + 1e-9){
+    out.push(warning('rollDedendum', `generating circle Ø${L(c.rollDedendum)} is over half the pitch diameter (${L(c.D/2)}): the dedendum flanks undercut the tooth`));
+  }
+  if(c.cycloidTip === 'epicycloid' && c.Do_ext > c.dPointed + 1e-9){
+    out.push(warning('addendum', `the flanks meet at Ø${L(c.dPointed)}, inside the tip circle Ø${L(c.Do_ext)}: the teeth are drawn pointed`));
+  }
+  return out;
+}
+
+function sectorChecks(inp, c, L){
+  const out = [];
+  const sec = c.sector;
+  if(inp.type === 'rack'){
+    if(sec.teeth < 1){
+      out.push(error('rackLength', `rack length ${L(c.rackLength)} holds no tooth${sec.stops ? ' between the end stops' : ''} (pitch ${L(c.p)})`));
+    } else if(sec.toothed > c.rackLength + 1e-9){
+      out.push(error('sectorTeeth', `${sec.teeth} teeth take ${L(sec.toothed)}, more than the rack length ${L(c.rackLength)}`));
+    } else if(sec.stops && sec.stopLength < c.p/2 - 1e-9){
+      out.push(warning('sectorStops', `end stops only ${L(sec.stopLength)} long, under half a pitch (${L(c.p/2)})`));
+    }
+    return out;
+  }
+  if(sec.teeth < 1){
+    const deg = (a) => fmt(a * 180/Math.PI, 'deg');
+    out.push(error('sectorSpan', `no whole tooth fits in ${deg(sec.span)}° from ${deg(sec.start)}° (one tooth takes ${deg(sec.pitchAngle)}°)`));
+  }
+  return out;
+}
+
+function geometryChecks(inp, c){
+  const out = [];
+  const u = inp.units === 'in' ? 'in' : 'mm';
+  const L = (v) => `${fmt(v, u)} ${u}`;
+  const isRack = inp.type === 'rack';
+  // What sets the proportions when they are not typed in: the shift, or the cycloidal preset.
+  const auto = c.profile === 'cycloidal' ? 'cycloidPreset' : 'profileShift';
+  const aField = inp.addendum > 0 ? 'addendum' : auto;
+  const bField = inp.dedendum > 0 ? 'dedendum' : auto;
+
+  // Tooth proportions
+  if(!(c.a > 0)) out.push(error(aField, `addendum ${L(c.a)} ≤ 0: the tip sits on or inside the pitch ${isRack ? 'line' : 'circle'}`));
+  if(!(c.b > 0)) out.push(error(bField, `dedendum ${L(c.b)} ≤ 0: the root sits on or outside the pitch ${isRack ? 'line' : 'circle'}`));
+  if(inp.type === 'external' && c.b >= c.D/2) out.push(error(bField, `dedendum ${L(c.b)} ≥ D/2 = ${L(c.D/2)}: no root circle left (it was clamped to Ø0.001)`));
+  if(inp.type === 'internal' && c.a >= c.D/2) out.push(error(aField, `addendum ${L(c.a)} ≥ D/2 = ${L(c.D/2)}: no tip circle left (it was clamped to Ø0.001)`));
+  if((inp.addendum > 0 || inp.dedendum > 0) && c.b < c.mn){
+    out.push(warning(inp.dedendum > 0 ? 'dedendum' : 'addendum', `dedendum ${L(c.b)} is below a standard mate's addendum ${L(c.mn)}: no tip clearance`));
+  }
+
+  // Backlash comes off the tooth; past s0 there is no tooth left.
+  if(c.backlash >= c.s0) {
+    out.push(error('backlash', `backlash ${L(c.backlash)} ≥ tooth thickness ${L(c.s0)} at pitch: the tooth vanishes`));
+  } else if(c.backlash > 0.25 * c.s0){
+    out.push(warning('backlash', `backlash ${L(c.backlash)} takes more than a quarter of the tooth (${L(c.s0)})`));
+  }
+  if(out.some(d => d.level === 'error')) return out;
+
+  if(c.profile === 'cycloidal') out.push(...cycloidChecks(inp, c, L));
+  else out.push(...involuteChecks(inp, c, L, aField));
+
+  // Module / diametral pitch off the standard series: no stock cutter for it. Helical: the normal module.
+  if(inp.basis === 'pitch'){
+    const P = inp.diametralPitch;
+    const ok = STANDARD_DIAMETRAL_PITCHES.some(s => Math.abs(P - s) <= 1e-6 * s);
+    if(!ok) out.push(warning('diametralPitch', `diametral pitch ${c.beta > 0 ? 'Pn' : 'P'} = ${fmt(P)} /in is not a standard pitch (nearest ${nearest(STANDARD_DIAMETRAL_PITCHES, P).join(', ')})`));
+  } else {
+    const m = inp.module;
+    const ok = STANDARD_MODULES.some(s => Math.abs(m - s) <= 1e-6 * s);
+    if(!ok) out.push(warning('module', `${c.beta > 0 ? 'normal module mn' : 'module m'} ${fmt(m)} mm is not an ISO 54 / DIN 780 module (nearest ${nearest(STANDARD_MODULES, m).join(', ')})`));
+  }
+
+  if(c.sector) out.push(...sectorChecks(inp, c, L));
+
+  if(inp.type === 'internal' && inp.rimDiameter > 0 && inp.rimDiameter <= c.Dro_int){
+    out.push(warning('rimDiameter', `rim Ø${L(inp.rimDiameter)} is not outside the root circle Ø${L(c.Dro_int)}; using Ø${L(c.Drim)}`));
+  }
+  return out;
+}
+
+function pairChecks(inp, pair){
+  const out = [];
+  if(!pair || pair.kind === 'none') return out;
+  if(inp.profile === 'cycloidal' && inp.type === 'external'){
+    out.push(error('pairKind', 'the mesh pair is worked out for involute teeth: set the profile to involute, or no mate'));
+    return out;
+  }
+  if(pair.kind === 'rack') return out;
+  if(!(Number.isInteger(pair.N2) && pair.N2 >= 3)) out.push(error('pairTeeth', `mate tooth count must be a whole number ≥ 3 (got ${pair.N2})`));
+  else if(pair.kind === 'internal' && pair.N2 <= inp.N) out.push(error('pairTeeth', `a ring gear needs more teeth than the pinion (N₂ ${pair.N2} ≤ N₁ ${inp.N})`));
+  return out;
+}
+
+function contactChecks(inp, pair){
+  // Under the base circle the flank is the generated fillet, not involute. Most gears have their root
+  // there; it only matters once the mate's tip reaches down to it.
+  const out = [];
+  if(!pair || pair.kind === 'none' || inp.type !== 'external') return out;
+  const r = computePair(inp, pair);
+  if(r.start1 < -1e-9){
+    const u = inp.units === 'in' ? 'in' : 'mm';
+    const L = (v) => `${fmt(v, u)} ${u}`;
+    out.push(warning('profileShift', `the mate's tip reaches ${L(-r.start1)} along the line of action past the base circle Ø${L(r.c1.Db)}: contact runs into the fillet below it (tip interference)`));
+  }
+  return out;
+}
+
+export function diagnose(inp, c, { pair = null } = {}){
+  // Input errors first: with any of those the derived numbers are NaN/∞ or clamped and not worth checking.
+  const out = inputErrors(inp);
+  if(!hasErrors(out)) out.push(...geometryChecks(inp, c));
+  const pairOut = pairChecks(inp, pair);
+  if(!hasErrors(out) && !hasErrors(pairOut)) pairOut.push(...contactChecks(inp, pair));
+  out.push(...pairOut);
+  return out;
+}
@@ -1,56 +1,432 @@
-// Minimal DXF export (R12-ish) using POLYLINE/ VERTEX entities.
-// Good enough for importing outlines into most CAD.
+// DXF export: R12 (POLYLINE/VERTEX) or R2000 (LWPOLYLINE) with layers, units in the header and true arcs.
+// Input is a scene in preview (SVG) coordinates; it is moved to the origin and flipped to CAD's y-up.
 
-function num(n){
-  // DXF likes '.' decimals
-  return (Math.round(n * 1000) / 1000).toString();
+const UNITS = {
+  mm: { insunits: 4, measurement: 1, perMm: 1 },
+  in: { insunits: 1, measurement: 0, perMm: 1/25.4 },
+  none: { insunits: 0, measurement: 1, perMm: 1 },
+};
+
+// Construction layers get their own colour and linetype so CAD can hide or freeze them in one go.
+const LAYERS = {
+  GEAR: { color: 7, ltype: 'CONTINUOUS' },
+  MATE: { color: 8, ltype: 'CONTINUOUS' },
+  PITCH: { color: 1, ltype: 'CENTER' },
+  BASE: { color: 5, ltype: 'DASHED' },
+  ROOT: { color: 3, ltype: 'DASHED' },
+  TIP: { color: 4, ltype: 'DASHED' },
+  TEXT: { color: 2, ltype: 'CONTINUOUS' },
+  SUN: { color: 7, ltype: 'CONTINUOUS' },
+  PLANET: { color: 6, ltype: 'CONTINUOUS' },
+  RING: { color: 8, ltype: 'CONTINUOUS' },
+  CARRIER: { color: 1, ltype: 'CENTER' },
+  WHEEL: { color: 7, ltype: 'CONTINUOUS' },
+  WORM: { color: 6, ltype: 'CONTINUOUS' },
+  AXIS: { color: 1, ltype: 'CENTER' },
+  OUTSIDE: { color: 4, ltype: 'DASHED' },
+};
+
+const LTYPES = [
+  { name: 'CONTINUOUS', text: 'Solid line', pattern: [] },
+  { name: 'DASHED', text: 'Dashed __ __ __', pattern: [0.5, -0.25] },
+  { name: 'CENTER', text: 'Center ____ _ ____ _', pattern: [1.25, -0.25, 0.25, -0.25] },
+];
+
+function numFormatter(precision){
+  // DXF likes '.' decimals; trailing zeros and negative zero are noise.
+  const p = Math.max(0, Math.min(12, Math.floor(precision)));
+  return (n) => {
+    const s = n.toFixed(p);
+    const t = p > 0 ? s.replace(/\.?0+$/, '') : s;
+    return t === '-0' ? '0' : t;
+  };
 }
 
-function header(){
-  return [
-    '0','SECTION',
-    '2','HEADER',
-    '9','$ACADVER',
-    '1','AC1009',
-    '0','ENDSEC',
-    '0','SECTION',
-    '2','ENTITIES',
-  ].join('\n') + '\n';
+// ---------- arc recovery ----------
+
+function onCircle(p, c, tol){
+  return Math.abs(Math.hypot(p.x - c.cx, p.y - c.cy) - c.r) <= tol * Math.max(1, c.r);
+}
+
+function sweep(c, a, b){
+  // Signed angle a → b about the circle centre, always the short way (samples are dense).
+  let d = Math.atan2(b.y - c.cy, b.x - c.cx) - Math.atan2(a.y - c.cy, a.x - c.cx);
+  if(d > Math.PI) d -= 2*Math.PI;
+  if(d < -Math.PI) d += 2*Math.PI;
+  return d;
+}
+
+// Turns a closed loop into vertices with bulges: every run of two or more segments that follows one of
+// the `arcs` circles becomes a single arc segment (split so no arc exceeds a half turn). A loop that
+// lies on one circle all the way round comes back as { circle }.
+export function loopToVertices(points, arcs = [], tol = 1e-7){
+  const n = points.length;
+  if(n < 3 || !arcs.length) return { vertices: points.map(p => ({ x: p.x, y: p.y, bulge: 0 })) };
+
+  const segCircle = new Array(n).fill(-1);
+  for(let i=0;i<n;i++){
+    const a = points[i], b = points[(i+1) % n];
+    segCircle[i] = arcs.findIndex(c => onCircle(a, c, tol) && onCircle(b, c, tol) && Math.abs(sweep(c, a, b)) < Math.PI/2);
+  }
+  if(segCircle.every(k => k >= 0 && k === segCircle[0])){
+    const c = arcs[segCircle[0]];
+    const total = segCircle.reduce((s, _, i) => s + sweep(c, points[i], points[(i+1) % n]), 0);
+    if(Math.abs(Math.abs(total) - 2*Math.PI) < 1e-6) return { circle: c };
+  }
+
+  // Start at a run boundary so no run wraps past the end of the array.
+  let s0 = 0;
+  while(s0 < n && segCircle[s0] >= 0 && segCircle[s0] === segCircle[(s0 - 1 + n) % n]) s0++;
+  if(s0 === n) s0 = 0;
+
+  const vertices = [];
+  for(let j=0;j<n;){
+    const i = (s0 + j) % n;
+    const k = segCircle[i];
+    let len = 1;
+    while(k >= 0 && j + len < n && segCircle[(s0 + j + len) % n] === k) len++;
+    if(k < 0 || len < 2){
+      vertices.push({ x: points[i].x, y: points[i].y, bulge: 0 });
+      j++;
+      continue;
+    }
+    // One run: accumulate the sweep and cut it into pieces of at most π.
+    const c = arcs[k];
+    let from = i, acc = 0;
+    for(let t=0;t<len;t++){
+      const a = (s0 + j + t) % n, b = (a + 1) % n;
+      const d = sweep(c, points[a], points[b]);
+      if(Math.abs(acc + d) > Math.PI){
+        vertices.push({ x: points[from].x, y: points[from].y, bulge: Math.tan(acc/4) });
+        from = a; acc = 0;
+      }
+      acc += d;
+    }
+    vertices.push({ x: points[from].x, y: points[from].y, bulge: Math.tan(acc/4) });
+    j += len;
+  }
+  return { vertices };
+}
+
+// ---------- writers ----------
+
+function codes(pairs){
+  return pairs.map(([c, v]) => `${c}\n${v}`).join('\n') + '\n';
+}
+
+function extents(paths, circles, lines){
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  const add = (x, y) => { minX = Math.min(minX, x); minY = Math.min(minY, y); maxX = Math.max(maxX, x); maxY = Math.max(maxY, y); };
+  for(const p of paths) for(const v of p.points) add(v.x, v.y);
+  for(const c of circles){ add(c.cx - c.r, c.cy - c.r); add(c.cx + c.r, c.cy + c.r); }
+  for(const l of lines){ add(l.a.x, l.a.y); add(l.b.x, l.b.y); }
+  return Number.isFinite(minX) ? { minX, minY, maxX, maxY } : { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+}
+
+export function dxfFromScene(scene, opts = {}){
+  const version = opts.version === 'R2000' ? 'R2000' : 'R12';
+  // File units default to the design's; asking for the other system rescales the geometry, 'none' keeps it.
+  const from = UNITS[scene.units] || UNITS.mm;
+  const unit = UNITS[opts.units] || from;
+  const k = unit === UNITS.none ? 1 : unit.perMm / from.perMm;
+  const num = numFormatter(Number.isFinite(opts.precision) ? opts.precision : 6);
+  const o = scene.origin || { x: 0, y: 0 };
+  const P = (p) => ({ x: (p.x - o.x) * k, y: -(p.y - o.y) * k });
+  const C = (c) => ({ cx: (c.cx - o.x) * k, cy: -(c.cy - o.y) * k, r: c.r * k });
+
+  const paths = (scene.paths || []).filter(p => p.points && p.points.length >= 2)
+    .map(p => ({ ...p, points: p.points.map(P), arcs: (p.arcs || []).map(C) }));
+  const circles = (scene.circles || []).filter(c => c.r > 0).map(c => ({ ...c, ...C(c) }));
+  const lines = (scene.lines || []).map(l => ({ ...l, a: P(l.a), b: P(l.b) }));
+
+  // Resolve outlines first: a loop that is really a circle is written as one.
+  const polys = [];
+  for(const p of paths){
+    const closed = p.closed !== false;
+    const res = closed ? loopToVertices(p.points, p.arcs) : { vertices: p.points.map(v => ({ ...v, bulge: 0 })) };
+    if(res.circle) circles.push({ ...res.circle, layer: p.layer });
+    else polys.push({ layer: p.layer, closed, vertices: res.vertices });
+  }
+
+  const layerNames = ['0', ...new Set([...polys, ...circles, ...lines].map(e => e.layer || '0'))].filter((v, i, a) => a.indexOf(v) === i);
+  const ext = extents(paths, circles, lines);
+  const w = version === 'R2000' ? new R2000Writer() : new R12Writer();
+
+  let out = w.header({ unit, ext, num });
+  out += w.tables(layerNames);
+  out += w.blocks();
+  out += codes([[0, 'SECTION'], [2, 'ENTITIES']]);
+  for(const p of polys) out += w.polyline(p, num);
+  for(const c of circles) out += w.circle(c, num);
+  for(const l of lines) out += w.line(l, num);
+  out += codes([[0, 'ENDSEC']]);
+  out += w.objects();
+  out += codes([[0, 'EOF']]);
+  return w.finish(out);
+}
+
+function layerStyle(name){
+  // Numbered layers (PLANET1, PLANET2, …) share their family's style.
+  return LAYERS[name] || LAYERS[name.replace(/\d+$/, '')] || { color: 7, ltype: 'CONTINUOUS' };
 }
 
-function footer(){
+function headerVars({ unit, ext, num }){
   return [
-    '0','ENDSEC',
-    '0','EOF',
-  ].join('\n') + '\n';
-}
-
-function polyline(points, { layer='0', closed=true } = {}){
-  const lines = [];
-  lines.push('0','POLYLINE');
-  lines.push('8', layer);
-  lines.push('66','1');
-  lines.push('70', closed ? '1' : '0');
-
-  for(const p of points){
-    lines.push('0','VERTEX');
-    lines.push('8', layer);
-    lines.push('10', num(p.x));
-    lines.push('20', num(p.y));
-    lines.push('30', '0');
-  }
-
-  lines.push('0','SEQEND');
-  return lines.join('\n') + '\n';
-}
-
-export function dxfFromPolylines(polylines, opts = {}){
-  const { layer='GEAR' } = opts;
-  let out = header();
-  polylines.forEach((pts, i) => {
-    if(!pts || pts.length < 2) return;
-    out += polyline(pts, { layer: `${layer}_${i+1}`, closed: true });
-  });
-  out += footer();
-  return out;
+    [9, '$INSUNITS'], [70, unit.insunits],
+    [9, '$MEASUREMENT'], [70, unit.measurement],
+    [9, '$EXTMIN'], [10, num(ext.minX)], [20, num(ext.minY)], [30, 0],
+    [9, '$EXTMAX'], [10, num(ext.maxX)], [20, num(ext.maxY)], [30, 0],
+  ];
+}
+
+// R12: no handles; $INSUNITS/$MEASUREMENT are newer variables but current readers honour them.
+class R12Writer {
+  header(ctx){
+    return codes([
+      [0, 'SECTION'], [2, 'HEADER'],
+      [9, '$ACADVER'], [1, 'AC1009'],
+      ...headerVars(ctx),
+      [0, 'ENDSEC'],
+    ]);
+  }
+
+  tables(layerNames){
+    const out = [[0, 'SECTION'], [2, 'TABLES']];
+    out.push([0, 'TABLE'], [2, 'LTYPE'], [70, LTYPES.length]);
+    for(const lt of LTYPES){
+      out.push([0, 'LTYPE'], [2, lt.name], [70, 0], [3, lt.text], [72, 65], [73, lt.pattern.length],
+        [40, lt.pattern.reduce((s, d) => s + Math.abs(d), 0)], ...lt.pattern.map(d => [49, d]));
+    }
+    out.push([0, 'ENDTAB']);
+    out.push([0, 'TABLE'], [2, 'LAYER'], [70, layerNames.length]);
+    for(const name of layerNames){
+      const st = layerStyle(name);
+      out.push([0, 'LAYER'], [2, name], [70, 0], [62, st.color], [6, st.ltype]);
+    }
+    out.push([0, 'ENDTAB'], [0, 'ENDSEC']);
+    return codes(out);
+  }
+
+  blocks(){ return ''; }
+  objects(){ return ''; }
+  finish(text){ return text; }
+
+  polyline(p, num){
+    const out = [[0, 'POLYLINE'], [8, p.layer], [66, 1], [10, 0], [20, 0], [30, 0], [70, p.closed ? 1 : 0]];
+    for(const v of p.vertices){
+      out.push([0, 'VERTEX'], [8, p.layer], [10, num(v.x)], [20, num(v.y)], [30, 0]);
+      if(v.bulge) out.push([42, num(v.bulge)]);
+    }
+    out.push([0, 'SEQEND'], [8, p.layer]);
+    return codes(out);
+  }
+
+  circle(c, num){
+    return codes([[0, 'CIRCLE'], [8, c.layer], [10, num(c.cx)], [20, num(c.cy)], [30, 0], [40, num(c.r)]]);
+  }
+
+  line(l, num){
+    return codes([[0, 'LINE'], [8, l.layer], [10, num(l.a.x)], [20, num(l.a.y)], [30, 0], [11, num(l.b.x)], [21, num(l.b.y)], [31, 0]]);
+  }
+}
+
+const SEED = 'HANDSEED';
+
+// R2000: every object carries a handle and its owner; the tables, blocks and root dictionary below are
+// the minimum AutoCAD-family readers expect.
+class R2000Writer {
+  constructor(){
+    this.next = 0x20;
+    this.modelSpace = null;
+  }
+
+  handle(){
+    return (this.next++).toString(16).toUpperCase();
+  }
+
+  header(ctx){
+    // $HANDSEED must lie past every handle in the file, which is only known once it is written (finish()).
+    return codes([
+      [0, 'SECTION'], [2, 'HEADER'],
+      [9, '$ACADVER'], [1, 'AC1015'],
+      [9, '$HANDSEED'], [5, SEED],
+      ...headerVars(ctx),
+      [0, 'ENDSEC'],
+      [0, 'SECTION'], [2, 'CLASSES'], [0, 'ENDSEC'],
+    ]);
+  }
+
+  table(name, entries, subclass = 'AcDbSymbolTable'){
+    const h = this.handle();
+    const out = [[0, 'TABLE'], [2, name], [5, h], [330, 0], [100, subclass], [70, entries.length]];
+    for(const entry of entries) out.push(...entry(h));
+    out.push([0, 'ENDTAB']);
+    return out;
+  }
+
+  tables(layerNames){
+    const rec = (type, sub, h, owner, rest) => [[0, type], [5, h], [330, owner], [100, 'AcDbSymbolTableRecord'], [100, sub], ...rest];
+    const out = [[0, 'SECTION'], [2, 'TABLES']];
+    out.push(...this.table('VPORT', [
+      (t) => rec('VPORT', 'AcDbViewportTableRecord', this.handle(), t, [[2, '*Active'], [70, 0],
+        [10, 0], [20, 0], [11, 1], [21, 1], [12, 0], [22, 0], [40, 100], [41, 1.5]]),
+    ]));
+    out.push(...this.table('LTYPE', LTYPES.map(lt => (t) => rec('LTYPE', 'AcDbLinetypeTableRecord', this.handle(), t, [
+      [2, lt.name], [70, 0], [3, lt.text], [72, 65], [73, lt.pattern.length],
+      [40, lt.pattern.reduce((s, d) => s + Math.abs(d), 0)], ...lt.pattern.flatMap(d => [[49, d], [74, 0]]),
+    ]))));
+    out.push(...this.table('LAYER', layerNames.map(name => (t) => {
+      const st = layerStyle(name);
+      return rec('LAYER', 'AcDbLayerTableRecord', this.handle(), t, [[2, name], [70, 0], [62, st.color], [6, st.ltype], [370, -3]]);
+    })));
+    out.push(...this.table('STYLE', [
+      (t) => rec('STYLE', 'AcDbTextStyleTableRecord', this.handle(), t, [[2, 'Standard'], [70, 0], [40, 0], [41, 1], [50, 0], [71, 0], [42, 2.5], [3, 'txt'], [4, '']]),
+    ]));
+    out.push(...this.table('VIEW', []));
+    out.push(...this.table('UCS', []));
+    out.push(...this.table('APPID', [
+      (t) => rec('APPID', 'AcDbRegAppTableRecord', this.handle(), t, [[2, 'ACAD'], [70, 0]]),
+    ]));
+    out.push(...this.table('DIMSTYLE', [
+      // DIMSTYLE records use group 105 for their handle.
+      (t) => [[0, 'DIMSTYLE'], [105, this.handle()], [330, t], [100, 'AcDbSymbolTableRecord'], [100, 'AcDbDimStyleTableRecord'], [2, 'Standard'], [70, 0]],
+    ], 'AcDbSymbolTable'));
+    this.blockRecords = {};
+    out.push(...this.table('BLOCK_RECORD', ['*Model_Space', '*Paper_Space'].map(name => (t) => {
+      const h = this.handle();
+      this.blockRecords[name] = h;
+      return rec('BLOCK_RECORD', 'AcDbBlockTableRecord', h, t, [[2, name]]);
+    })));
+    out.push([0, 'ENDSEC']);
+    this.modelSpace = this.blockRecords['*Model_Space'];
+    return codes(out);
+  }
+
+  blocks(){
+    const out = [[0, 'SECTION'], [2, 'BLOCKS']];
+    for(const name of ['*Model_Space', '*Paper_Space']){
+      const owner = this.blockRecords[name];
+      out.push([0, 'BLOCK'], [5, this.handle()], [330, owner], [100, 'AcDbEntity'], [8, '0'], [100, 'AcDbBlockBegin'],
+        [2, name], [70, 0], [10, 0], [20, 0], [30, 0], [3, name], [1, '']);
+      out.push([0, 'ENDBLK'], [5, this.handle()], [330, owner], [100, 'AcDbEntity'], [8, '0'], [100, 'AcDbBlockEnd']);
+    }
+    out.push([0, 'ENDSEC']);
+    return codes(out);
+  }
+
+  entity(type, layer, sub){
+    return [[0, type], [5, this.handle()], [330, this.modelSpace], [100, 'AcDbEntity'], [8, layer], [100, sub]];
+  }
+
+  polyline(p, num){
+    const out = this.entity('LWPOLYLINE', p.layer, 'AcDbPolyline');
+    out.push([90, p.vertices.length], [70, p.closed ? 1 : 0]);
+    for(const v of p.vertices){
+      out.push([10, num(v.x)], [20, num(v.y)]);
+      if(v.bulge) out.push([42, num(v.bulge)]);
+    }
+    return codes(out);
+  }
+
+  circle(c, num){
+    return codes([...this.entity('CIRCLE', c.layer, 'AcDbCircle'), [10, num(c.cx)], [20, num(c.cy)], [30, 0], [40, num(c.r)]]);
+  }
+
+  line(l, num){
+    return codes([...this.entity('LINE', l.layer, 'AcDbLine'), [10, num(l.a.x)], [20, num(l.a.y)], [30, 0], [11, num(l.b.x)], [21, num(l.b.y)], [31, 0]]);
+  }
+
+  objects(){
+    const root = this.handle(), group = this.handle();
+    const out = codes([
+      [0, 'SECTION'], [2, 'OBJECTS'],
+      [0, 'DICTIONARY'], [5, root], [330, 0], [100, 'AcDbDictionary'], [281, 1], [3, 'ACAD_GROUP'], [350, group],
+      [0, 'DICTIONARY'], [5, group], [330, root], [100, 'AcDbDictionary'], [281, 1],
+      [0, 'ENDSEC'],
+    ]);
+    return out;
+  }
+
+  finish(text){
+    return text.replace(`\n${SEED}\n`, `\n${this.handle()}\n`);
+  }
+}
+
+// ---------- reader ----------
+
+// Reads back what the writers above produce (and plain DXF in general): header variables, layer names,
+// and POLYLINE/LWPOLYLINE/CIRCLE/ARC/LINE entities with their vertices and bulges.
+export function parseDxf(text){
+  const raw = text.replace(/\r\n?/g, '\n').split('\n');
+  const pairs = [];
+  for(let i=0;i + 1 < raw.length;i+=2) pairs.push([Number(raw[i].trim()), raw[i+1].trim()]);
+
+  const header = {};
+  const layers = [];
+  const entities = [];
+  let section = null;
+  let i = 0;
+  const val = (code, list) => { const p = list.find(q => q[0] === code); return p ? p[1] : undefined; };
+  const numVal = (code, list) => Number(val(code, list));
+
+  while(i < pairs.length){
+    const [code, value] = pairs[i];
+    if(code === 0 && value === 'SECTION'){ section = pairs[i+1][1]; i += 2; continue; }
+    if(code === 0 && value === 'ENDSEC'){ section = null; i++; continue; }
+    if(code === 0 && value === 'EOF') break;
+
+    if(section === 'HEADER' && code === 9){
+      const name = value;
+      const vals = [];
+      i++;
+      while(i < pairs.length && pairs[i][0] !== 9 && pairs[i][0] !== 0) vals.push(pairs[i++]);
+      header[name] = vals.length === 1 ? vals[0][1] : Object.fromEntries(vals.map(([c, v]) => [c, v]));
+      continue;
+    }
+
+    if(code === 0 && (section === 'TABLES' || section === 'ENTITIES')){
+      // Gather this record's group codes up to the next 0.
+      const type = value;
+      const body = [];
+      i++;
+      while(i < pairs.length && pairs[i][0] !== 0) body.push(pairs[i++]);
+
+      if(section === 'TABLES'){
+        if(type === 'LAYER') layers.push(val(2, body));
+        continue;
+      }
+      const layer = val(8, body) ?? '0';
+      if(type === 'LWPOLYLINE'){
+        const vertices = [];
+        for(const [c, v] of body){
+          if(c === 10) vertices.push({ x: Number(v), y: 0, bulge: 0 });
+          else if(c === 20) vertices[vertices.length-1].y = Number(v);
+          else if(c === 42) vertices[vertices.length-1].bulge = Number(v);
+        }
+        entities.push({ type, layer, closed: (numVal(70, body) & 1) === 1, vertices });
+      } else if(type === 'POLYLINE'){
+        const vertices = [];
+        while(i < pairs.length && pairs[i][1] === 'VERTEX' && pairs[i][0] === 0){
+          const vb = [];
+          i++;
+          while(i < pairs.length && pairs[i][0] !== 0) vb.push(pairs[i++]);
+          vertices.push({ x: numVal(10, vb), y: numVal(20, vb), bulge: Number(val(42, vb) ?? 0) });
+        }
+        if(i < pairs.length && pairs[i][1] === 'SEQEND'){
+          i++;
+          while(i < pairs.length && pairs[i][0] !== 0) i++;
+        }
+        entities.push({ type, layer, closed: (numVal(70, body) & 1) === 1, vertices });
+      } else if(type === 'CIRCLE' || type === 'ARC'){
+        const e = { type, layer, cx: numVal(10, body), cy: numVal(20, body), r: numVal(40, body) };
+        if(type === 'ARC'){ e.start = numVal(50, body); e.end = numVal(51, body); }
+        entities.push(e);
+      } else if(type === 'LINE'){
+        entities.push({ type, layer, a: { x: numVal(10, body), y: numVal(20, body) }, b: { x: numVal(11, body), y: numVal(21, body) } });
+      }
+      continue;
+    }
+    i++;
+  }
+  return { header, layers, entities };
 }
@@ -1,33 +1,69 @@
-// Gear geometry helpers (involute spur gear + rack) — designed for CAD dimensions first, preview second.
+// Gear geometry helpers (involute spur/helical gear + rack, cycloidal spur gears via cycloid.js) — designed
+// for CAD dimensions first, preview second.
+// Pure math and polylines only: no DOM, so Node scripts (bin/gear-lab.js) import it as-is. Outlines come back
+// as point lists plus SVG path data; the page turns those into elements.
+
+import { cycloidProportions, cycloidFlank } from './cycloid.js';
 
 export function fmt(val, unit){
   if(unit === 'deg') return (Math.round(val*10)/10).toFixed(1);
-  // keep it readable: adaptive decimals
+  // keep it readable: adaptive decimals (inches get one more, a thousandth of an inch is 25 µm)
   const abs = Math.abs(val);
-  const d = abs >= 100 ? 2 : abs >= 10 ? 3 : 4;
+  const d = (abs >= 100 ? 2 : abs >= 10 ? 3 : 4) + (unit === 'in' ? 1 : 0);
   return Number.isFinite(val) ? (Math.round(val * Math.pow(10,d)) / Math.pow(10,d)).toFixed(d) : '—';
 }
 
 export function computeGear(inp){
-  const { type, units, N, D, phi, backlash, addendum, dedendum, rackLength } = inp;
+  const { type, units, N, D, backlash, addendum, dedendum, rackLength } = inp;
+  // Cycloidal teeth are external spur gears only; everything involute below is skipped or left inert for them.
+  const profile = inp.profile === 'cycloidal' && type === 'external' ? 'cycloidal' : 'involute';
+  const cycloidal = profile === 'cycloidal';
+  const x = Number.isFinite(inp.profileShift) && !cycloidal ? inp.profileShift : 0;
+  const rhoCoef = Number.isFinite(inp.rackTipRadius) && inp.rackTipRadius >= 0 ? inp.rackTipRadius : 0.38;
+
+  // Helical: D/N is the transverse module; the entered pressure angle and profile shift belong to the
+  // normal plane (the hob). Everything the builders draw is the transverse section, so from here on
+  // phi is the transverse pressure angle. β = 0 is a spur gear and all of this collapses.
+  const beta = Number.isFinite(inp.helixAngle) && inp.helixAngle > 0 ? inp.helixAngle : 0;
+  const hand = beta > 0 ? (inp.helixHand === 'left' ? 'left' : 'right') : 'none';
+  const phiN = inp.phi;
+  const phi = Math.atan(Math.tan(phiN) / Math.cos(beta));
 
   // For rack: we still derive module from D/N if given; fallback to 2mm if nonsense.
   const m = (type === 'rack')
     ? (Number.isFinite(D) && Number.isFinite(N) && N > 0 ? D / N : 2)
     : (D / N);
+  const mn = m * Math.cos(beta);
 
-  const p = Math.PI * m; // circular pitch
-  const a = (addendum && addendum > 0) ? addendum : (1.0 * m);
-  const b = (dedendum && dedendum > 0) ? dedendum : (1.25 * m);
+  const p = Math.PI * m; // circular pitch (transverse)
+  // Profile shift moves the whole profile by x·mn: longer addendum, shorter dedendum (overrides still win).
+  // Cycloidal proportions come from the preset and the generating circles instead.
+  const cycloid = cycloidal ? cycloidProportions(inp, { N, m, p, backlash }) : null;
+  const a = cycloidal ? cycloid.a : (addendum && addendum > 0) ? addendum : ((1.0 + x) * mn);
+  const b = cycloidal ? cycloid.b : (dedendum && dedendum > 0) ? dedendum : ((1.25 - x) * mn);
 
-  // Tooth thickness at pitch circle
-  const s0 = p/2;
+  // Tooth thickness at pitch circle (shift widens it by 2·x·mn·tanφt = 2·x·m·tanφn)
+  const s0 = cycloidal ? cycloid.s0 : p/2 + 2*x*mn*Math.tan(phi);
   const s = Math.max(0, s0 - backlash);
+  // Space width at pitch — for internal gears this is the gap the builder cuts.
+  const e = p - s;
 
   const phiDeg = phi * 180/Math.PI;
 
-  // External/internal share base circle based on pitch circle
-  const Db = (type === 'rack') ? 0 : D * Math.cos(phi);
+  // Base helix, lead and the virtual (equivalent spur) tooth count zn = N / (cos²βb·cosβ).
+  const betaB = Math.atan(Math.tan(beta) * Math.cos(phi));
+  const lead = beta > 0 ? Math.PI * D / Math.tan(beta) : Infinity;
+  const zn = N / (Math.cos(betaB) ** 2 * Math.cos(beta));
+
+  // Face width for 3D export; a helix turns the section by b·tanβ/r over it (a rack slides by b·tanβ).
+  // Right hand turns counter-clockwise looking down on the section as z grows.
+  const faceWidth = Number.isFinite(inp.faceWidth) && inp.faceWidth > 0 ? inp.faceWidth : 0;
+  const handSign = hand === 'left' ? -1 : 1;
+  const helixShift = beta > 0 ? handSign * faceWidth * Math.tan(beta) : 0;
+  const helixTwist = (beta > 0 && type !== 'rack') ? helixShift / (D/2) : 0;
+
+  // External/internal share base circle based on pitch circle (a cycloidal gear has none)
+  const Db = (type === 'rack') ? 0 : cycloidal ? NaN : D * Math.cos(phi);
 
   // Outside/root diameters for external
   const Do_ext = D + 2*a;
@@ -38,13 +74,48 @@ export function computeGear(inp){
   // so the tip circle is smaller than pitch circle: Dt = D - 2a; root circle larger: Dr = D + 2b.
   const Do_int_tip = Math.max(0.001, D - 2*a);
   const Dr_int_root = D + 2*b;
-
-  // Simple undercut heuristic (no profile shift): N_min ≈ 2 / sin^2(phi)
-  const NminNoUndercut = Math.ceil(2 / (Math.sin(phi) ** 2));
-  const undercutRisk = (type !== 'rack') && (N < NminNoUndercut);
+  // Rim outer diameter for the ring; anything not outside the root circle falls back to a 2.5·m rim.
+  const Drim = (Number.isFinite(inp.rimDiameter) && inp.rimDiameter > Dr_int_root) ? inp.rimDiameter : Dr_int_root + 5*mn;
+
+  // Simple undercut heuristic on the equivalent spur gear (zn teeth, normal φn): zn_min ≈ 2 / sin²φn unshifted;
+  // with shift the limit is x_min = 1 − zn·sin²φn / 2.
+  const NminNoUndercut = Math.ceil(2 / (Math.sin(phiN) ** 2) * (N / zn));
+
+  // Basic rack (generating cutter) tip radius — it cuts the root fillet. Capped at a full round for the
+  // tip width the cutter actually has at depth b.
+  const rhoMax = Math.max(0, (e/2 - b*Math.tan(phi)) / (1/Math.cos(phi) - Math.tan(phi)));
+  // The hob's round tip is taken as the same radius in the transverse section (exact for spur).
+  const rho = Math.min(rhoCoef * mn, rhoMax);
+
+  // Form diameter: where the cutter's straight flank stops (tangent to the tip radius) generating involute.
+  // Deeper than r·sin²φ the straight flank reaches past the interference point and undercuts the tooth.
+  const vForm = (b - rho) + rho * Math.sin(phi);
+  const undercutGenerated = (type !== 'rack') && !cycloidal && vForm > (D/2) * Math.sin(phi) ** 2;
+  const rForm = cycloidal ? NaN : undercutGenerated
+    ? (D/2) * Math.cos(phi)
+    : Math.sqrt(Math.max(0, (D/2)**2 - D*vForm + (vForm / Math.sin(phi))**2));
+  const xMinNoUndercut = 1 - zn * (Math.sin(phiN) ** 2) / 2;
+  const undercutRisk = (type !== 'rack') && !cycloidal && (x < xMinNoUndercut - 1e-9);
+
+  // Profile modification (tip / root relief). Starts are diameters or roll angles on this gear; a rack
+  // measures them on its reference gear D = N·m, so a start diameter d sits (d − D)/2 above the pitch line.
+  // Relief follows the involute, so cycloidal flanks go without.
+  const relief = reliefFromInputs(cycloidal ? { ...inp, tipRelief: 0, rootRelief: 0 } : inp, { D: Number.isFinite(D) ? D : N*m, m: mn, phi, x, Do: Do_ext });
+
+  // Edge breaks: a tip radius or chamfer on every tooth tip corner, and a root corner radius for the rack.
+  const tipEdge = (inp.tipEdge === 'radius' || inp.tipEdge === 'chamfer') ? inp.tipEdge : 'none';
+  const tipEdgeSize = (tipEdge !== 'none' && Number.isFinite(inp.tipEdgeSize) && inp.tipEdgeSize > 0) ? inp.tipEdgeSize : 0;
+  const rackRootRadius = (type === 'rack' && Number.isFinite(inp.rackRootRadius) && inp.rackRootRadius > 0) ? inp.rackRootRadius : 0;
+
+  // Sector gears and partial racks: which teeth are kept (the builders draw them when asked to).
+  const sector = sectorFromInputs(inp, { type, N, p });
+
+  // Inspection numbers (span, over pins, chordal) from the finished thickness s, so backlash and shift count.
+  const measure = measurementsFrom({ type, profile, units, N, D, s, e, a, phi, beta, betaB, Db, mn, x, Do_ext, Dt_int: Do_int_tip });
 
   return {
     type,
+    profile,
     units,
     N,
     D,
@@ -54,9 +125,23 @@ export function computeGear(inp){
     b,
     phi,
     phiDeg,
+    mn,
+    phiN,
+    phiNDeg: phiN * 180/Math.PI,
+    beta,
+    betaDeg: beta * 180/Math.PI,
+    betaB,
+    hand,
+    lead,
+    zn,
+    faceWidth,
+    helixTwist,
+    helixShift,
     backlash,
+    x,
     s0,
     s,
+    e,
     Db,
     Do: type === 'internal' ? Dr_int_root : Do_ext,   // for internal, exported Do = outer ring OD (root circle)
     Dr: type === 'internal' ? Do_int_tip : Dr_ext,    // for internal, exported Dr = inner tip circle (tooth tips)
@@ -65,12 +150,200 @@ export function computeGear(inp){
     Dr_ext,
     Dt_int: Do_int_tip,
     Dro_int: Dr_int_root,
+    Drim,
     rackLength,
+    rho,
+    rhoCoef,
+    dFf: 2 * rForm,
+    undercutGenerated,
     undercutRisk,
     NminNoUndercut,
+    xMinNoUndercut,
+    ...relief,
+    tipEdge,
+    tipEdgeSize,
+    rackRootRadius,
+    ...measure,
+    sector,
+    // Cycloidal only: preset, tip shape, mate teeth, generating circle diameters and where the ogive points.
+    ...(cycloidal ? {
+      cycloidPreset: cycloid.cycloidPreset,
+      cycloidTip: cycloid.cycloidTip,
+      cycloidMate: cycloid.cycloidMate,
+      rollAddendum: cycloid.rollAddendum,
+      rollDedendum: cycloid.rollDedendum,
+      dPointed: cycloid.dPointed,
+    } : {}),
+  };
+}
+
+export function measurementsAt(c, s, pin = 0){
+  // The inspection numbers of c's gear at another finished thickness s (a tolerance limit), over the
+  // given pin size rather than the one that thickness would pick.
+  const { type, profile, units, N, D, a, phi, beta, betaB, Db, mn, x, Do_ext, Dt_int } = c;
+  return measurementsFrom({ type, profile, units, N, D, s, e: c.p - s, a, phi, beta, betaB, Db, mn, x, Do_ext, Dt_int, pin });
+}
+
+function measurementsFrom({ type, profile, units, N, D, s, e, a, phi, beta, betaB, Db, mn, x, Do_ext, Dt_int, pin = 0 }){
+  // Helical: spans and pins work in the transverse section with the base helix folding in (W·cos βb,
+  // pin radius ρt = dp / (2·cos βb)); the chord uses the normal-plane virtual gear dn = D / cos²β.
+  const rb = Db/2;
+  const cosBb = Math.cos(betaB);
+  const none = {
+    spanTeeth: null, span: NaN, spanContactDiameter: NaN, spanMinFaceWidth: NaN,
+    pinDiameter: NaN, overPins: NaN, pinContactDiameter: NaN, pinClear: null,
+    chordalThickness: NaN, chordalAddendum: NaN,
+  };
+  if(type === 'rack'){
+    // Flat flanks: the chord is the thickness itself (normal section), measured from the tip line.
+    return { ...none, chordalThickness: s * Math.cos(beta), chordalAddendum: a };
+  }
+  if(!(N >= 3 && D > 0 && s > 0)) return none;
+  if(profile === 'cycloidal'){
+    // Span and pins rely on the involute; the chord at the pitch circle doesn't.
+    const psi = s / D;
+    return { ...none, chordalThickness: D * Math.sin(psi), chordalAddendum: (Do_ext - D)/2 + (D/2) * (1 - Math.cos(psi)) };
+  }
+
+  const inv = involute(phi);
+  const odd = N % 2 === 1;
+  const out = { ...none };
+
+  // Pin size: the one that touches the flank on the shifted pitch circle d + 2·x·mn (DIN 3960), to a
+  // gauge-pin step of 0.01 mm / 0.001 in.
+  const step = units === 'in' ? 0.001 : 0.01;
+  // (An internal gear's shift moves its profile inwards, so its circle is d − 2·x·mn.)
+  const dC = type === 'internal' ? D - 2 * x * mn : Math.min(D + 2 * x * mn, Do_ext);
+  const aC = Math.acos(Math.min(1, Db / Math.max(dC, Db)));
+  let rhoT;
+  if(type === 'external'){
+    // Pin centre on the flank involute offset by ρ: inv αK = s/d + inv α + ρt/rb − π/N.
+    const aK = Math.PI/N - s/D - inv + Math.tan(aC);
+    rhoT = rb * (Math.tan(aK) - Math.tan(aC));
+  } else {
+    // Internal: the pin sits in the space e, which is shaped like an external tooth: inv αK = e/d + inv α − ρt/rb.
+    const aK = Math.tan(aC) - e/D - inv;
+    rhoT = rb * (Math.tan(aC) - Math.tan(Math.max(0, aK)));
+  }
+  const dp = pin > 0 ? pin : Math.max(step, Math.round(2 * rhoT * cosBb / step) * step);
+  const rhoP = dp / (2 * cosBb);
+  const invK = type === 'external' ? s/D + inv + rhoP/rb - Math.PI/N : e/D + inv - rhoP/rb;
+  if(invK > 0){
+    const aK = inverseInvolute(invK);
+    const RK = rb / Math.cos(aK);
+    const across = odd ? 2 * RK * Math.cos(Math.PI / (2*N)) : 2 * RK;
+    // Where the pin touches the flank: roll back (external) or on (internal) by ρt from the centre.
+    const tanC = type === 'external' ? Math.tan(aK) - rhoP/rb : Math.tan(aK) + rhoP/rb;
+    out.pinDiameter = dp;
+    out.overPins = type === 'external' ? across + dp : across - dp;
+    out.pinContactDiameter = tanC > 0 ? Db * Math.sqrt(1 + tanC * tanC) : NaN;
+    // External pins must stand proud of the tips; internal ones must reach inside the tip circle.
+    out.pinClear = type === 'external' ? RK + rhoP > Do_ext/2 : RK - rhoP < Dt_int/2;
+  }
+
+  if(type === 'external'){
+    // Span over k teeth: base-circle arc over k − 1 pitches plus one base tooth thickness. The k that
+    // puts the contacts near d + 2·x·mn (ISO 21771): k = N/π·(tan αM/cos²βb − 2x·tan αn/N − inv α) + 0.5.
+    const phiN = Math.atan(Math.tan(phi) * Math.cos(beta));
+    const aM = Math.acos(Math.min(1, Db / (D + 2 * x * mn)));
+    const kIdeal = N/Math.PI * (Math.tan(aM) / cosBb**2 - 2 * x * Math.tan(phiN) / N - inv) + 0.5;
+    const k = Math.min(N - 1, Math.max(2, Math.round(kIdeal)));
+    const Wt = Db * ((k - 1) * Math.PI/N + s/D + inv);
+    out.spanTeeth = k;
+    out.span = Wt * cosBb;
+    // The anvils touch the base tangent W/cos βb / 2 either side of its midpoint, in the transverse
+    // section: dM = √(db² + (W/cos βb)²) (DIN 3960).
+    out.spanContactDiameter = Math.sqrt(Db*Db + (out.span / cosBb)**2);
+    // The anvils have to sit on the face along the base helix: b > W·sin βb.
+    out.spanMinFaceWidth = beta > 0 ? out.span * Math.sin(betaB) : NaN;
+  }
+
+  // Chordal thickness and the height from the tip to that chord (caliper setting), on the virtual gear.
+  const dn = D / Math.cos(beta)**2;
+  const sn = s * Math.cos(beta);
+  const psi = sn / dn;
+  const ha = type === 'internal' ? (D - Dt_int)/2 : (Do_ext - D)/2;
+  out.chordalThickness = dn * Math.sin(psi);
+  out.chordalAddendum = type === 'internal' ? ha - (dn/2) * (1 - Math.cos(psi)) : ha + (dn/2) * (1 - Math.cos(psi));
+  return out;
+}
+
+function sectorFromInputs(inp, { type, N, p }){
+  // null for a full gear. Gears keep whole teeth of the full gear (CAD angles, counter-clockwise from +x:
+  // external tooth k centred at k·2π/N, internal ones half a pitch on) whose pitch slot fits between the
+  // start angle and start + span, or the first n slots from the start. The edges stay at start and end.
+  // Racks keep n teeth (or all the length holds, less half a pitch per end stop) centred on the rack.
+  if(inp.sectorMode !== 'span' && inp.sectorMode !== 'teeth') return null;
+  const mode = inp.sectorMode;
+  if(type === 'rack'){
+    const stops = inp.sectorStops !== 'off';
+    const L = inp.rackLength;
+    const teeth = mode === 'teeth' ? inp.sectorTeeth : Math.max(0, Math.floor(L/p + 1e-9) - (stops ? 1 : 0));
+    const toothed = teeth * p;
+    return { mode, teeth, toothed, stops, stopLength: stops ? (L - toothed)/2 : 0 };
+  }
+  const pitchAngle = 2*Math.PI/N;
+  const offset = type === 'internal' ? 0.5 : 0;
+  const start = inp.sectorStart;
+  const first = Math.ceil(start/pitchAngle - offset + 0.5 - 1e-9);
+  let teeth, end;
+  if(mode === 'teeth'){
+    teeth = inp.sectorTeeth;
+    end = (first + teeth - 1 + offset + 0.5) * pitchAngle;
+  } else {
+    end = start + inp.sectorSpan;
+    teeth = Math.max(0, Math.floor(end/pitchAngle - offset - 0.5 + 1e-9) - first + 1);
+  }
+  return { mode, teeth, first, start, end, span: end - start, pitchAngle, arm: inp.sectorArm === 'none' ? 'none' : 'hub' };
+}
+
+function reliefFromInputs(inp, { D, m, phi, x, Do }){
+  const rb = (D/2) * Math.cos(phi);
+  const Ca = Number.isFinite(inp.tipRelief) && inp.tipRelief > 0 ? inp.tipRelief : 0;
+  const Cf = Number.isFinite(inp.rootRelief) && inp.rootRelief > 0 ? inp.rootRelief : 0;
+  const reliefShape = inp.reliefShape === 'parabolic' ? 'parabolic' : 'linear';
+  const reliefBasis = inp.reliefBasis === 'roll' ? 'roll' : 'diameter';
+
+  // Entered start → diameter. Roll angle ξ (deg) on the involute: r = rb·√(1 + ξ²).
+  const toDiameter = (v) => {
+    if(!(Number.isFinite(v) && v > 0)) return NaN;
+    if(reliefBasis === 'diameter') return v;
+    const xi = v * Math.PI/180;
+    return 2 * rb * Math.sqrt(1 + xi*xi);
+  };
+  // Auto starts: tip relief over the top 0.4m of the tooth; root relief over 0.4m above the point a
+  // standard mate's tip reaches ((1 − x)m below pitch).
+  const dTip = toDiameter(inp.tipReliefStart);
+  const dRoot = toDiameter(inp.rootReliefStart);
+  const dTipRelief = Number.isFinite(dTip) ? dTip : Do - 0.8*m;
+  const dRootRelief = Number.isFinite(dRoot) ? dRoot : D - 2*(1 - x)*m + 0.8*m;
+
+  const rollDeg = (d) => {
+    const t = Math.sqrt(Math.max(0, (d*d)/(4*rb*rb) - 1));
+    return t * 180/Math.PI;
+  };
+
+  return {
+    tipRelief: Ca,
+    rootRelief: Cf,
+    reliefShape,
+    reliefBasis,
+    dTipRelief,
+    dRootRelief,
+    xiTipRelief: rollDeg(dTipRelief),
+    xiRootRelief: rollDeg(dRootRelief),
+    // Rack: heights of the relief starts above the pitch line.
+    hTipRelief: (dTipRelief - D) / 2,
+    hRootRelief: (dRootRelief - D) / 2,
   };
 }
 
+function reliefCurve(shape, u){
+  // u runs 0 → 1 across the relieved zone; parabolic relief blends in tangentially.
+  const k = Math.max(0, Math.min(1, u));
+  return shape === 'parabolic' ? k*k : k;
+}
+
 function involutePoint(rb, t){
   // Involute of a circle parameterization:
   // x = rb (cos t + t sin t)
@@ -92,7 +365,7 @@ function translate(pt, dx, dy){
   return { x: pt.x + dx, y: pt.y + dy };
 }
 
-function pathFromPoints(points, close=true){
+export function pathFromPoints(points, close=true){
   if(points.length < 2) return '';
   const [p0, ...rest] = points;
   let d = `M ${p0.x.toFixed(3)} ${p0.y.toFixed(3)}`;
@@ -101,193 +374,509 @@ function pathFromPoints(points, close=true){
   return d;
 }
 
-function sampleInvolute(rb, rTarget, samples){
-  // find t such that r = rb * sqrt(1 + t^2) = rTarget
+function sampleInvolute(rb, rTarget, samples, rFrom=rb){
+  // find t such that r = rb * sqrt(1 + t^2) = rTarget (and the same for the start radius)
   const tMax = Math.sqrt(Math.max(0, (rTarget*rTarget)/(rb*rb) - 1));
+  const tMin = Math.min(tMax, Math.sqrt(Math.max(0, (rFrom*rFrom)/(rb*rb) - 1)));
   const pts = [];
   for(let i=0;i<=samples;i++){
-    const t = tMax * (i/samples);
+    const t = tMin + (tMax - tMin) * (i/samples);
     pts.push(involutePoint(rb, t));
   }
   return { pts, tMax };
 }
 
+export function involute(alpha){
+  return Math.tan(alpha) - alpha;
+}
+
+export function inverseInvolute(value){
+  // inv(α) = tan α − α, and the involute polar angle is t − atan t with t = tan α.
+  return Math.atan(involuteParamForAngle(value));
+}
+
+function involuteParamForAngle(target){
+  // Invert the involute polar angle t - atan(t) = target (monotonic for t >= 0) by bisection.
+  let lo = 0, hi = 1;
+  for(let i=0;i<40 && (hi - Math.atan(hi)) < target;i++) hi *= 2;
+  for(let i=0;i<60;i++){
+    const mid = (lo + hi) / 2;
+    if(mid - Math.atan(mid) < target) lo = mid; else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
 function angleOfPoint(pt){
   return Math.atan2(pt.y, pt.x);
 }
 
-export function buildExternalGearPath(c, inp, { cx, cy }){
-  const N = c.N;
+function generatedFillet(c, samples){
+  // Envelope of the basic rack's tip radius as it rolls on the pitch circle (a trochoid offset by ρ).
+  // Rack frame: u along the rolling line, v = depth towards the gear centre. We generate the fillet
+  // for the space on the +angle side of a tooth centred at 90°, then turn it back to 0°.
+  const r = c.D/2;
+  const alpha = c.phi;
+  const rho = c.rho;
+
+  // Cutter tooth fills the gear space (width e at pitch), centred half a pitch away from the gear tooth.
+  const u0 = -c.p/2 + (c.e/2 - (c.b - rho)*Math.tan(alpha) - rho/Math.cos(alpha));
+  const v0 = c.b - rho;
+
+  // Roll angles where the contact leaves the cutter's tip line (root circle) and reaches its straight flank.
+  const thRoot = -u0 / r;
+  const thFlank = -(u0 - v0/Math.tan(alpha)) / r;
+
+  const pts = [];
+  const n = Math.max(24, samples);
+  for(let i=0;i<=n;i++){
+    const th = thRoot + (thFlank - thRoot)*(i/n);
+    // Rolling line is y = r; undo the gear rotation to get gear-fixed coordinates.
+    const q = rotate({ x: u0 + r*th, y: r - v0 }, th);
+    const pitchPt = rotate({ x: 0, y: r }, th);
+    // The contact normal passes through the pitch point (instant centre). It meets the tip circle twice;
+    // the cutter works with the deeper point, which is the near one once ρ > b lifts q above the pitch line.
+    const dx = q.x - pitchPt.x, dy = q.y - pitchPt.y;
+    const k = (v0 >= 0 ? rho : -rho) / (Math.hypot(dx, dy) || 1);
+    pts.push(rotate({ x: q.x + k*dx, y: q.y + k*dy }, -Math.PI/2));
+  }
+  return pts;
+}
+
+function joinFilletToInvolute(fillet, rb, rot){
+  // Involute half-angle at radius r for the +angle flank.
+  const psiInvolute = (r) => {
+    const t = Math.sqrt(Math.max(0, (r*r)/(rb*rb) - 1));
+    return rot - (t - Math.atan(t));
+  };
+  const gap = fillet.map(p => {
+    const r = Math.hypot(p.x, p.y);
+    return r >= rb ? Math.atan2(p.y, p.x) - psiInvolute(r) : NaN;
+  });
+
+  // Undercut: the trochoid eats into the involute (smaller half-angle). Keep the fillet up to the last
+  // point where it crosses back out and let the involute take over from there.
+  const undercut = gap.some(g => g < -1e-9);
+  if(!undercut){
+    const end = fillet[fillet.length-1];
+    return { fillet: fillet.slice(0, -1), rInvolute: Math.max(rb, Math.hypot(end.x, end.y)) };
+  }
+  let k = -1;
+  for(let i=0;i<gap.length-1;i++){
+    if(gap[i] < 0 && gap[i+1] >= 0) k = i;
+  }
+  if(k < 0) return { fillet, rInvolute: Math.max(rb, Math.hypot(fillet[fillet.length-1].x, fillet[fillet.length-1].y)) };
+  const f = gap[k] / (gap[k] - gap[k+1]);
+  const a = fillet[k], b = fillet[k+1];
+  const rCross = Math.hypot(a.x + (b.x - a.x)*f, a.y + (b.y - a.y)*f);
+  return { fillet: fillet.slice(0, k+1), rInvolute: rCross };
+}
+
+function relievedInvolute(c, rb, rot, rFrom, rTo, samples){
+  // +angle involute flank from rFrom to rTo with tip/root relief taken off along the profile normal.
+  // The involute normal is tangent to the base circle, so removing Δ is a turn of Δ/rb towards the
+  // tooth centre. Relief is linear/parabolic in roll length between its start circle and the flank end.
+  const tAt = (r) => Math.sqrt(Math.max(0, (r*r)/(rb*rb) - 1));
+  const tFrom = tAt(rFrom), tTo = tAt(rTo);
+  const tTipStart = tAt(c.dTipRelief/2);
+  const tRootStart = tAt(c.dRootRelief/2);
+
+  const ts = [];
+  for(let i=0;i<=samples;i++) ts.push(tFrom + (tTo - tFrom) * (i/samples));
+  // Land a vertex exactly on each relief start so the modification begins on its circle.
+  for(const t of [tTipStart, tRootStart]) if(t > tFrom && t < tTo) ts.push(t);
+  ts.sort((p, q) => p - q);
+
+  return ts.map(t => {
+    let delta = 0;
+    if(c.tipRelief > 0 && t > tTipStart && tTo > tTipStart){
+      delta += c.tipRelief * reliefCurve(c.reliefShape, (t - tTipStart) / (tTo - tTipStart));
+    }
+    if(c.rootRelief > 0 && t < tRootStart && tRootStart > tFrom){
+      delta += c.rootRelief * reliefCurve(c.reliefShape, (tRootStart - t) / (tRootStart - tFrom));
+    }
+    const pt = involutePoint(rb, t);
+    return rotate({ x: pt.x, y: -pt.y }, rot - delta/rb);
+  });
+}
+
+function blendCorner(pts, rho, side, reach){
+  // Round the corner at the end of a flank polyline (pts run towards the corner) with a circle of radius
+  // rho tangent to the flank and to the other boundary. side picks the flank normal the centre sits on;
+  // reach(centre) turns >= 0 once the centre is rho away from the other boundary (its foot is returned).
+  for(let i=0;i<pts.length-1;i++){
+    const p = pts[i], q = pts[i+1];
+    const tx = q.x - p.x, ty = q.y - p.y;
+    const len = Math.hypot(tx, ty);
+    if(len < 1e-12) continue;
+    const n = { x: side * ty / len, y: -side * tx / len };
+    const c0 = { x: p.x + rho*n.x, y: p.y + rho*n.y };
+    const c1 = { x: q.x + rho*n.x, y: q.y + rho*n.y };
+    const f0 = reach(c0).d, f1 = reach(c1).d;
+    if(f0 >= 0 || f1 < 0) continue;
+    const f = -f0 / (f1 - f0);
+    const centre = { x: c0.x + (c1.x - c0.x)*f, y: c0.y + (c1.y - c0.y)*f };
+    return { index: i, centre, from: { x: centre.x - rho*n.x, y: centre.y - rho*n.y }, to: reach(centre).foot };
+  }
+  return null;
+}
+
+function arcPoints(centre, from, to, steps){
+  // Short way round from → to (both on the circle), excluding the start point.
+  const a0 = Math.atan2(from.y - centre.y, from.x - centre.x);
+  let a1 = Math.atan2(to.y - centre.y, to.x - centre.x);
+  while(a1 - a0 > Math.PI) a1 -= 2*Math.PI;
+  while(a1 - a0 < -Math.PI) a1 += 2*Math.PI;
+  const r = Math.hypot(from.x - centre.x, from.y - centre.y);
+  const pts = [];
+  for(let i=1;i<=steps;i++) pts.push(translate(polar(r, a0 + (a1 - a0)*(i/steps)), centre.x, centre.y));
+  return pts;
+}
+
+function clipToWedge(pts, a0, a1){
+  // Longest run of the polyline with a0 ≤ angle ≤ a1, cut exactly where it leaves the wedge.
+  const d0 = { x: Math.cos(a0), y: Math.sin(a0) }, d1 = { x: Math.cos(a1), y: Math.sin(a1) };
+  const s0 = (p) => d0.x*p.y - d0.y*p.x;   // ≥ 0 on the a1 side of the a0 edge
+  const s1 = (p) => p.x*d1.y - p.y*d1.x;   // ≥ 0 on the a0 side of the a1 edge
+  const inside = (p) => s0(p) >= -1e-12 && s1(p) >= -1e-12;
+  if(pts.every(inside)) return pts;
+
+  const cross = (p, q) => {
+    // p inside, q outside: stop on whichever edge q is beyond.
+    const f = s0(q) < s1(q) ? s0 : s1;
+    const t = f(p) / (f(p) - f(q));
+    return { x: p.x + (q.x - p.x)*t, y: p.y + (q.y - p.y)*t };
+  };
+  let best = [], run = [];
+  for(let i=0;i<pts.length;i++){
+    const p = pts[i];
+    if(inside(p)){
+      if(!run.length && i > 0) run.push(cross(p, pts[i-1]));
+      run.push(p);
+    } else if(run.length){
+      run.push(cross(pts[i-1], p));
+      if(run.length > best.length) best = run;
+      run = [];
+    }
+  }
+  if(run.length > best.length) best = run;
+  return best;
+}
+
+export function orientLoop(points, outer = true){
+  // Outer boundaries run counter-clockwise in CAD's y-up frame, holes clockwise. Points are in screen
+  // coordinates (y down), where that flips: an outer loop has a negative shoelace area.
+  let a = 0;
+  for(let i=0;i<points.length;i++){
+    const p = points[i], q = points[(i+1) % points.length];
+    a += p.x * q.y - q.x * p.y;
+  }
+  return (a < 0) === outer ? points : points.slice().reverse();
+}
+
+export function cleanLoop(points, outer = true){
+  // Closed loop without repeated vertices (junctions, a closing copy of the first point), oriented.
+  const out = [];
+  for(const p of points){
+    const last = out[out.length-1];
+    if(!last || Math.hypot(last.x - p.x, last.y - p.y) > 1e-9) out.push(p);
+  }
+  while(out.length > 1 && Math.hypot(out[0].x - out[out.length-1].x, out[0].y - out[out.length-1].y) <= 1e-9) out.pop();
+  return orientLoop(out, outer);
+}
+
+function breakGearTip(flank, c, rTip, samples){
+  // Left flank (root → tip, at +angle): replace the sharp tip corner with a radius or chamfer ending on the
+  // tip circle. Sizes that no longer fit on half the tooth are shrunk until the break stops at the centreline.
+  if(c.tipEdgeSize <= 0 || flank.length < 2) return flank;
+  const steps = Math.max(6, Math.floor(samples/4));
+
+  const attempt = (size) => {
+    if(c.tipEdge === 'chamfer'){
+      // Cut from r = rTip − size on the flank to an arc length of size along the tip circle.
+      const rStart = rTip - size;
+      for(let i=flank.length-2;i>=0;i--){
+        const r0 = Math.hypot(flank[i].x, flank[i].y), r1 = Math.hypot(flank[i+1].x, flank[i+1].y);
+        if(r0 <= rStart && r1 >= rStart){
+          const f = r1 > r0 ? (rStart - r0) / (r1 - r0) : 0;
+          const from = { x: flank[i].x + (flank[i+1].x - flank[i].x)*f, y: flank[i].y + (flank[i+1].y - flank[i].y)*f };
+          const corner = flank[flank.length-1];
+          const ang = Math.atan2(corner.y, corner.x) - size / rTip;
+          if(ang < 0) return null;
+          return [...flank.slice(0, i+1), from, polar(rTip, ang)];
+        }
+      }
+      return null;
+    }
+    const blend = blendCorner(flank, size, 1, (pt) => {
+      const r = Math.hypot(pt.x, pt.y);
+      return { d: r - (rTip - size), foot: polar(rTip, Math.atan2(pt.y, pt.x)) };
+    });
+    if(!blend || Math.atan2(blend.to.y, blend.to.x) < 0) return null;
+    return [...flank.slice(0, blend.index+1), blend.from, ...arcPoints(blend.centre, blend.from, blend.to, steps)];
+  };
+
+  let size = c.tipEdgeSize;
+  for(let k=0;k<30;k++){
+    const out = attempt(size);
+    if(out) return out;
+    size *= 0.85;
+  }
+  return flank;
+}
+
+function involuteFlank(c, inp, thetaPitchHalf){
+  // +angle flank of the tooth centred at angle 0, root → tip: the generated fillet, then the (relieved)
+  // involute up to the tip circle or the point where the flanks meet. { flank, rTip }.
   const rp = c.D/2;
   const rb = c.Db/2;
   const ra = c.Do_ext/2;
-  const rr = c.Dr_ext/2;
-
-  // Guard: if root circle is above base circle, involute starts at root; else starts at base.
-  const rStart = Math.max(rr, rb);
-  const invol = sampleInvolute(rb, ra, inp.samples);
-
-  // Determine tooth thickness angle at pitch circle.
-  // Standard tooth thickness at pitch circle is s; half-angle at pitch: theta_p = s/(2*rp)
-  // Apply backlash already in s.
-  const thetaPitchHalf = (c.s / (2*rp));
 
   // Involute intersects pitch circle at t_p where r = rp
   const tp = Math.sqrt(Math.max(0, (rp*rp)/(rb*rb) - 1));
   const pPitch = involutePoint(rb, tp);
   const alphaPitch = angleOfPoint(pPitch);
 
-  // Rotate involute so that at pitch circle its angular position equals +thetaPitchHalf.
-  const rot = thetaPitchHalf - alphaPitch;
+  // The involute unwinds counter-clockwise, so we mirror it and rotate until it crosses the pitch
+  // circle at +thetaPitchHalf: the flank then closes towards the tooth centreline as r grows.
+  const rot = thetaPitchHalf + alphaPitch;
+
+  // Heavily shifted / thin teeth can come to a point below the outside circle: stop the flank there.
+  const tPointed = involuteParamForAngle(rot);
+  const rTip = Math.min(ra, rb * Math.sqrt(1 + tPointed*tPointed));
+
+  // Root fillet as generated by the cutter tip radius, joined to the involute where they meet.
+  const { fillet, rInvolute } = joinFilletToInvolute(generatedFillet(c, inp.samples), rb, rot);
+  const rFlank = Math.min(rTip, rInvolute);
+  const involute = relievedInvolute(c, rb, rot, rFlank, rTip, inp.samples);
 
-  // Build one tooth as polygon-like boundary: left flank (involute) + tip arc + right flank (mirrored) + root arc.
-  const leftFlank = invol.pts.map(pt => rotate(pt, rot));
+  // Root relief is full depth where the involute starts: carry it down the fillet so the flank stays joined.
+  const filletTurn = (c.rootRelief > 0 && c.dRootRelief/2 > rFlank) ? c.rootRelief/rb : 0;
+
+  return { flank: [...fillet.map(pt => rotate(pt, -filletTurn)), ...involute], rTip };
+}
+
+export function buildExternalGearPath(c, inp, { cx, cy, sector = null, pivot = 0, rim = 0 }){
+  const N = c.N;
+  const rp = c.D/2;
+  const rr = c.Dr_ext/2;
+
+  // Determine tooth thickness angle at pitch circle.
+  // Standard tooth thickness at pitch circle is s; half-angle at pitch: theta_p = s/(2*rp)
+  // Apply backlash and profile shift already in s.
+  const thetaPitchHalf = (c.s / (2*rp));
+  const { flank, rTip } = c.profile === 'cycloidal' ? cycloidFlank(c, inp.samples) : involuteFlank(c, inp, thetaPitchHalf);
 
-  // If starting radius is above base, clamp initial segment by scaling down along involute parameter.
-  // Quick & robust: replace first point with intersection at rStart.
-  const tStart = Math.sqrt(Math.max(0, (rStart*rStart)/(rb*rb) - 1));
-  const pStart = rotate(involutePoint(rb, tStart), rot);
-  leftFlank[0] = pStart;
+  // One tooth: left flank (fillet + involute, or the two cycloids) + tip arc + right flank (mirrored). The flank is kept inside
+  // its half pitch: past the centreline it would cross its mirror (pointed tip), past the space bisector
+  // it would cross the next tooth's fillet (full-radius or oversized cutter tip).
+  const pitchAngle = 2*Math.PI/N;
+  const leftFlank = clipToWedge(breakGearTip(flank, c, rTip, inp.samples), 0, pitchAngle/2);
 
   // Mirror for right flank about x-axis
   const rightFlank = leftFlank.map(p => ({ x: p.x, y: -p.y })).reverse();
 
-  // Tip arc endpoints
+  // Tip arc endpoints (tip relief can cross the flanks over near a pointed tip: never wrap the arc)
   const tipL = leftFlank[leftFlank.length-1];
   const tipR = rightFlank[0];
-  const angL = Math.atan2(tipL.y, tipL.x);
-  const angR = Math.atan2(tipR.y, tipR.x);
+  const angL = Math.max(0, Math.atan2(tipL.y, tipL.x));
+  const angR = Math.min(0, Math.atan2(tipR.y, tipR.x));
 
-  // Ensure we go the shorter way across the top (positive direction)
-  let ang1 = angL;
-  let ang2 = angR;
-  if(ang2 < ang1) ang2 += Math.PI*2;
+  // Walk clockwise across the top of the tooth (angL >= 0 >= angR)
+  const ang1 = angL;
+  const ang2 = angR;
 
   const tipPts = [];
-  const tipSteps = Math.max(10, Math.floor(inp.samples/2));
+  const tipSteps = ang1 - ang2 > 1e-9 ? Math.max(10, Math.floor(inp.samples/2)) : 0;
   for(let i=1;i<tipSteps;i++){
     const a = ang1 + (ang2-ang1)*(i/tipSteps);
-    tipPts.push(polar(ra, a));
+    tipPts.push(polar(rTip, a));
   }
 
-  // Root arc between flanks at root radius
+  // Root arc across the space, from this tooth's right flank to the next tooth's left flank.
   const rootL = leftFlank[0];
   const rootR = rightFlank[rightFlank.length-1];
-  let ar1 = Math.atan2(rootR.y, rootR.x);
-  let ar2 = Math.atan2(rootL.y, rootL.x);
-  if(ar2 < ar1) ar2 += Math.PI*2;
-
-  const rootPts = [];
-  const rootSteps = Math.max(10, Math.floor(inp.samples/2));
-  for(let i=1;i<rootSteps;i++){
-    const a = ar1 + (ar2-ar1)*(i/rootSteps);
-    rootPts.push(polar(rr, a));
+  const ar1 = Math.atan2(rootR.y, rootR.x);
+  const gapSpan = pitchAngle - (Math.atan2(rootL.y, rootL.x) - ar1);
+
+  // The whole gear as one closed loop, walking round in decreasing angle (counter-clockwise in CAD's
+  // y-up frame): each tooth's flanks and tip, then the root arc to the next tooth. Fillets that meet on
+  // the space bisector leave no arc, and the junction vertices are merged.
+  const toothTop = [...leftFlank, ...tipPts, ...rightFlank];
+  const rootSteps = gapSpan > 1e-9 ? Math.max(10, Math.floor(inp.samples/2)) : 0;
+  if(sector) return externalSector(c, inp, { cx, cy, sector, pivot, rim, toothTop, rTip, ar1, gapSpan, rootSteps });
+  const loop = [];
+  for(let j=0;j<N;j++){
+    const a = -j * pitchAngle;
+    for(const p of toothTop) loop.push(translate(rotate(p, a), cx, cy));
+    for(let i=1;i<rootSteps;i++) loop.push(translate(polar(rr, a + ar1 - gapSpan*(i/rootSteps)), cx, cy));
   }
+  const outline = cleanLoop(loop, true);
+  const polylines = [outline];
+  const paths = [pathFromPoints(outline, true)];
 
-  const toothPts = [
-    ...leftFlank,
-    ...tipPts,
-    ...rightFlank,
-    ...rootPts,
-  ];
+  // Circles the tip and root lands run along, so exporters can write them as true arcs.
+  const arcs = [{ cx, cy, r: rTip }, { cx, cy, r: rr }];
 
-  // Replicate around circle as separate closed tooth outlines
-  const els = [];
-  const polylines = [];
-  for(let k=0;k<N;k++){
-    const a = k * (2*Math.PI/N);
-    const poly = toothPts.map(p => translate(rotate(p, a), cx, cy));
-    polylines.push(poly);
-    els.push(svgPath(pathFromPoints(poly, true)));
-  }
+  return { paths, polylines, outline, holes: [], arcs };
+}
 
-  return { els, polylines };
+function externalSector(c, inp, { cx, cy, sector, pivot, rim, toothTop, rTip, ar1, gapSpan, rootSteps }){
+  // The kept teeth with root lands out to radial edges at the sector's start and end, closed either by an
+  // arm: the edges run in to a boss of radius `pivot` round the centre and the boss round the back; or as
+  // a segment: the edges stop `rim` below the root circle and an arc joins them.
+  const rr = c.Dr_ext/2;
+  const pitchAngle = sector.pitchAngle;
+  const aS = -sector.start, aE = -sector.end; // screen angles (y down): CAD counter-clockwise is decreasing
+  const at = (r, a) => translate(polar(r, a), cx, cy);
+  const arc = (r, a0, a1, steps) => {
+    const out = [];
+    for(let i=1;i<steps;i++) out.push(at(r, a0 + (a1 - a0)*(i/steps)));
+    return out;
+  };
+  const landSteps = (a0, a1) => Math.max(2, Math.ceil(Math.abs(a1 - a0) / pitchAngle * Math.max(10, Math.floor(inp.samples/2))));
+  const arL = Math.atan2(toothTop[0].y, toothTop[0].x);
+
+  const loop = [at(rr, aS)];
+  const j0 = sector.first, j1 = sector.first + sector.teeth - 1;
+  const landIn = -j0 * pitchAngle + arL;
+  loop.push(...arc(rr, aS, landIn, landSteps(aS, landIn)));
+  for(let j=j0;j<=j1;j++){
+    const a = -j * pitchAngle;
+    for(const p of toothTop) loop.push(translate(rotate(p, a), cx, cy));
+    if(j < j1) for(let i=1;i<rootSteps;i++) loop.push(at(rr, a + ar1 - gapSpan*(i/rootSteps)));
+  }
+  const landOut = -j1 * pitchAngle + ar1;
+  loop.push(...arc(rr, landOut, aE, landSteps(landOut, aE)), at(rr, aE));
+
+  const steps = Math.max(48, inp.samples * 2);
+  let rIn;
+  if(sector.arm === 'hub'){
+    rIn = Math.min(pivot, rr);
+    loop.push(at(rIn, aE), ...arc(rIn, aE, aS - 2*Math.PI, steps), at(rIn, aS));
+  } else {
+    rIn = Math.max(0, rr - rim);
+    loop.push(at(rIn, aE), ...arc(rIn, aE, aS, steps), at(rIn, aS));
+  }
+  const outline = cleanLoop(loop, true);
+  const arcs = [{ cx, cy, r: rTip }, { cx, cy, r: rr }];
+  if(rIn > 0) arcs.push({ cx, cy, r: rIn });
+  return { paths: [pathFromPoints(outline, true)], polylines: [outline], outline, holes: [], arcs };
 }
 
-export function buildInternalGearPath(c, inp, { cx, cy }){
-  // Ring gear: we draw the *inner* tooth boundary as a path.
-  // Conceptually, it's like an external gear but inverted: tooth tips on a smaller circle.
+export function buildInternalGearPath(c, inp, { cx, cy, sector = null }){
+  // Ring gear: one closed toothed boundary (spaces cut outwards into the rim) plus the rim circle.
+  // An internal tooth space is shaped like an external tooth: it narrows as r grows.
   const N = c.N;
   const rp = c.D/2;
   const rb = c.Db/2;
   const rTipInner = c.Dt_int/2;   // tooth tips toward center
   const rRootOuter = c.Dro_int/2; // root circle (outer boundary of tooth space)
 
-  // We generate an external gear at pitch and then map radii: treat rTip as "addendum" target.
-  const invol = sampleInvolute(rb, Math.max(rb+0.0001, rp), inp.samples);
-
-  const thetaPitchHalf = (c.s / (2*rp));
+  // Space half-angle at pitch from the space width e = p - s, so backlash widens the space.
+  const thetaPitchHalf = (c.e / (2*rp));
   const tp = Math.sqrt(Math.max(0, (rp*rp)/(rb*rb) - 1));
-  const pPitch = involutePoint(rb, tp);
-  const alphaPitch = angleOfPoint(pPitch);
-  const rot = thetaPitchHalf - alphaPitch;
-
-  // For internal gear, the tooth space boundary is the *complement*; we approximate by building flanks
-  // that go from pitch toward inner tip circle.
-  const tTip = Math.sqrt(Math.max(0, (rTipInner*rTipInner)/(rb*rb) - 1));
-  const flankPts = [];
-  const s = inp.samples;
-  for(let i=0;i<=s;i++){
-    const t = tTip * (i/s);
-    const p = rotate(involutePoint(rb, t), rot);
-    flankPts.push(p);
+  const alphaPitch = angleOfPoint(involutePoint(rb, tp));
+  const rot = thetaPitchHalf + alphaPitch;
+
+  // Very thick ring teeth can close the space before the root circle: stop the flanks there.
+  const tClosed = involuteParamForAngle(rot);
+  const rOuter = Math.min(rRootOuter, rb * Math.sqrt(1 + tClosed*tClosed));
+  const rInner = Math.min(rTipInner, rOuter);
+
+  // +angle flank of the space at angle 0, from the tip circle outwards. Below the base circle there is
+  // no involute, so the flank runs radially down to the tip circle.
+  // A space wider than the pitch at the tip circle (pointed ring teeth) is stopped on the tooth centreline.
+  const raw = [];
+  if(rInner < rb) raw.push(polar(rInner, rot));
+  const invol = sampleInvolute(rb, rOuter, inp.samples, Math.max(rInner, rb));
+  for(const pt of invol.pts) raw.push(rotate({ x: pt.x, y: -pt.y }, rot));
+  const flank = clipToWedge(raw, 0, Math.PI/N);
+
+  const lower = flank.map(p => ({ x: p.x, y: -p.y }));
+  const upper = flank.slice().reverse();
+
+  // Root arc across the bottom of the space (increasing angle)
+  const rootPts = [];
+  const rootA = Math.atan2(lower[lower.length-1].y, lower[lower.length-1].x);
+  const rootSteps = Math.max(10, Math.floor(inp.samples/2));
+  for(let i=1;i<rootSteps;i++){
+    rootPts.push(polar(rOuter, rootA + (-2*rootA)*(i/rootSteps)));
   }
 
-  // Start at pitch (or base if pitch < base)
-  // Root arc at rRootOuter closes the space between teeth.
-  const left = flankPts;
-  const right = left.map(p => ({ x: p.x, y: -p.y })).reverse();
-
-  const tipL = left[left.length-1];
-  const tipR = right[0];
-  let angL = Math.atan2(tipL.y, tipL.x);
-  let angR = Math.atan2(tipR.y, tipR.x);
-  if(angR < angL) angR += Math.PI*2;
-
-  // Inner tip arc (at rTipInner) but this is the inner boundary; keep it smooth.
+  // Ring tooth tip between this space and the next one
   const tipPts = [];
-  const tipSteps = Math.max(10, Math.floor(inp.samples/2));
+  const tipA1 = Math.atan2(upper[upper.length-1].y, upper[upper.length-1].x);
+  const tipA2 = 2*Math.PI/N - tipA1;
+  const tipSteps = tipA2 - tipA1 > 1e-9 ? Math.max(10, Math.floor(inp.samples/2)) : 0;
   for(let i=1;i<tipSteps;i++){
-    const a = angL + (angR-angL)*(i/tipSteps);
-    tipPts.push(polar(rTipInner, a));
+    tipPts.push(polar(rInner, tipA1 + (tipA2 - tipA1)*(i/tipSteps)));
   }
 
-  // Root arc at rRootOuter between right bottom and left bottom
-  const rootL = left[0];
-  const rootR = right[right.length-1];
-  let ar1 = Math.atan2(rootL.y, rootL.x);
-  let ar2 = Math.atan2(rootR.y, rootR.x);
-  if(ar2 < ar1) ar2 += Math.PI*2;
+  const pitchPts = [...lower, ...rootPts, ...upper, ...tipPts];
+  if(sector) return internalSector(c, inp, { cx, cy, sector, lower, rootPts, upper, tipPts, rOuter, rInner });
 
-  const rootPts = [];
-  const rootSteps = Math.max(10, Math.floor(inp.samples/2));
-  for(let i=1;i<rootSteps;i++){
-    const a = ar1 + (ar2-ar1)*(i/rootSteps);
-    rootPts.push(polar(rRootOuter, a));
+  // One continuous loop: replicate the space + tooth-tip segment around the circle. The toothed boundary
+  // is a hole in the rim, so it runs clockwise (in CAD) and the rim counter-clockwise.
+  const loop = [];
+  for(let k=0;k<N;k++){
+    const a = k * (2*Math.PI/N);
+    for(const p of pitchPts) loop.push(translate(rotate(p, a), cx, cy));
   }
+  const ring = cleanLoop(loop, false);
 
-  const toothSpace = [
-    ...left,
-    ...tipPts,
-    ...right,
-    ...rootPts,
-  ];
+  const rimSteps = Math.max(96, N*4);
+  const rim = [];
+  for(let i=0;i<rimSteps;i++) rim.push(translate(polar(c.Drim/2, -i * (2*Math.PI/rimSteps)), cx, cy));
 
-  const els = [];
-  const polylines = [];
-  for(let k=0;k<N;k++){
-    const a = k * (2*Math.PI/N);
-    const poly = toothSpace.map(p => translate(rotate(p, a), cx, cy));
-    polylines.push(poly);
-    els.push(svgPath(pathFromPoints(poly, true)));
+  const polylines = [ring, rim];
+  const paths = polylines.map(poly => pathFromPoints(poly, true));
+
+  const arcs = [{ cx, cy, r: rInner }, { cx, cy, r: rOuter }, { cx, cy, r: c.Drim/2 }];
+
+  return { paths, polylines, outline: rim, holes: [ring], arcs };
+}
+
+function internalSector(c, inp, { cx, cy, sector, lower, rootPts, upper, tipPts, rOuter, rInner }){
+  // A ring segment: the kept teeth with root lands out to radial edges at the sector's start and end,
+  // running from the root circle to the rim, and the rim arc between them. One outline, no holes.
+  const pitchAngle = sector.pitchAngle;
+  const aS = -sector.start, aE = -sector.end; // screen angles (y down): CAD counter-clockwise is decreasing
+  const rRim = c.Drim/2;
+  const at = (r, a) => translate(polar(r, a), cx, cy);
+  const place = (pts, a) => pts.map(p => translate(rotate(p, a), cx, cy));
+  const arc = (r, a0, a1, steps) => {
+    const out = [];
+    for(let i=1;i<steps;i++) out.push(at(r, a0 + (a1 - a0)*(i/steps)));
+    return out;
+  };
+  const landSteps = (a0, a1) => Math.max(2, Math.ceil(Math.abs(a1 - a0) / pitchAngle * Math.max(10, Math.floor(inp.samples/2))));
+  const rootA = Math.atan2(lower[lower.length-1].y, lower[lower.length-1].x);
+
+  // Walking up the screen angle (clockwise in CAD) along the teeth, from the end edge to the start edge.
+  const k0 = sector.first, k1 = sector.first + sector.teeth - 1;
+  const loop = [at(rOuter, aE)];
+  const landIn = -(k1 + 1) * pitchAngle - rootA;
+  loop.push(...arc(rOuter, aE, landIn, landSteps(aE, landIn)));
+  for(let k=k1;k>=k0;k--){
+    const space = -(k + 1) * pitchAngle;
+    loop.push(...place(upper, space), ...place(tipPts, space), ...place(lower, space + pitchAngle));
+    if(k > k0) loop.push(...place(rootPts, space + pitchAngle));
   }
+  const landOut = -k0 * pitchAngle + rootA;
+  loop.push(...arc(rOuter, landOut, aS, landSteps(landOut, aS)), at(rOuter, aS));
+  loop.push(at(rRim, aS), ...arc(rRim, aS, aE, Math.max(48, inp.samples * 2)), at(rRim, aE));
 
-  return { els, polylines };
+  const outline = cleanLoop(loop, true);
+  const arcs = [{ cx, cy, r: rInner }, { cx, cy, r: rOuter }, { cx, cy, r: rRim }];
+  return { paths: [pathFromPoints(outline, true)], polylines: [outline], outline, holes: [], arcs };
 }
 
-export function buildRackPath(c, inp, { x, y }){
+export function buildRackPath(c, inp, { x, y, backing = null, phase = 0, sector = null }){
   // Rack polygon: baseline at y (pitch line), tip at y-a, root at y+b.
-  // We build a monotonic outline left→right (no self-crossing) suitable for CAD import.
+  // We build a monotonic outline left→right (no self-crossing) suitable for CAD import, cut at the rack ends.
+  // Teeth are centred at x + (i + phase)·p (phase 0.5 cuts the ends mid-space); backing is the depth
+  // below the root line (default 1.2·b). A partial rack (sector) keeps its teeth centred on the length,
+  // with root land or, with end stops, a solid block up to the tip line from there to each end.
 
   const p = c.p;
   const phi = c.phi;
@@ -295,110 +884,161 @@ export function buildRackPath(c, inp, { x, y }){
   const x0 = x;
   const x1 = x + L;
 
-  const a = c.a;
   const b = c.b;
-  const yTip = y - a;
   const yRoot = y + b;
 
-  const half = c.s / 2; // half tooth thickness at pitch
+  const half = c.s / 2; // half tooth thickness at pitch (includes backlash and profile shift)
 
-  // Horizontal run per flank from root→tip (based on pressure angle)
-  const h = a + b;
-  const run = h / Math.tan(phi);
+  // Straight flanks lean by the pressure angle: wider at the root.
+  const rootHalf = half + b * Math.tan(phi);
+
+  // Left flank of a tooth centred at x = 0, root → tip, as (dx, y). Relief is taken off normal to the
+  // straight flank, i.e. a horizontal shift of Δ/cosφ towards the tooth centre.
+  const flank = rackFlank(c, y, inp.samples);
 
   // Choose enough teeth to cover the rack span.
   const count = Math.max(2, Math.ceil(L / p) + 2);
 
+  // Tooth centres: every pitch along the span, or only the sector's, centred on the length.
+  const centres = [];
+  if(sector) for(let k=0;k<sector.teeth;k++) centres.push(x0 + L/2 + (k - (sector.teeth - 1)/2) * p);
+  else for(let i = -1; i <= count; i++) centres.push(x0 + (i + phase) * p);
+
+  // End stops: square blocks at tip height from each end to half a pitch outside the outer teeth.
+  const stops = sector && sector.stops;
+  const yTip = y - c.a;
+  const zoneL = stops ? x0 + sector.stopLength : x0, zoneR = stops ? x1 - sector.stopLength : x1;
+
   // Top/tooth outline points along the boundary (we'll close with the bottom edge).
   const top = [];
 
-  // Seed at left root
-  top.push({ x: x0, y: yRoot });
-
-  for(let i = -1; i <= count; i++){
-    const xc = x0 + i * p;
+  // Seed at left root (or stop top), one tooth before the span
+  if(stops) top.push({ x: x0 - 2*p, y: yTip }, { x: zoneL, y: yTip }, { x: zoneL, y: yRoot });
+  else top.push({ x: x0 - 2*p, y: yRoot });
 
+  for(const xc of centres){
     // Define the tooth's key x locations
-    const rootL = xc - half - run;
-    const tipL = xc - half;
-    const tipR = xc + half;
-    const rootR = xc + half + run;
-
-    // Clamp to rack span so bbox/fit behaves and exports are exact length.
-    const rL = Math.max(x0, Math.min(x1, rootL));
-    const tL = Math.max(x0, Math.min(x1, tipL));
-    const tR = Math.max(x0, Math.min(x1, tipR));
-    const rR = Math.max(x0, Math.min(x1, rootR));
+    const rootL = xc - rootHalf;
+    const rootR = xc + rootHalf;
 
     // Only add if this tooth intersects the [x0,x1] region meaningfully.
     const intersects = (rootR >= x0 && rootL <= x1);
     if(!intersects) continue;
 
-    // Append in increasing x order, avoiding duplicate x points.
-    const push = (pt) => {
+    // Append in increasing x order, avoiding duplicate points.
+    const push = (q) => {
       const last = top[top.length-1];
-      if(!last || Math.abs(last.x - pt.x) > 1e-6 || Math.abs(last.y - pt.y) > 1e-6) top.push(pt);
+      if(!last || Math.abs(last.x - q.x) > 1e-6 || Math.abs(last.y - q.y) > 1e-6) top.push(q);
     };
 
-    // root → tip left flank
-    push({ x: rL, y: yRoot });
-    push({ x: tL, y: yTip });
-    // tip plateau
-    push({ x: tR, y: yTip });
-    // tip → root right flank
-    push({ x: rR, y: yRoot });
+    // root → tip left flank, tip plateau, tip → root right flank
+    for(const f of flank) push({ x: xc + f.dx, y: f.y });
+    for(let j=flank.length-1;j>=0;j--) push({ x: xc - flank[j].dx, y: flank[j].y });
   }
 
-  // Ensure we end exactly at right root.
-  if(top.length === 0 || top[top.length-1].x !== x1) top.push({ x: x1, y: yRoot });
+  if(stops) top.push({ x: zoneR, y: yRoot }, { x: zoneR, y: yTip }, { x: x1 + 2*p, y: yTip });
+  else top.push({ x: x1 + 2*p, y: yRoot });
+
+  // Cut the (x-monotonic) profile exactly at the rack ends so exports are exact length.
+  const span = [];
+  for(let i=0;i<top.length;i++){
+    const q = top[i], prev = top[i-1];
+    for(const xe of [x0, x1]){
+      if(prev && prev.x < xe && q.x > xe) span.push({ x: xe, y: prev.y + (q.y - prev.y) * (xe - prev.x) / (q.x - prev.x) });
+    }
+    if(q.x >= x0 && q.x <= x1) span.push(q);
+  }
 
   // Close with bottom edge (simple rectangle bottom). Many racks are modeled as a profile that you extrude.
-  // If you want a thinner backing plate, we can add a "backing height" input later.
-  const backing = Math.max(0.0001, b * 1.2);
-  const yBack = yRoot + backing;
+  const yBack = yRoot + Math.max(0.0001, backing ?? b * 1.2);
 
-  const pts = [
-    ...top,
+  const pts = cleanLoop([
+    ...span,
     { x: x1, y: yBack },
     { x: x0, y: yBack },
-  ];
-
-  const d = pathFromPoints(pts, true);
-  return { el: svgPath(d), points: pts };
-}
-
-function svgPath(d){
-  const path = document.createElementNS('http://www.w3.org/2000/svg','path');
-  path.setAttribute('d', d);
-  path.setAttribute('class', 'gearStroke');
-  // Note: we intentionally allow stroke to scale with zoom so the preview doesn't look like a blob when zoomed out.
-  return path;
-}
-
-export function downloadText(filename, text, mime='text/plain'){
-  const blob = new Blob([text], { type: mime });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = filename;
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  URL.revokeObjectURL(url);
-}
-
-export async function copyTextToClipboard(text){
-  try{
-    await navigator.clipboard.writeText(text);
-  } catch {
-    // fallback
-    const ta = document.createElement('textarea');
-    ta.value = text;
-    ta.style.position = 'fixed';
-    ta.style.left = '-9999px';
-    document.body.appendChild(ta);
-    ta.select();
-    document.execCommand('copy');
-    ta.remove();
+  ], true);
+
+  return { d: pathFromPoints(pts, true), points: pts };
+}
+
+function rackFlank(c, y, samples){
+  // Heights h above the pitch line: flank runs from -b (root) to +a (tip), narrowing by tanφ per unit.
+  const half = c.s / 2;
+  const a = c.a, b = c.b;
+  const tanPhi = Math.tan(c.phi);
+  const cosPhi = Math.cos(c.phi);
+  const hTip = Math.min(a, c.hTipRelief);
+  const hRoot = Math.max(-b, c.hRootRelief);
+  const tipOn = c.tipRelief > 0 && hTip < a;
+  const rootOn = c.rootRelief > 0 && hRoot > -b;
+
+  const hs = [-b, a];
+  // Straight flanks only need their ends; relieved zones are sampled so a parabola reads as a curve.
+  const n = c.reliefShape === 'parabolic' ? Math.max(6, Math.floor(samples/4)) : 1;
+  if(tipOn) for(let i=0;i<n;i++) hs.push(hTip + (a - hTip)*(i/n));
+  if(rootOn) for(let i=1;i<=n;i++) hs.push(-b + (hRoot + b)*(i/n));
+  hs.sort((p, q) => p - q);
+
+  const pts = [];
+  for(const h of hs){
+    let delta = 0;
+    if(tipOn && h > hTip) delta += c.tipRelief * reliefCurve(c.reliefShape, (h - hTip) / (a - hTip));
+    if(rootOn && h < hRoot) delta += c.rootRelief * reliefCurve(c.reliefShape, (hRoot - h) / (hRoot + b));
+    // Never past the tooth centreline (a pointed, fully relieved tip stays a point).
+    const w = Math.max(0, half - h * tanPhi - delta / cosPhi);
+    const last = pts[pts.length-1];
+    if(!last || Math.abs(last.y - (y - h)) > 1e-9) pts.push({ dx: -w, y: y - h });
   }
+  return breakRackCorners(pts, c, y, samples);
+}
+
+function breakRackCorners(flank, c, y, samples){
+  // Root corner radius (into the space) and tip radius/chamfer (onto the plateau) for the left flank.
+  // Sizes that overrun half the root land or half the tip plateau are shrunk until they fit.
+  const steps = Math.max(6, Math.floor(samples/4));
+  const yTip = y - c.a, yRoot = y + c.b;
+  let pts = flank.map(f => ({ x: f.dx, y: f.y }));
+
+  const shrink = (size, attempt) => {
+    for(let k=0;k<30 && size > 0;k++){
+      const out = attempt(size);
+      if(out) return out;
+      size *= 0.85;
+    }
+    return null;
+  };
+
+  if(c.rackRootRadius > 0){
+    const out = shrink(c.rackRootRadius, (size) => {
+      const blend = blendCorner(pts, size, 1, (pt) => ({ d: (yRoot - size) - pt.y, foot: { x: pt.x, y: yRoot } }));
+      if(!blend || blend.to.x < -c.p/2) return null;
+      return [blend.to, ...arcPoints(blend.centre, blend.to, blend.from, steps), ...pts.slice(blend.index+1)];
+    });
+    if(out) pts = out;
+  }
+
+  if(c.tipEdgeSize > 0){
+    const out = shrink(c.tipEdgeSize, (size) => {
+      if(c.tipEdge === 'chamfer'){
+        // 45°-style break: size down the flank, size along the plateau.
+        const yStart = yTip + size;
+        for(let i=pts.length-2;i>=0;i--){
+          const p0 = pts[i], p1 = pts[i+1];
+          if(p0.y >= yStart && p1.y <= yStart){
+            const f = p0.y > p1.y ? (p0.y - yStart) / (p0.y - p1.y) : 0;
+            const corner = pts[pts.length-1];
+            if(corner.x + size > 0) return null;
+            return [...pts.slice(0, i+1), { x: p0.x + (p1.x - p0.x)*f, y: yStart }, { x: corner.x + size, y: yTip }];
+          }
+        }
+        return null;
+      }
+      const blend = blendCorner(pts, size, -1, (pt) => ({ d: (yTip + size) - pt.y, foot: { x: pt.x, y: yTip } }));
+      if(!blend || blend.to.x > 0) return null;
+      return [...pts.slice(0, blend.index+1), blend.from, ...arcPoints(blend.centre, blend.from, blend.to, steps)];
+    });
+    if(out) pts = out;
+  }
+
+  return pts.map(pt => ({ dx: pt.x, y: pt.y }));
 }
@@ -0,0 +1,231 @@
+// Hub features for an external gear: bore (round, keyed, D-flat or hex) and lightening holes in the web
+// between the hub and the root circle. Everything is emitted as extra closed outlines.
+
+import { cleanLoop } from './gear.js';
+
+function check(name, ok, detail){
+  return { name, ok: Boolean(ok), detail };
+}
+
+export function holeClearance(holes, rr, web){
+  // The farthest any lightening hole reaches, against the root circle less the web: a circle's outer
+  // edge, or a kidney's outer arc and its round ends (radius dh/2 about rc, so out to rc + dh/2).
+  const reach = holes.shape === 'kidney' ? Math.max(holes.rw, holes.rc + holes.dh/2) : holes.rc + holes.dh/2;
+  const limit = rr - web;
+  const what = holes.shape === 'kidney' ? `slots r ${holes.rh.toFixed(4)} … ${reach.toFixed(4)}` : `Ø${holes.dh.toFixed(4)} on r ${holes.rc.toFixed(4)}, outer edge r ${reach.toFixed(4)}`;
+  return check('Lightening holes clear of root circle', reach <= limit + 1e-9, `${what} ≤ ${limit.toFixed(4)} (root r ${rr.toFixed(4)} − web ${web.toFixed(4)})`);
+}
+
+// DIN 6885-1 parallel keys (mm): shaft d up to `upTo` → key width b, height h, hub keyway depth t2.
+const DIN_6885 = [
+  { upTo: 8, b: 2, h: 2, t2: 1.0 },
+  { upTo: 10, b: 3, h: 3, t2: 1.4 },
+  { upTo: 12, b: 4, h: 4, t2: 1.8 },
+  { upTo: 17, b: 5, h: 5, t2: 2.3 },
+  { upTo: 22, b: 6, h: 6, t2: 2.8 },
+  { upTo: 30, b: 8, h: 7, t2: 3.3 },
+  { upTo: 38, b: 10, h: 8, t2: 3.3 },
+  { upTo: 44, b: 12, h: 8, t2: 3.3 },
+  { upTo: 50, b: 14, h: 9, t2: 3.8 },
+  { upTo: 58, b: 16, h: 10, t2: 4.3 },
+  { upTo: 65, b: 18, h: 11, t2: 4.4 },
+  { upTo: 75, b: 20, h: 12, t2: 4.9 },
+  { upTo: 85, b: 22, h: 14, t2: 5.4 },
+  { upTo: 95, b: 25, h: 14, t2: 5.4 },
+  { upTo: 110, b: 28, h: 16, t2: 6.4 },
+  { upTo: 130, b: 32, h: 18, t2: 7.4 },
+  { upTo: 150, b: 36, h: 20, t2: 8.4 },
+  { upTo: 170, b: 40, h: 22, t2: 9.4 },
+  { upTo: 200, b: 45, h: 25, t2: 10.4 },
+  { upTo: 230, b: 50, h: 28, t2: 11.4 },
+];
+
+// ANSI B17.1 square keys (inch): shaft d up to `upTo` → key width = height; hub keyseat depth h/2.
+const ANSI_B17_1 = [
+  { upTo: 7/16, b: 3/32 },
+  { upTo: 9/16, b: 1/8 },
+  { upTo: 7/8, b: 3/16 },
+  { upTo: 1.25, b: 1/4 },
+  { upTo: 1.375, b: 5/16 },
+  { upTo: 1.75, b: 3/8 },
+  { upTo: 2.25, b: 1/2 },
+  { upTo: 2.75, b: 5/8 },
+  { upTo: 3.25, b: 3/4 },
+  { upTo: 3.75, b: 7/8 },
+  { upTo: 4.5, b: 1 },
+  { upTo: 5.5, b: 1.25 },
+  { upTo: 6.5, b: 1.5 },
+].map(k => ({ ...k, h: k.b, t2: k.b/2 }));
+
+function keyForBore(d, standard, units){
+  // Tables are in their own unit system; convert the bore in and the key back out.
+  const table = standard === 'ansi' ? ANSI_B17_1 : DIN_6885;
+  const tableUnit = standard === 'ansi' ? 'in' : 'mm';
+  const k = tableUnit === units ? 1 : (tableUnit === 'mm' ? 25.4 : 1/25.4);
+  const dT = d * k;
+  const row = table.find(r => dT <= r.upTo + 1e-9);
+  if(!row) return null;
+  return { b: row.b / k, h: row.h / k, t2: row.t2 / k };
+}
+
+export function computeHub(c, inp){
+  // A sector gear's arm ends in the hub round the pivot; a segment (no arm) has no centre to bore, and
+  // neither has the full web a ring of lightening holes needs.
+  const sector = c.type === 'external' ? c.sector : null;
+  const segment = Boolean(sector) && sector.arm === 'none';
+  const boreType = ['round', 'keyway', 'dflat', 'hex'].includes(inp.boreType) ? inp.boreType : 'none';
+  const wanted = (boreType !== 'none' && Number.isFinite(inp.bore) && inp.bore > 0) ? inp.bore : 0;
+  const d = segment ? 0 : wanted;
+  const rr = c.Dr_ext/2;
+  const web = Number.isFinite(inp.webWidth) && inp.webWidth > 0 ? inp.webWidth : 2 * c.mn;
+  const checks = [];
+  if(segment && wanted > 0) checks.push(check('Bore', false, 'a segment has no centre: give the sector an arm to the hub for a bore'));
+
+  // Bore envelope radius re: how far the bore feature reaches from the centre.
+  let key = null, flat = 0, re = d/2;
+  if(d > 0 && boreType === 'keyway'){
+    key = keyForBore(d, inp.keyStandard, c.units);
+    if(key){
+      re = Math.hypot(d/2 + key.t2, key.b/2);
+    } else {
+      checks.push(check('Keyway', false, `no ${inp.keyStandard === 'ansi' ? 'ANSI B17.1' : 'DIN 6885'} key for this bore`));
+    }
+  }
+  if(d > 0 && boreType === 'dflat'){
+    // Flat depth measured from the bore circle; auto = 10% of the bore.
+    flat = Number.isFinite(inp.flatDepth) && inp.flatDepth > 0 ? Math.min(inp.flatDepth, d/2) : 0.1 * d;
+  }
+  if(d > 0 && boreType === 'hex') re = d / Math.sqrt(3); // across flats → corner radius
+
+  const boreOk = d > 0 && re + web/2 < rr;
+  if(d > 0){
+    checks.push(check('Bore clear of root circle', boreOk,
+      `bore reaches r ${re.toFixed(4)}, root r ${rr.toFixed(4)}, wall ${(rr - re).toFixed(4)}`));
+  }
+
+  // Lightening holes live in the annulus between the hub and the rim left under the teeth.
+  const asked = Math.max(0, Math.floor(Number(inp.holeCount) || 0));
+  const count = sector ? 0 : asked;
+  if(sector && asked > 0) checks.push(check('Lightening holes', false, 'left out of a sector gear'));
+  const shape = inp.holeShape === 'kidney' ? 'kidney' : 'circle';
+  const reHub = boreOk ? re : 0;
+  const rh = Number.isFinite(inp.hubDiameter) && inp.hubDiameter > 0
+    ? inp.hubDiameter/2
+    : (reHub > 0 ? reHub + Math.max(web, 0.3 * reHub) : 0.3 * rr);
+  const rw = rr - web;
+  if(sector && !segment){
+    checks.push(check('Sector hub inside root circle', rh < rr, `hub r ${rh.toFixed(4)}, root r ${rr.toFixed(4)}`));
+    if(boreOk) checks.push(check('Sector hub round the bore', rh > re, `hub r ${rh.toFixed(4)}, bore reaches r ${re.toFixed(4)}`));
+  }
+  let holes = null;
+  if(count > 0){
+    const band = rw - rh;
+    const rc = (rh + rw) / 2;
+    if(band <= 0){
+      checks.push(check('Lightening holes clear of root circle', false,
+        `no room: hub r ${rh.toFixed(4)} ≥ root r ${rr.toFixed(4)} − web ${web.toFixed(4)}`));
+    } else if(rh < reHub + web/2){
+      checks.push(check('Lightening holes clear of bore', false, `hub r ${rh.toFixed(4)} too close to bore r ${reHub.toFixed(4)}`));
+    } else if(shape === 'circle'){
+      // Largest circle that fits the band and still leaves a web between neighbours.
+      const dh = Math.min(band, 2 * rc * Math.sin(Math.PI / count) - web);
+      if(dh > 0){
+        holes = { shape, count, rc, dh, rh, rw };
+        checks.push(holeClearance(holes, rr, web));
+      } else {
+        checks.push(check('Lightening holes fit', false, `${count} holes leave no web of ${web.toFixed(4)} between them`));
+      }
+    } else {
+      // Kidney: annular slot with round ends; spokes of width `web` at the mid radius.
+      const span = 2*Math.PI / count - (web + band) / rc;
+      if(span > 0){
+        holes = { shape, count, rc, dh: band, rh, rw, span };
+        checks.push(holeClearance(holes, rr, web));
+      } else {
+        checks.push(check('Lightening holes fit', false, `${count} kidney slots leave no spoke of ${web.toFixed(4)}`));
+      }
+    }
+  }
+
+  return {
+    boreType: boreOk ? boreType : 'none',
+    bore: boreOk ? d : 0,
+    boreRejected: d > 0 && !boreOk,
+    key: boreOk ? key : null,
+    keyStandard: inp.keyStandard === 'ansi' ? 'ansi' : 'din',
+    flat: boreOk ? flat : 0,
+    boreReach: boreOk ? re : 0,
+    hubDiameter: 2 * rh,
+    web,
+    holes,
+    checks,
+  };
+}
+
+function arc(cx, cy, r, a0, a1, steps, out){
+  for(let i=0;i<=steps;i++){
+    const a = a0 + (a1 - a0) * (i/steps);
+    out.push({ x: cx + r * Math.cos(a), y: cy + r * Math.sin(a) });
+  }
+  return out;
+}
+
+export function buildHubPaths(h, { cx, cy }, samples = 48){
+  // Bore feature points up the screen (−y) so the keyway/flat sits over a tooth at 12 o'clock.
+  const polylines = [];
+  const arcs = [];
+  const steps = Math.max(48, samples * 2);
+  const up = -Math.PI/2;
+  const R = h.bore / 2;
+  const turn = (p) => ({ x: cx + p.x * Math.cos(up) - p.y * Math.sin(up), y: cy + p.x * Math.sin(up) + p.y * Math.cos(up) });
+
+  if(h.bore > 0){
+    const local = [];
+    if(h.boreType === 'keyway' && h.key){
+      const w = h.key.b / 2;
+      const a0 = Math.asin(Math.min(1, w / R));
+      arc(0, 0, R, a0, 2*Math.PI - a0, steps, local);
+      local.push({ x: R + h.key.t2, y: -w }, { x: R + h.key.t2, y: w });
+    } else if(h.boreType === 'dflat'){
+      const a0 = Math.acos((R - h.flat) / R);
+      arc(0, 0, R, a0, 2*Math.PI - a0, steps, local);
+    } else if(h.boreType === 'hex'){
+      const rc = h.bore / Math.sqrt(3);
+      for(let k=0;k<6;k++) local.push({ x: rc * Math.cos(Math.PI/6 + k*Math.PI/3), y: rc * Math.sin(Math.PI/6 + k*Math.PI/3) });
+    } else {
+      arc(0, 0, R, 0, 2*Math.PI, steps, local);
+      local.pop();
+    }
+    polylines.push(cleanLoop(local.map(turn), false));
+    if(h.boreType !== 'hex') arcs.push({ cx, cy, r: R });
+  }
+
+  const holes = h.holes;
+  if(holes){
+    if(holes.shape === 'kidney') arcs.push({ cx, cy, r: holes.rw }, { cx, cy, r: holes.rh });
+    for(let k=0;k<holes.count;k++){
+      // Centred between spokes; the first hole sits half a pitch off the bore feature.
+      const mid = up + (k + 0.5) * 2*Math.PI / holes.count;
+      const pts = [];
+      if(holes.shape === 'circle'){
+        const hc = { cx: cx + holes.rc * Math.cos(mid), cy: cy + holes.rc * Math.sin(mid), r: holes.dh/2 };
+        arc(hc.cx, hc.cy, hc.r, 0, 2*Math.PI, steps/2, pts);
+        pts.pop();
+        arcs.push(hc);
+      } else {
+        const a0 = mid - holes.span/2, a1 = mid + holes.span/2, rEnd = holes.dh/2;
+        const steps2 = Math.max(8, Math.floor(steps/4));
+        arc(cx, cy, holes.rw, a0, a1, steps, pts);
+        arc(cx + holes.rc * Math.cos(a1), cy + holes.rc * Math.sin(a1), rEnd, a1, a1 + Math.PI, steps2, pts);
+        arc(cx, cy, holes.rh, a1, a0, steps, pts);
+        arc(cx + holes.rc * Math.cos(a0), cy + holes.rc * Math.sin(a0), rEnd, a0 + Math.PI, a0 + 2*Math.PI, steps2, pts);
+        arcs.push({ cx: cx + holes.rc * Math.cos(a1), cy: cy + holes.rc * Math.sin(a1), r: rEnd },
+          { cx: cx + holes.rc * Math.cos(a0), cy: cy + holes.rc * Math.sin(a0), r: rEnd });
+      }
+      polylines.push(cleanLoop(pts, false));
+    }
+  }
+
+  // Circles the outlines follow (bore, slot sides and ends), for true arcs in DXF.
+  return { polylines, arcs };
+}
@@ -0,0 +1,232 @@
+// Meshing pair calculator (external–external, external–internal, gear–rack) built on computeGear.
+// Gear 1 is always the generator's gear treated as an external pinion; gear 2 is the mate.
+
+import { computeGear, involute, inverseInvolute } from './gear.js';
+
+function check(name, ok, detail){
+  return { name, ok: Boolean(ok), detail };
+}
+
+// Internal-pair trimming check (tooth tips clashing while the pinion slides out radially), per the
+// classic Japanese/KHK handbook formulation. Returns NaN when the geometry never reaches that state.
+function trimmingMargin(z1, z2, ra1, ra2, rb1, rb2, alphaW){
+  const aa1 = Math.acos(Math.min(1, rb1/ra1));
+  const aa2 = Math.acos(Math.min(1, rb2/ra2));
+  const q1 = (1 - (Math.cos(aa1)/Math.cos(aa2))**2) / (1 - (z1/z2)**2);
+  const q2 = ((Math.cos(aa2)/Math.cos(aa1))**2 - 1) / ((z2/z1)**2 - 1);
+  if(!(q1 >= 0 && q1 <= 1 && q2 >= 0 && q2 <= 1)) return NaN;
+  const th1 = Math.asin(Math.sqrt(q1));
+  const th2 = Math.asin(Math.sqrt(q2));
+  return (th1 + involute(aa1) - involute(alphaW)) - (z2/z1) * (th2 + involute(aa2) - involute(alphaW));
+}
+
+export function computePair(inp, pair){
+  const { kind, N2, centerDistance } = pair;
+  const z1 = inp.N;
+
+  const c1 = computeGear({ ...inp, type: 'external' });
+  // Helical pairs mesh in the transverse plane (m, α); shifts are normal-plane, x·mn.
+  const m = c1.m;
+  const mn = c1.mn;
+  const alpha = c1.phi;
+  const tanAlphaN = Math.tan(c1.phiN);
+  const x1 = c1.x;
+  const pb = Math.PI * m * Math.cos(alpha); // base pitch
+  const hasTarget = Number.isFinite(centerDistance) && centerDistance > 0;
+
+  // Mate uses standard proportions (addendum/dedendum overrides belong to gear 1 only) and no backlash of its own.
+  const mateInp = (x2) => ({ ...inp, type: kind, N: N2, D: m * N2, addendum: 0, dedendum: 0, backlash: 0, profileShift: x2 });
+
+  const ra1 = c1.Do_ext/2, rb1 = c1.Db/2, rr1 = c1.Dr_ext/2, r1 = c1.D/2;
+  const checks = [];
+  let c2, x2, a0, aw, alphaW, sumXRequired, contactRatio;
+  // Where contact starts on gear 1, as a roll length from its base tangency point T1 along the line of
+  // action: negative when the mate's tip reaches in below gear 1's base circle.
+  let start1;
+
+  if(kind === 'rack'){
+    // "Center distance" for a rack is the gear axis → rack reference (pitch) line distance.
+    a0 = r1;
+    x2 = Number.isFinite(pair.x2) ? pair.x2 : 0;
+    sumXRequired = hasTarget ? (centerDistance - r1) / mn : x1 + x2;
+    if(hasTarget) x2 = sumXRequired - x1;
+    c2 = computeGear(mateInp(x2));
+    aw = r1 + (x1 + x2) * mn;
+    alphaW = alpha; // a rack always meshes at its own pressure angle
+
+    // Rack tip measured from the rolling line (the gear's pitch circle)
+    const rackTipReach = c2.a - (aw - r1);
+    const approach = rackTipReach / Math.sin(alpha);
+    const recess = Math.sqrt(ra1*ra1 - rb1*rb1) - r1 * Math.sin(alpha);
+    contactRatio = (approach + recess) / pb;
+    start1 = r1 * Math.sin(alpha) - approach;
+
+    checks.push(check('Tip interference (rack tip vs gear base tangency)', approach <= r1 * Math.sin(alpha) + 1e-9,
+      `approach ${approach.toFixed(4)} ≤ limit ${(r1 * Math.sin(alpha)).toFixed(4)}`));
+    checks.push(check('Clearance rack tip → gear root', (aw - c2.a) - rr1 >= -1e-9,
+      `${((aw - c2.a) - rr1).toFixed(4)}`));
+    checks.push(check('Clearance gear tip → rack root', (aw + c2.b) - ra1 >= -1e-9,
+      `${((aw + c2.b) - ra1).toFixed(4)}`));
+  } else {
+    const internal = kind === 'internal';
+    const zd = internal ? (N2 - z1) : (N2 + z1);
+    a0 = m * zd / 2;
+
+    if(hasTarget){
+      alphaW = Math.acos(Math.min(1, a0 * Math.cos(alpha) / centerDistance));
+      // External: inv αw = inv α + 2 tanαn (x1+x2)/(z1+z2); internal (ISO signs): inv α − 2 tanαn (x1+x2)/(z2−z1)
+      const k = (involute(alphaW) - involute(alpha)) * zd / (2 * tanAlphaN);
+      sumXRequired = internal ? -k : k;
+      x2 = sumXRequired - x1;
+      aw = centerDistance;
+    } else {
+      x2 = Number.isFinite(pair.x2) ? pair.x2 : 0;
+      sumXRequired = x1 + x2;
+      const d = 2 * tanAlphaN * (x1 + x2) / zd;
+      alphaW = inverseInvolute(involute(alpha) + (internal ? -d : d));
+      aw = a0 * Math.cos(alpha) / Math.cos(alphaW);
+    }
+    c2 = computeGear(mateInp(x2));
+    const rb2 = c2.Db/2;
+    const lineOfAction = aw * Math.sin(alphaW);
+
+    if(internal){
+      const ra2 = c2.Dt_int/2;   // ring tips point inwards
+      const rr2 = c2.Dro_int/2;
+      const pinionTip = Math.sqrt(ra1*ra1 - rb1*rb1);
+      const ringTip = Math.sqrt(Math.max(0, ra2*ra2 - rb2*rb2));
+      contactRatio = (pinionTip - ringTip + lineOfAction) / pb;
+      start1 = ringTip - lineOfAction;
+
+      // Ring tip must stay outside the pinion's base tangency point T1.
+      const rInterf = Math.sqrt(rb2*rb2 + lineOfAction*lineOfAction);
+      checks.push(check('Tip interference (ring tip vs pinion base tangency)', ra2 >= rInterf - 1e-9,
+        `ring tip r ${ra2.toFixed(4)} ≥ ${rInterf.toFixed(4)}`));
+
+      // Pinion tip must finish contact on the ring's involute, not in its root fillet.
+      // The fillet zone is taken as the standard bottom clearance (0.25·mn) below the ring root.
+      const rContact = Math.sqrt(rb2*rb2 + (pinionTip + lineOfAction)**2);
+      const rForm2 = rr2 - 0.25 * mn;
+      checks.push(check('Fillet interference (pinion tip vs ring root fillet)', rContact <= rForm2 + 1e-9,
+        `contact r ${rContact.toFixed(4)} ≤ form r ${rForm2.toFixed(4)}`));
+
+      const trim = trimmingMargin(z1, N2, ra1, ra2, rb1, rb2, alphaW);
+      checks.push(check('Trimming interference (radial assembly)', !(trim < 0),
+        Number.isFinite(trim) ? `margin ${trim.toFixed(5)} rad` : 'tips never overlap'));
+
+      checks.push(check('Clearance pinion tip → ring root', rr2 - (aw + ra1) >= -1e-9,
+        `${(rr2 - (aw + ra1)).toFixed(4)}`));
+      checks.push(check('Clearance ring tip → pinion root', (ra2 - aw) - rr1 >= -1e-9,
+        `${((ra2 - aw) - rr1).toFixed(4)}`));
+    } else {
+      const ra2 = c2.Do_ext/2;
+      const rr2 = c2.Dr_ext/2;
+      const tip1 = Math.sqrt(ra1*ra1 - rb1*rb1);
+      const tip2 = Math.sqrt(ra2*ra2 - rb2*rb2);
+      contactRatio = (tip1 + tip2 - lineOfAction) / pb;
+      start1 = lineOfAction - tip2;
+
+      // Each tip must end contact before the mate's base tangency point.
+      checks.push(check('Tip interference (gear 1 tip vs gear 2 base)', tip1 <= lineOfAction + 1e-9,
+        `${tip1.toFixed(4)} ≤ ${lineOfAction.toFixed(4)}`));
+      checks.push(check('Tip interference (gear 2 tip vs gear 1 base)', tip2 <= lineOfAction + 1e-9,
+        `${tip2.toFixed(4)} ≤ ${lineOfAction.toFixed(4)}`));
+      checks.push(check('Clearance gear 1 tip → gear 2 root', aw - ra1 - rr2 >= -1e-9,
+        `${(aw - ra1 - rr2).toFixed(4)}`));
+      checks.push(check('Clearance gear 2 tip → gear 1 root', aw - ra2 - rr1 >= -1e-9,
+        `${(aw - ra2 - rr1).toFixed(4)}`));
+    }
+  }
+
+  checks.push(check('Contact ratio ≥ 1.2', contactRatio >= 1.2, contactRatio.toFixed(3)));
+
+  // Parallel-axis helical mesh: external gears and racks run the opposite hand, a ring the same hand.
+  const hand2 = (c1.hand === 'none' || kind === 'internal') ? c1.hand : (c1.hand === 'right' ? 'left' : 'right');
+
+  // Overlap (face) ratio of a helical pair over the generator's face width.
+  const overlapRatio = c1.faceWidth * Math.sin(c1.beta) / (Math.PI * mn);
+
+  return {
+    kind,
+    z1,
+    z2: N2,
+    m,
+    mn,
+    alpha,
+    beta: c1.beta,
+    hand1: c1.hand,
+    hand2,
+    x1,
+    x2,
+    c1,
+    c2,
+    a0,
+    aw,
+    alphaW,
+    alphaWDeg: alphaW * 180/Math.PI,
+    sumX: x1 + x2,
+    sumXRequired,
+    contactRatio,
+    start1,
+    overlapRatio,
+    ratio: N2 / z1,
+    checks,
+  };
+}
+
+// Line of action and live contact points for the mesh preview. Coordinates are relative to the
+// pinion centre with the mate placed along +y, so the pitch point sits at (0, rw1).
+export function meshLayout(r){
+  const { c1, c2, kind, z1, z2, aw, alphaW } = r;
+  const rb1 = c1.Db/2, ra1 = c1.Do_ext/2, r1 = c1.D/2;
+  const rb2 = c2.Db/2;
+  const span = aw * Math.sin(alphaW); // T1 → T2 along the line of action
+
+  let rw1, mateCenter, dStart, dOther;
+  if(kind === 'rack'){
+    rw1 = r1;
+    mateCenter = null;
+    dStart = rb1 * Math.tan(alphaW) - (c2.a - (aw - r1)) / Math.sin(alphaW);
+    dOther = dStart;
+  } else if(kind === 'internal'){
+    rw1 = aw * z1 / (z2 - z1);
+    mateCenter = { x: 0, y: -aw };
+    const ra2 = c2.Dt_int/2;
+    dOther = -span;
+    dStart = -span + Math.sqrt(Math.max(0, ra2*ra2 - rb2*rb2));
+  } else {
+    rw1 = aw * z1 / (z1 + z2);
+    mateCenter = { x: 0, y: aw };
+    const ra2 = c2.Do_ext/2;
+    dOther = span;
+    dStart = span - Math.sqrt(ra2*ra2 - rb2*rb2);
+  }
+  const dEnd = Math.sqrt(ra1*ra1 - rb1*rb1);
+
+  // Line of action: tangent to the pinion base circle at T1, running through the pitch point.
+  const phiL = Math.PI/2 - alphaW;
+  const T1 = { x: rb1 * Math.cos(phiL), y: rb1 * Math.sin(phiL) };
+  const u = { x: -Math.cos(alphaW), y: Math.sin(alphaW) };
+  const at = (d) => ({ x: T1.x + d * u.x, y: T1.y + d * u.y });
+
+  // Involute property: a flank crosses the line of action where its roll length from the base
+  // circle equals the distance from T1. Successive teeth are one base pitch apart.
+  const rot1 = c1.s/(2*r1) + involute(Math.acos(Math.min(1, rb1/r1)));
+  const pb = 2*Math.PI*rb1 / z1;
+
+  return {
+    rw1,
+    mateCenter,
+    pitchPoint: { x: 0, y: rw1 },
+    lineFrom: at(Math.min(0, dStart, dOther)),
+    lineTo: at(Math.max(dEnd, dOther)),
+    activeFrom: at(dStart),
+    activeTo: at(dEnd),
+    contactsAt(theta){
+      const d0 = rb1 * (rot1 + alphaW + theta);
+      const pts = [];
+      for(let d = dStart + ((((d0 - dStart) % pb) + pb) % pb); d <= dEnd + 1e-9; d += pb) pts.push(at(d));
+      return pts;
+    },
+  };
+}
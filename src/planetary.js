@@ -0,0 +1,165 @@
+// Planetary gear set built on the pair calculator: the generator gear is the sun, planets and ring
+// share its tooth form. Sun–planet sets the working centre distance; the ring's profile shift is solved
+// so the planet–ring mesh runs at the same distance (the coaxial condition with shift). The assembly
+// is laid out so every planet meshes: equally spaced when (Zs + Zr)/n is whole, otherwise at the
+// nearest angles that assemble.
+
+import { computePair } from './pair.js';
+import { computeGear, buildExternalGearPath, buildInternalGearPath, fmt } from './gear.js';
+import { addHubPaths, gearPaths, referenceCircles } from './scene.js';
+
+export const MAX_PLANETS = 12;
+
+function check(name, ok, detail){
+  return { name, ok: Boolean(ok), detail };
+}
+
+function error(field, message){
+  return { level: 'error', field, message };
+}
+
+function warning(field, message){
+  return { level: 'warning', field, message };
+}
+
+function wrap(a, period){
+  // a into (−period/2, period/2].
+  return a - period * Math.round(a / period);
+}
+
+function optionErrors(opts, zs){
+  const out = [];
+  if(!(Number.isInteger(opts.count) && opts.count >= 1 && opts.count <= MAX_PLANETS)) out.push(error('planetCount', `planet count must be a whole number 1 … ${MAX_PLANETS} (got ${opts.count})`));
+  if(!(Number.isInteger(opts.ringTeeth) && opts.ringTeeth > zs)) out.push(error('planetRingTeeth', `ring tooth count must be a whole number above the sun's ${zs} (got ${opts.ringTeeth})`));
+  if(!(Number.isInteger(opts.planetTeeth) && opts.planetTeeth >= 0)) out.push(error('planetTeeth', `planet tooth count must be a whole number (0 = auto, got ${opts.planetTeeth})`));
+  if(!Number.isFinite(opts.planetShift)) out.push(error('planetShift', 'planet profile shift must be a number'));
+  return out;
+}
+
+export function computePlanetary(inp, opts){
+  // inp: the generator (sun) inputs; opts: { ringTeeth, count, planetTeeth (0 = auto), planetShift }.
+  // → { zs, zp, zr, n, xs, xp, xr, aw, sunMesh, ringMesh, positions, checks, ratios, diagnostics };
+  // sunMesh / ringMesh are computePair results (sun–planet, planet–ring). null while there are errors.
+  const zs = inp.N, zr = opts.ringTeeth, n = opts.count;
+  const diagnostics = optionErrors(opts, zs);
+  if(inp.type !== 'external') diagnostics.push(error('type', 'a planetary set is built around an external sun: set the type to external'));
+  if(inp.profile === 'cycloidal') diagnostics.push(error('profile', 'the ring shift and clearances are worked out for involute teeth: set the profile to involute'));
+  if(diagnostics.length) return { diagnostics };
+
+  // Auto: the largest planet that fits, Zp = ⌊(Zr − Zs)/2⌋; an odd difference leaves half a tooth for the ring shift.
+  const zp = opts.planetTeeth > 0 ? opts.planetTeeth : Math.floor((zr - zs) / 2);
+  if(zp < 3){
+    diagnostics.push(error(opts.planetTeeth > 0 ? 'planetTeeth' : 'planetRingTeeth', `planets would have ${zp} teeth: the ring needs at least Zs + 6 = ${zs + 6} teeth`));
+    return { diagnostics };
+  }
+  if(zp >= zr){
+    diagnostics.push(error('planetTeeth', `planet Zp ${zp} does not fit inside the ring Zr ${zr}`));
+    return { diagnostics };
+  }
+  const xp = opts.planetShift;
+  const sunMesh = computePair(inp, { kind: 'external', N2: zp, x2: xp, centerDistance: 0 });
+  const planetInp = { ...inp, type: 'external', N: zp, D: sunMesh.m * zp, addendum: 0, dedendum: 0, backlash: 0, profileShift: xp };
+  const ringMesh = computePair(planetInp, { kind: 'internal', N2: zr, centerDistance: sunMesh.aw });
+  const aw = sunMesh.aw;
+  const xr = ringMesh.x2;
+  const mn = sunMesh.mn;
+  const u = inp.units === 'in' ? 'in' : 'mm';
+  const L = (v) => `${fmt(v, u)} ${u}`;
+  const checks = [];
+
+  // Coaxial: both meshes on the same carrier radius. Exact with standard gears when Zr = Zs + 2Zp;
+  // otherwise the ring shift makes up the difference, within reason.
+  const standard = zr === zs + 2*zp && Math.abs(sunMesh.sumX) < 1e-12;
+  const coaxialOk = standard || Math.abs(xr) <= 1;
+  checks.push(check('Coaxial (Zr = Zs + 2Zp, with shift)', coaxialOk, standard
+    ? `${zr} = ${zs} + 2·${zp}, standard centres a = ${L(aw)}`
+    : `Zs + 2Zp = ${zs + 2*zp} vs Zr ${zr}: ring shift x_r = ${fmt(xr)} holds a_w = ${L(aw)}${coaxialOk ? '' : ' (beyond ±1, pick other tooth counts)'}`));
+  if(!coaxialOk) diagnostics.push(warning(opts.planetTeeth > 0 ? 'planetTeeth' : 'planetRingTeeth', `coaxial condition needs a ring shift x_r = ${fmt(xr)}, beyond ±1: use Zr = Zs + 2Zp = ${zs + 2*zp}`));
+
+  // Equal spacing: sun and ring teeth line up for a planet every 2π/(Zs + Zr) of carrier angle.
+  const slots = zs + zr;
+  const spaced = slots % n === 0;
+  const positions = Array.from({ length: n }, (_, k) => Math.PI/2 + 2*Math.PI * Math.round(k * slots / n) / slots);
+  const near = [];
+  for(let d=1; near.length < 2 && d < n * 2; d++){
+    for(const z of [zr - d, zr + d]) if(z > zs + 6 && (zs + z) % n === 0 && near.length < 2) near.push(z);
+  }
+  const deg = (a) => fmt(((a - Math.PI/2) * 180/Math.PI + 360) % 360, 'deg');
+  checks.push(check('Equal spacing ((Zs + Zr)/n whole)', spaced, spaced
+    ? `(${zs} + ${zr})/${n} = ${slots / n}`
+    : `(${zs} + ${zr})/${n} = ${fmt(slots / n)}: planets at ${positions.map(a => `${deg(a)}°`).join(', ')}${near.length ? `; Zr = ${near.join(' or ')} spaces them equally` : ''}`));
+  if(!spaced) diagnostics.push(warning('planetCount', `${n} planets can't be equally spaced ((Zs + Zr)/n = ${fmt(slots / n)}); drawn at the nearest angles that assemble${near.length ? `, or use Zr = ${near.join(' or ')}` : ''}`));
+
+  // Neighbour clearance: tip circles of adjacent planets across the narrowest gap.
+  const gaps = positions.map((a, k) => (k + 1 < n ? positions[k + 1] : positions[0] + 2*Math.PI) - a);
+  const gap = n > 1 ? Math.min(...gaps) : Math.PI;
+  const tipP = ringMesh.c1.Do_ext;
+  const clearance = n > 1 ? 2 * aw * Math.sin(gap / 2) - tipP : Infinity;
+  checks.push(check('Neighbour clearance between planet tips ≥ 0.5·m', clearance >= 0.5 * mn, n > 1
+    ? `${L(clearance)} (centres ${L(2 * aw * Math.sin(gap / 2))} apart, tip Ø${L(tipP)})`
+    : 'single planet'));
+  if(clearance <= 0) diagnostics.push(error('planetCount', `neighbouring planets collide: tips overlap by ${L(-clearance)}; use fewer or smaller planets`));
+  else if(clearance < 0.5 * mn) diagnostics.push(warning('planetCount', `planet tips only ${L(clearance)} apart (under 0.5·m)`));
+
+  return {
+    zs, zp, zr, n, xs: sunMesh.x1, xp, xr, aw, mn,
+    sunMesh, ringMesh, positions, checks, diagnostics,
+    // Speed ratios n_in / n_out with one member held (Willis).
+    ratios: { ring: 1 + zr/zs, carrier: -zr/zs, sun: 1 + zs/zr },
+  };
+}
+
+export function planetaryParts(set, inp, hub, { cx, cy }){
+  // Sun, planets and ring placed and turned so every mesh engages, as unrotated gear paths plus the
+  // angle to turn each about its centre, and the whole set as a scene with one layer per part.
+  const { zs, zp, zr, aw, positions } = set;
+  // Planets are cut true; the sun and the ring each carry the entered backlash, one allowance per mesh.
+  const planetInp = { ...inp, type: 'external', N: zp, D: set.sunMesh.m * zp, addendum: 0, dedendum: 0, backlash: 0, profileShift: set.xp };
+  const ringInp = { ...planetInp, type: 'internal', N: zr, D: set.sunMesh.m * zr, backlash: inp.backlash, profileShift: set.xr };
+  const sunC = set.sunMesh.c1, planetC = set.ringMesh.c1, ringC = computeGear(ringInp);
+
+  // Unturned, a tooth (sun, planets) or a space (ring) sits on +x. The sun points a tooth at the
+  // first planet; each planet faces the sun with a space, and the ring faces the first planet with a space.
+  const ps = 2*Math.PI / zs, pp = 2*Math.PI / zp;
+  const sunAngle = Math.PI/2;
+  const planetAngle = (phi) => phi + Math.PI + Math.PI/zp + wrap(phi - sunAngle, ps) * zs / zp;
+  const ringAngle = positions[0] - wrap(positions[0] - planetAngle(positions[0]), pp) * zp / zr;
+
+  const sun = buildExternalGearPath(sunC, inp, { cx, cy });
+  if(hub) addHubPaths(sun, hub, { cx, cy }, inp.samples);
+  const parts = [{ name: 'SUN', gear: sun, c: sunC, kind: 'external', cx, cy, angle: sunAngle }];
+  positions.forEach((phi, k) => {
+    const px = cx + aw * Math.cos(phi), py = cy + aw * Math.sin(phi);
+    parts.push({ name: `PLANET${k + 1}`, gear: buildExternalGearPath(planetC, planetInp, { cx: px, cy: py }), c: planetC, kind: 'external', cx: px, cy: py, angle: planetAngle(phi) });
+  });
+  parts.push({ name: 'RING', gear: buildInternalGearPath(ringC, ringInp, { cx, cy }), c: ringC, kind: 'internal', cx, cy, angle: ringAngle });
+
+  const scene = { units: inp.units, origin: { x: cx, y: cy }, paths: [], circles: [], lines: [] };
+  for(const p of parts){
+    scene.paths.push(...gearPaths(p.gear, p.name, p.angle, p.cx, p.cy));
+    scene.circles.push(...referenceCircles(p.c, p.kind, p.cx, p.cy));
+  }
+  scene.circles.push({ cx, cy, r: aw, layer: 'CARRIER' });
+  return { parts, scene };
+}
+
+export function planetaryLines(set, unit){
+  const u = unit === 'in' ? 'in' : 'mm';
+  const L = (v) => `${fmt(v, u)} ${u}`;
+  const lines = [];
+  lines.push(`Sun Zs = ${set.zs} • planets ${set.n} × Zp = ${set.zp} • ring Zr = ${set.zr}`);
+  lines.push(`Shifts: x_s = ${fmt(set.xs)}, x_p = ${fmt(set.xp)}, x_r = ${fmt(set.xr)} (solved)`);
+  lines.push(`Carrier radius a_w: ${L(set.aw)} • φ_w sun–planet ${fmt(set.sunMesh.alphaWDeg, 'deg')}°, planet–ring ${fmt(set.ringMesh.alphaWDeg, 'deg')}°`);
+  lines.push(`Backlash: ${L(set.sunMesh.c1.backlash)} on the sun and on the ring (planets cut true)`);
+  lines.push(`Planet tip Ø${L(set.ringMesh.c1.Do_ext)} • ring tip Ø${L(set.ringMesh.c2.Dt_int)}, root Ø${L(set.ringMesh.c2.Dro_int)}`);
+  lines.push(`Ratio, ring held (sun → carrier): ${fmt(set.ratios.ring)} : 1`);
+  lines.push(`Ratio, carrier held (sun → ring): ${fmt(set.ratios.carrier)} : 1 (reversed)`);
+  lines.push(`Ratio, sun held (ring → carrier): ${fmt(set.ratios.sun)} : 1`);
+  lines.push('');
+  for(const chk of set.checks) lines.push(`${chk.ok ? '✓' : '⚠'} ${chk.name}: ${chk.detail}`);
+  lines.push('');
+  lines.push(`Sun–planet contact ratio ε_α ${fmt(set.sunMesh.contactRatio)} • planet–ring ${fmt(set.ringMesh.contactRatio)}`);
+  for(const chk of set.sunMesh.checks) if(!chk.ok) lines.push(`⚠ Sun–planet ${chk.name}: ${chk.detail}`);
+  for(const chk of set.ringMesh.checks) if(!chk.ok) lines.push(`⚠ Planet–ring ${chk.name}: ${chk.detail}`);
+  return lines;
+}
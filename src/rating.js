@@ -0,0 +1,171 @@
+// Load rating of the generator gear: Lewis bending at the tooth root and Hertzian contact at the pitch
+// point (simplified ISO 6336: KA as the only load factor, KV = KHβ = KHα = 1). The tooth form factor is
+// measured on the outline computeGear produces, fillet, shift, tip edge and backlash included, so it
+// follows the gear actually drawn rather than a table.
+
+import { computeGear, buildExternalGearPath, fmt } from './gear.js';
+import { computePair } from './pair.js';
+
+// Material library: elastic modulus E and Poisson's ratio ν for the contact stress, and the endurance
+// limits for tooth-root bending σFlim and contact σHlim, all MPa. Steels after ISO 6336-5 (quality MQ),
+// plastics at room temperature and about 10⁶ load cycles, dry; PLA as printed, 100% infill.
+export const MATERIALS = {
+  'steel-c45': { name: 'Steel C45 / 1045, normalised', E: 210000, nu: 0.3, bendLimit: 220, contactLimit: 560 },
+  'steel-42crmo4': { name: 'Steel 42CrMo4 / 4140, quenched and tempered', E: 210000, nu: 0.3, bendLimit: 320, contactLimit: 760 },
+  'steel-case': { name: 'Steel 18CrNiMo7-6, case-hardened', E: 210000, nu: 0.3, bendLimit: 500, contactLimit: 1500 },
+  pom: { name: 'POM (acetal)', E: 2800, nu: 0.35, bendLimit: 35, contactLimit: 40 },
+  nylon: { name: 'Nylon PA66', E: 1700, nu: 0.4, bendLimit: 30, contactLimit: 35 },
+  pla: { name: 'PLA, 3D printed', E: 3000, nu: 0.36, bendLimit: 15, contactLimit: 25 },
+};
+
+function check(name, ok, detail){
+  return { name, ok: Boolean(ok), detail };
+}
+
+function error(field, message){
+  return { level: 'error', field, message };
+}
+
+function warning(field, message){
+  return { level: 'warning', field, message };
+}
+
+function optionErrors(opts){
+  const out = [];
+  const positive = (field, v, what) => {
+    if(!(Number.isFinite(v) && v > 0)) out.push(error(field, `${what} must be > 0 (got ${v})`));
+  };
+  if(opts.mode === 'power'){
+    positive('loadPower', opts.power, 'power');
+    positive('loadSpeed', opts.speed, 'speed');
+  } else {
+    positive('loadTorque', opts.torque, 'torque');
+    if(!(Number.isFinite(opts.speed) && opts.speed >= 0)) out.push(error('loadSpeed', `speed must be ≥ 0 (0 = not given, got ${opts.speed})`));
+  }
+  if(!(Number.isFinite(opts.factor) && opts.factor >= 1)) out.push(error('loadFactor', `application factor KA must be ≥ 1 (got ${opts.factor})`));
+  positive('loadYoung', opts.E, 'elastic modulus E');
+  if(!(Number.isFinite(opts.nu) && opts.nu >= 0 && opts.nu < 0.5)) out.push(error('loadPoisson', `Poisson's ratio must be in [0, 0.5) (got ${opts.nu})`));
+  positive('loadBendLimit', opts.bendLimit, 'bending limit σFlim');
+  positive('loadContactLimit', opts.contactLimit, 'contact limit σHlim');
+  if(!(Number.isFinite(opts.minBending) && opts.minBending >= 0)) out.push(error('loadMinBending', `minimum bending safety must be ≥ 0 (got ${opts.minBending})`));
+  if(!(Number.isFinite(opts.minContact) && opts.minContact >= 0)) out.push(error('loadMinContact', `minimum contact safety must be ≥ 0 (got ${opts.minContact})`));
+  return out;
+}
+
+export function lewisFactor(inp, c){
+  // Lewis Y (module 1) of an external gear: the full load at the tip, the parabola of uniform strength
+  // with its vertex on the centre line at the tip, and the critical section where it touches the flank:
+  // Y = min t²/(6·h·m) over the tooth below the tip corner (t the chord across the tooth, h its depth
+  // below the tip), searched inside the pitch circle so a pointed tip can't pass for the root. Helical gears
+  // use their virtual spur gear (zn teeth, normal module and pressure angle).
+  const spur = c.beta > 0
+    ? { ...inp, N: Math.max(3, Math.round(c.zn)), D: Math.max(3, Math.round(c.zn)) * c.mn, helixAngle: 0 }
+    : inp;
+  const cs = c.beta > 0 ? computeGear({ ...spur, sectorMode: 'off' }) : c;
+  const N = spur.N;
+  // Unturned, a tooth points along +x: keep that tooth, up to the space centres either side.
+  const { outline } = buildExternalGearPath(cs, { ...spur, sectorMode: 'off' }, { cx: 0, cy: 0 });
+  const tooth = outline.filter(p => Math.abs(Math.atan2(p.y, p.x)) <= Math.PI/N + 1e-9);
+  const ra = Math.max(...tooth.map(p => Math.hypot(p.x, p.y)));
+  const tip = tooth.filter(p => Math.hypot(p.x, p.y) > ra * (1 - 1e-9)).reduce((a, p) => Math.abs(p.y) > Math.abs(a.y) ? p : a);
+  let Y = Infinity, at = null;
+  for(const p of tooth){
+    const h = tip.x - p.x;
+    if(!(h > 1e-9 * ra) || Math.hypot(p.x, p.y) > cs.D/2) continue;
+    const y = (2*p.y)**2 / (6 * h * cs.mn);
+    if(y < Y){
+      Y = y;
+      at = { h, t: 2*Math.abs(p.y) };
+    }
+  }
+  return { Y, N, virtual: c.beta > 0, h: at ? at.h : NaN, t: at ? at.t : NaN };
+}
+
+export function computeRating(inp, c, opts, mate = null){
+  // inp / c: the gear's inputs and computeGear result; opts: { mode ('torque' | 'power'), torque (N·m),
+  // power (kW), speed (rpm), factor KA, E, nu, bendLimit, contactLimit (MPa), minBending, minContact };
+  // mate: the Mesh pair card's { kind, N2, x2, centerDistance }, or null to run against a copy of the gear.
+  // → { T, Ft, v, Y, sigmaF, sigmaH, SF, SH, ..., checks, diagnostics }; only { diagnostics } on errors.
+  const diagnostics = optionErrors(opts);
+  if(inp.type !== 'external') diagnostics.push(error('type', `the load rating covers external gears: rate the pinion that drives the ${inp.type === 'rack' ? 'rack' : 'ring'} instead`));
+  if(!(c.faceWidth > 0)) diagnostics.push(error('faceWidth', 'the load rating needs the face width b: set it > 0'));
+  if(diagnostics.length) return { diagnostics };
+
+  // Everything below in N, mm and MPa (N/mm²).
+  const k = inp.units === 'in' ? 25.4 : 1;
+  const d = c.D * k, b = c.faceWidth * k, mn = c.mn * k;
+  const T = opts.mode === 'power' ? opts.power * 1000 * 60 / (2*Math.PI * opts.speed) : opts.torque;
+  const Ft = 2000 * T / d;
+  const v = Math.PI * d * opts.speed / 60000;
+  const KA = opts.factor;
+
+  const Yf = lewisFactor(inp, c);
+  const lewis = { ...Yf, h: Yf.h * k, t: Yf.t * k };
+  const sigmaF = KA * Ft / (b * mn * lewis.Y);
+  const SF = opts.bendLimit / sigmaF;
+
+  // Contact at the pitch point, both gears of the same material; cycloidal flanks have no Hertz line contact
+  // of fixed radii, so they only get the bending figure.
+  let contact = null;
+  if(inp.profile !== 'cycloidal'){
+    const pr = computePair(inp, mate || { kind: 'external', N2: inp.N, x2: c.x, centerDistance: 0 });
+    const u = pr.z2 / pr.z1;
+    const ratioTerm = pr.kind === 'rack' ? 1 : pr.kind === 'internal' ? (u - 1)/u : (u + 1)/u;
+    const alphaT = c.phi, alphaW = pr.alphaW;
+    const ZH = Math.sqrt(2 * Math.cos(c.betaB) * Math.cos(alphaW) / (Math.cos(alphaT)**2 * Math.sin(alphaW)));
+    const ZE = Math.sqrt(opts.E / (2 * Math.PI * (1 - opts.nu**2)));
+    const ea = pr.contactRatio, eb = c.beta > 0 ? pr.overlapRatio : 0;
+    const Zeps = eb >= 1 ? Math.sqrt(1/ea) : Math.sqrt((4 - ea) * (1 - eb) / 3 + eb / ea);
+    const Zbeta = Math.sqrt(Math.cos(c.beta));
+    const sigmaH = ZH * ZE * Zeps * Zbeta * Math.sqrt(KA * Ft / (b * d) * ratioTerm);
+    contact = {
+      mateKind: pr.kind, z2: pr.z2, copy: !mate, u, ZH, ZE, Zeps, Zbeta, contactRatio: ea, overlapRatio: eb,
+      sigmaH, SH: opts.contactLimit / sigmaH,
+    };
+  }
+
+  const checks = [];
+  const S = (v) => v.toFixed(2);
+  checks.push(check(`Bending safety SF ≥ ${opts.minBending}`, SF >= opts.minBending, `SF = σFlim/σF = ${S(SF)}`));
+  if(SF < opts.minBending) diagnostics.push(warning('loadMinBending', `bending safety SF = ${S(SF)} is under the minimum ${opts.minBending}: widen the face, go up a module or pick a stronger material`));
+  if(contact){
+    checks.push(check(`Contact safety SH ≥ ${opts.minContact}`, contact.SH >= opts.minContact, `SH = σHlim/σH = ${S(contact.SH)}`));
+    if(contact.SH < opts.minContact) diagnostics.push(warning('loadMinContact', `contact safety SH = ${S(contact.SH)} is under the minimum ${opts.minContact}: widen the face, enlarge the gears or pick a harder material`));
+  }
+
+  return {
+    mode: opts.mode, T, Ft, speed: opts.speed, v, KA, d, b, mn,
+    E: opts.E, nu: opts.nu, bendLimit: opts.bendLimit, contactLimit: opts.contactLimit,
+    minBending: opts.minBending, minContact: opts.minContact,
+    lewis, sigmaF, SF, contact,
+    checks, diagnostics,
+  };
+}
+
+export function ratingLines(set, unit){
+  // Forces and stresses stay in N and MPa whatever the drawing units; inch designs also get psi.
+  const mpa = (v) => `${fmt(v)} MPa${unit === 'in' ? ` (${Math.round(v * 145.0377)} psi)` : ''}`;
+  const lines = [];
+  lines.push(set.mode === 'power'
+    ? `Torque T = P/ω: ${fmt(set.T)} N·m at ${fmt(set.speed)} rpm`
+    : `Torque T: ${fmt(set.T)} N·m${set.speed > 0 ? ` at ${fmt(set.speed)} rpm` : ''}`);
+  lines.push(`Tangential force Ft = 2T/d: ${fmt(set.Ft)} N${set.speed > 0 ? ` • pitch line speed v: ${fmt(set.v)} m/s` : ''}`);
+  lines.push(`Face width b: ${fmt(set.b)} mm • ${set.lewis.virtual ? 'normal module mn' : 'module m'}: ${fmt(set.mn)} mm • application factor KA: ${fmt(set.KA)}`);
+  lines.push('');
+  lines.push(`Lewis form factor Y: ${fmt(set.lewis.Y)}${set.lewis.virtual ? ` (virtual spur gear, ${set.lewis.N} teeth)` : ''} — load at the tip, critical section ${fmt(set.lewis.t)} mm wide, ${fmt(set.lewis.h)} mm below it`);
+  lines.push(`Bending σF = KA·Ft/(b·${set.lewis.virtual ? 'mn' : 'm'}·Y): ${mpa(set.sigmaF)} • limit σFlim ${mpa(set.bendLimit)} • SF = ${set.SF.toFixed(2)}`);
+  const ct = set.contact;
+  if(ct){
+    const mate = ct.copy ? 'an identical gear (u = 1)'
+      : ct.mateKind === 'rack' ? 'the rack from Mesh pair'
+      : `the ${ct.mateKind === 'internal' ? 'ring' : 'mate'} from Mesh pair (${ct.z2} teeth, u = ${fmt(ct.u)})`;
+    lines.push(`Contact against ${mate}, same material: E ${Math.round(set.E)} MPa, ν ${fmt(set.nu)}`);
+    lines.push(`ZH ${fmt(ct.ZH)} • ZE ${fmt(ct.ZE)} √MPa • Zε ${fmt(ct.Zeps)} (εα ${fmt(ct.contactRatio)}${ct.overlapRatio > 0 ? `, εβ ${fmt(ct.overlapRatio)}` : ''}) • Zβ ${fmt(ct.Zbeta)}`);
+    lines.push(`Contact σH = ZH·ZE·Zε·Zβ·√(KA·Ft/(b·d)·(u ± 1)/u): ${mpa(ct.sigmaH)} • limit σHlim ${mpa(set.contactLimit)} • SH = ${ct.SH.toFixed(2)}`);
+  } else {
+    lines.push('Contact stress: involute flanks only — cycloidal teeth are rated for bending.');
+  }
+  lines.push('');
+  for(const chk of set.checks) lines.push(`${chk.ok ? '✓' : '⚠'} ${chk.name}: ${chk.detail}`);
+  return lines;
+}
@@ -0,0 +1,114 @@
+// Machine-readable dimension report: the same numbers the Dimensions panel prints, as plain JSON
+// (lengths in the design units, angles in degrees; the basis module is always mm and the diametral pitch
+// always per inch, whatever the units). Infinity (a spur gear's lead) is written as null.
+
+const deg = (a) => a * 180/Math.PI;
+const num = (v) => Number.isFinite(v) ? Number(v.toPrecision(12)) : null;
+
+export function dimensionReport(inp, c, hub = null, diagnostics = []){
+  const r = {
+    type: inp.type,
+    units: inp.units,
+    teeth: inp.type === 'rack' ? null : inp.N,
+    basis: inp.basis,
+    basisModuleMm: num(inp.basis === 'pitch' ? 25.4 / inp.diametralPitch : inp.module),
+    basisDiametralPitch: num(inp.basis === 'pitch' ? inp.diametralPitch : 25.4 / inp.module),
+    pitchDiameter: inp.type === 'rack' ? null : num(c.D),
+    module: num(c.m),
+    normalModule: num(c.mn),
+    circularPitch: num(c.p),
+    pressureAngle: num(c.phiNDeg),
+    transversePressureAngle: num(c.phiDeg),
+    helixAngle: num(c.betaDeg),
+    hand: c.hand,
+    profile: c.profile,
+    profileShift: num(c.x),
+    addendum: num(c.a),
+    dedendum: num(c.b),
+    toothThickness: num(c.s),
+    toothThicknessNoBacklash: num(c.s0),
+    backlash: num(c.backlash),
+    faceWidth: num(c.faceWidth),
+  };
+
+  if(c.beta > 0){
+    r.baseHelixAngle = num(deg(c.betaB));
+    if(inp.type !== 'rack'){
+      r.lead = num(c.lead);
+      r.virtualTeeth = num(c.zn);
+      r.helixTwist = num(deg(c.helixTwist));
+    } else {
+      r.helixShift = num(c.helixShift);
+    }
+  }
+
+  if(c.profile === 'cycloidal'){
+    // Pressure angle and the base circle mean nothing here; generating circles are diameters.
+    r.pressureAngle = r.transversePressureAngle = null;
+    r.cycloid = {
+      preset: c.cycloidPreset,
+      mateTeeth: c.cycloidMate,
+      addendumCircle: num(c.rollAddendum),
+      dedendumCircle: num(c.rollDedendum),
+      tip: c.cycloidTip,
+      pointedDiameter: num(c.dPointed),
+    };
+  }
+
+  if(inp.type === 'rack'){
+    r.rackLength = num(c.rackLength);
+    r.toothHeight = num(c.a + c.b);
+  } else {
+    r.outsideDiameter = num(c.Do);
+    r.rootDiameter = num(c.Dr);
+    r.baseDiameter = num(c.Db);
+    r.xMinNoUndercut = c.profile === 'cycloidal' ? null : num(c.xMinNoUndercut);
+    r.undercutRisk = c.undercutRisk;
+    if(inp.type === 'internal'){
+      r.spaceWidth = num(c.e);
+      r.rimDiameter = num(c.Drim);
+    } else {
+      r.cutterTipRadius = c.profile === 'cycloidal' ? null : num(c.rho);
+      r.formDiameter = c.undercutGenerated ? null : num(c.dFf);
+      r.undercutGenerated = c.undercutGenerated;
+    }
+  }
+
+  if(inp.type !== 'internal'){
+    if(c.tipEdgeSize > 0) r.tipEdge = { kind: c.tipEdge, size: num(c.tipEdgeSize) };
+    if(c.rackRootRadius > 0) r.rootCornerRadius = num(c.rackRootRadius);
+    if(c.tipRelief > 0) r.tipRelief = { amount: num(c.tipRelief), shape: c.reliefShape, startDiameter: num(c.dTipRelief), startRoll: num(c.xiTipRelief), startHeight: num(c.hTipRelief) };
+    if(c.rootRelief > 0) r.rootRelief = { amount: num(c.rootRelief), shape: c.reliefShape, startDiameter: num(c.dRootRelief), startRoll: num(c.xiRootRelief), startHeight: num(c.hRootRelief) };
+  }
+
+  if(c.sector){
+    const s = c.sector;
+    r.sector = inp.type === 'rack'
+      ? { teeth: s.teeth, toothedLength: num(s.toothed), endStops: s.stops, stopLength: s.stops ? num(s.stopLength) : null }
+      : { teeth: s.teeth, startAngle: num(deg(s.start)), endAngle: num(deg(s.end)), span: num(deg(s.span)), arm: inp.type === 'external' ? s.arm : null };
+  }
+
+  // Inspection dimensions (finished tooth: backlash and shift included). Helical spans and chords are normal.
+  r.inspection = {
+    span: c.spanTeeth ? { teeth: c.spanTeeth, measurement: num(c.span), contactDiameter: num(c.spanContactDiameter), minFaceWidth: num(c.spanMinFaceWidth) } : null,
+    pins: Number.isFinite(c.overPins) ? { pinDiameter: num(c.pinDiameter), measurement: num(c.overPins), between: inp.type === 'internal', contactDiameter: num(c.pinContactDiameter), clear: c.pinClear } : null,
+    chordalThickness: num(c.chordalThickness),
+    chordalAddendum: num(c.chordalAddendum),
+  };
+
+  if(hub && (hub.bore > 0 || hub.holes || hub.checks.length)){
+    r.hub = {
+      boreType: hub.boreType,
+      bore: num(hub.bore),
+      key: hub.key ? { standard: hub.keyStandard, width: num(hub.key.b), height: num(hub.key.h), hubDepth: num(hub.key.t2) } : null,
+      flatDepth: hub.boreType === 'dflat' ? num(hub.flat) : null,
+      hubDiameter: num(hub.hubDiameter),
+      web: num(hub.web),
+      holes: hub.holes ? { shape: hub.holes.shape, count: hub.holes.count, diameter: num(hub.holes.dh), pitchCircleDiameter: num(2 * hub.holes.rc) } : null,
+      checks: hub.checks,
+    };
+  }
+  // Warnings that didn't stop generation (errors never get this far).
+  r.diagnostics = diagnostics.map(d => ({ level: d.level, field: d.field, message: d.message }));
+  return r;
+}
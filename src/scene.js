@@ -0,0 +1,155 @@
+// A drawing of one part as plain data, shared by the page and the CLI: outlines with the circles their
+// lands follow, reference circles/lines, all in the screen frame (y down). dxfFromScene writes it as DXF,
+// svgFromScene as a standalone SVG in drawing units.
+
+import { computeGear, buildExternalGearPath, buildInternalGearPath, buildRackPath, pathFromPoints } from './gear.js';
+import { computeHub, buildHubPaths } from './hub.js';
+import { specToInputs, specToHub } from './spec.js';
+import { diagnose, hasErrors } from './diagnostics.js';
+
+export function rotatePolyline(poly, angle, cx, cy){
+  const c = Math.cos(angle), s = Math.sin(angle);
+  return poly.map(p => ({ x: cx + (p.x - cx) * c - (p.y - cy) * s, y: cy + (p.x - cx) * s + (p.y - cy) * c }));
+}
+
+export function referenceCircles(c, kind, cx, cy){
+  const tip = kind === 'internal' ? c.Dt_int : c.Do_ext;
+  const root = kind === 'internal' ? c.Dro_int : c.Dr_ext;
+  // Cycloidal teeth have no base circle (Db is NaN).
+  return [
+    { cx, cy, r: c.D/2, layer: 'PITCH' },
+    { cx, cy, r: c.Db/2, layer: 'BASE' },
+    { cx, cy, r: root/2, layer: 'ROOT' },
+    { cx, cy, r: tip/2, layer: 'TIP' },
+  ].filter(circle => circle.r > 0);
+}
+
+export function rackReferenceLines(c, x0, y){
+  // Pitch line at y, tips at y − a, roots at y + b (same frame as buildRackPath).
+  const x1 = x0 + c.rackLength;
+  return [
+    { a: { x: x0, y }, b: { x: x1, y }, layer: 'PITCH' },
+    { a: { x: x0, y: y + c.b }, b: { x: x1, y: y + c.b }, layer: 'ROOT' },
+    { a: { x: x0, y: y - c.a }, b: { x: x1, y: y - c.a }, layer: 'TIP' },
+  ];
+}
+
+export function gearPaths(gear, layer, angle = 0, cx = 0, cy = 0){
+  // The single closed outline and its holes; arcs turn with the part so they still match the points.
+  const turn = (poly) => angle ? rotatePolyline(poly, angle, cx, cy) : poly;
+  const arcs = (gear.arcs || []).map(a => {
+    const [q] = turn([{ x: a.cx, y: a.cy }]);
+    return { cx: q.x, cy: q.y, r: a.r };
+  });
+  return [gear.outline, ...gear.holes].map(points => ({ points: turn(points), layer, arcs }));
+}
+
+export function addHubPaths(gear, hub, { cx, cy }, samples){
+  // Bore and holes join the gear's own outlines, so preview, SVG and DXF all carry them.
+  const paths = buildHubPaths(hub, { cx, cy }, samples);
+  for(const poly of paths.polylines){
+    gear.paths.push(pathFromPoints(poly, true));
+    gear.polylines.push(poly);
+    gear.holes.push(poly);
+  }
+  gear.arcs.push(...paths.arcs);
+}
+
+export function partScene(c, inp, hub, { cx, cy }){
+  // The generating part on its own, centred on (cx, cy): a rack is centred along its length.
+  const scene = { units: inp.units, origin: { x: cx, y: cy }, paths: [], circles: [], lines: [] };
+  if(inp.type === 'rack'){
+    const x0 = cx - c.rackLength/2;
+    const rack = buildRackPath(c, inp, { x: x0, y: cy, sector: c.sector });
+    scene.paths.push({ points: rack.points, layer: 'GEAR' });
+    scene.lines.push(...rackReferenceLines(c, x0, cy));
+    return { rack, scene };
+  }
+  // A sector's arm ends in the hub round the pivot; a segment keeps the web width under the root circle.
+  const gear = inp.type === 'internal'
+    ? buildInternalGearPath(c, inp, { cx, cy, sector: c.sector })
+    : buildExternalGearPath(c, inp, { cx, cy, sector: c.sector, pivot: hub ? hub.hubDiameter/2 : 0.15 * c.Dr_ext, rim: hub ? hub.web : 2 * c.mn });
+  if(hub) addHubPaths(gear, hub, { cx, cy }, inp.samples);
+  scene.paths.push(...gearPaths(gear, 'GEAR'));
+  scene.circles.push(...referenceCircles(c, inp.type, cx, cy));
+  return { gear, scene };
+}
+
+export function designFromSpec(spec){
+  // Everything a headless caller needs for one spec: inputs, derived dimensions, diagnostics, hub and
+  // the drawing. With any error in the diagnostics there is no hub and no drawing (scene is null).
+  const inp = specToInputs(spec);
+  const c = computeGear(inp);
+  const diagnostics = diagnose(inp, c);
+  if(hasErrors(diagnostics)) return { inp, c, hub: null, scene: null, diagnostics };
+  const hub = inp.type === 'external' ? computeHub(c, specToHub(spec)) : null;
+  const { scene } = partScene(c, inp, hub, { cx: 0, cy: 0 });
+  return { inp, c, hub, scene, diagnostics };
+}
+
+const SVG_STYLE = {
+  GEAR: 'fill="none" stroke="#000" stroke-width="%w"',
+  MATE: 'fill="none" stroke="#06c" stroke-width="%w"',
+  PITCH: 'fill="none" stroke="#c90" stroke-width="%w" stroke-dasharray="%d1 %d2"',
+  BASE: 'fill="none" stroke="#0aa" stroke-width="%w" stroke-dasharray="%d2 %d2"',
+  ROOT: 'fill="none" stroke="#c33" stroke-width="%w" stroke-dasharray="%d1 %d2"',
+  TIP: 'fill="none" stroke="#c33" stroke-width="%w" stroke-dasharray="%d1 %d2"',
+  TEXT: 'fill="none" stroke="#d00" stroke-width="%w" stroke-linecap="round" stroke-linejoin="round"',
+  SUN: 'fill="none" stroke="#000" stroke-width="%w"',
+  PLANET: 'fill="none" stroke="#06c" stroke-width="%w"',
+  RING: 'fill="none" stroke="#555" stroke-width="%w"',
+  CARRIER: 'fill="none" stroke="#c90" stroke-width="%w" stroke-dasharray="%d1 %d2"',
+  WHEEL: 'fill="none" stroke="#000" stroke-width="%w"',
+  WORM: 'fill="none" stroke="#06c" stroke-width="%w"',
+  AXIS: 'fill="none" stroke="#c90" stroke-width="%w" stroke-dasharray="%d1 %d2"',
+  OUTSIDE: 'fill="none" stroke="#c33" stroke-width="%w" stroke-dasharray="%d2 %d2"',
+};
+
+export function svgFromScene(scene, opts = {}){
+  // 1 user unit = 1 design unit, so the file opens at true size; y stays down as on screen.
+  const unit = scene.units === 'in' ? 'in' : 'mm';
+  const withRefs = opts.reference !== false;
+  const paths = (scene.paths || []).filter(p => p.points && p.points.length >= 2);
+  const circles = withRefs ? (scene.circles || []).filter(c => c.r > 0) : [];
+  const lines = withRefs ? (scene.lines || []) : [];
+
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  const add = (x, y) => { minX = Math.min(minX, x); minY = Math.min(minY, y); maxX = Math.max(maxX, x); maxY = Math.max(maxY, y); };
+  for(const p of paths) for(const v of p.points) add(v.x, v.y);
+  for(const c of circles){ add(c.cx - c.r, c.cy - c.r); add(c.cx + c.r, c.cy + c.r); }
+  for(const l of lines){ add(l.a.x, l.a.y); add(l.b.x, l.b.y); }
+  if(!Number.isFinite(minX)){ minX = minY = 0; maxX = maxY = 1; }
+
+  const size = Math.max(maxX - minX, maxY - minY) || 1;
+  const pad = 0.05 * size;
+  const vx = minX - pad, vy = minY - pad, vw = maxX - minX + 2*pad, vh = maxY - minY + 2*pad;
+  const n = (v) => Number(v.toFixed(6));
+  const style = (layer) => (SVG_STYLE[layer] || SVG_STYLE[layer.replace(/\d+$/, '')] || SVG_STYLE.GEAR)
+    .replace('%w', n(size / 800)).replace('%d1', n(size / 80)).replaceAll('%d2', n(size / 160));
+
+  const layers = new Map();
+  const put = (layer, el) => {
+    const key = layer || 'GEAR';
+    if(!layers.has(key)) layers.set(key, []);
+    layers.get(key).push(el);
+  };
+  for(const c of circles) put(c.layer, `<circle cx="${n(c.cx)}" cy="${n(c.cy)}" r="${n(c.r)}"/>`);
+  for(const l of lines) put(l.layer, `<line x1="${n(l.a.x)}" y1="${n(l.a.y)}" x2="${n(l.b.x)}" y2="${n(l.b.y)}"/>`);
+  for(const p of paths){
+    // Full precision here: the preview's 3 decimals are too coarse for an inch part.
+    const d = `M ${p.points.map(v => `${n(v.x)} ${n(v.y)}`).join(' L ')}${p.closed !== false ? ' Z' : ''}`;
+    put(p.layer, `<path d="${d}"/>`);
+  }
+
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${n(vw)}${unit}" height="${n(vh)}${unit}" viewBox="${n(vx)} ${n(vy)} ${n(vw)} ${n(vh)}">`,
+  ];
+  for(const [layer, els] of layers){
+    out.push(`  <g id="${layer}" ${style(layer)}>`);
+    for(const el of els) out.push(`    ${el}`);
+    out.push('  </g>');
+  }
+  out.push('</svg>');
+  return out.join('\n') + '\n';
+}
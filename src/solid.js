@@ -0,0 +1,255 @@
+// Minimal 3D export: extrude a closed outline (with holes) into a watertight triangle mesh, then write
+// it as STL (ASCII or binary) or OBJ. Coordinates are CAD-style: y up, z along the face width.
+
+function cross(o, a, b){
+  return (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+}
+
+function ringArea(ring){
+  let a = 0;
+  for(let i=0;i<ring.length;i++){
+    const p = ring[i], q = ring[(i+1) % ring.length];
+    a += p.x * q.y - q.x * p.y;
+  }
+  return a / 2;
+}
+
+export function cleanRing(ring){
+  // Drop repeated points (including a closing copy of the first one).
+  const out = [];
+  for(const p of ring){
+    const last = out[out.length-1];
+    if(!last || Math.abs(last.x - p.x) > 1e-9 || Math.abs(last.y - p.y) > 1e-9) out.push(p);
+  }
+  while(out.length > 1 && Math.abs(out[0].x - out[out.length-1].x) <= 1e-9 && Math.abs(out[0].y - out[out.length-1].y) <= 1e-9) out.pop();
+  return out;
+}
+
+function inSector(pts, u, v, w, q){
+  // Is the direction v → q inside the polygon's interior angle at v (CCW polygon u → v → w)?
+  const A = pts[u], B = pts[v], C = pts[w], Q = pts[q];
+  if(cross(A, B, C) >= 0) return cross(A, B, Q) >= 0 && cross(B, C, Q) >= 0;
+  return cross(A, B, Q) >= 0 || cross(B, C, Q) >= 0;
+}
+
+function bridgeHole(poly, hole, pts){
+  // Join a CW hole to the CCW outer loop through a mutually visible pair (hole's rightmost vertex M →
+  // a vertex P of the loop found by casting a ray towards +x), as in the usual ear-clipping recipe.
+  let mi = 0;
+  for(let i=1;i<hole.length;i++) if(pts[hole[i]].x > pts[hole[mi]].x) mi = i;
+  const M = pts[hole[mi]];
+
+  let best = Infinity, pk = -1;
+  for(let k=0;k<poly.length;k++){
+    const a = pts[poly[k]], b = pts[poly[(k+1) % poly.length]];
+    if((a.y > M.y) === (b.y > M.y) && a.y !== M.y && b.y !== M.y) continue;
+    if(a.y === b.y) continue;
+    const x = a.x + (M.y - a.y) * (b.x - a.x) / (b.y - a.y);
+    if(x < M.x || x >= best) continue;
+    best = x;
+    pk = a.x > b.x ? k : (k+1) % poly.length;
+  }
+  if(pk < 0) return poly; // hole outside the loop: ignore it
+
+  // A reflex vertex inside triangle (M, I, P) would block the bridge; take the one closest in angle.
+  const I = { x: best, y: M.y };
+  let P = pts[poly[pk]];
+  const tri = [M, I, P];
+  const area = cross(tri[0], tri[1], tri[2]);
+  let bestTan = Infinity;
+  for(let k=0;k<poly.length;k++){
+    const q = pts[poly[k]];
+    if(q === P || q.x < M.x) continue;
+    const s = Math.sign(area);
+    const inside = s * cross(tri[0], tri[1], q) >= 0 && s * cross(tri[1], tri[2], q) >= 0 && s * cross(tri[2], tri[0], q) >= 0;
+    if(!inside) continue;
+    const t = Math.abs(q.y - M.y) / Math.max(1e-12, q.x - M.x);
+    if(t < bestTan){ bestTan = t; pk = k; }
+  }
+  P = pts[poly[pk]];
+
+  // The same point can sit in the loop twice (earlier bridges): use the copy whose corner sees M.
+  const hm = hole[mi];
+  for(let k=0;k<poly.length;k++){
+    if(pts[poly[k]] !== P) continue;
+    if(inSector(pts, poly[(k - 1 + poly.length) % poly.length], poly[k], poly[(k+1) % poly.length], hm)){ pk = k; break; }
+  }
+
+  const rotated = [...hole.slice(mi), ...hole.slice(0, mi)];
+  return [...poly.slice(0, pk+1), ...rotated, hm, poly[pk], ...poly.slice(pk+1)];
+}
+
+export function triangulate(outer, holes = []){
+  // Returns { points, triangles } with triangles as CCW index triples into points.
+  const points = [];
+  const ring = (r, ccw) => {
+    const idx = r.map(p => { points.push(p); return points.length - 1; });
+    if((ringArea(r) > 0) !== ccw) idx.reverse();
+    return idx;
+  };
+  let poly = ring(outer, true);
+  const holeRings = holes.filter(h => h.length >= 3).map(h => ring(h, false));
+  const maxX = (h) => Math.max(...h.map(i => points[i].x));
+  holeRings.sort((a, b) => maxX(b) - maxX(a));
+  for(const h of holeRings) poly = bridgeHole(poly, h, points);
+
+  return { points, triangles: earClip(poly, points) };
+}
+
+function earClip(poly, pts){
+  const n = poly.length;
+  const prev = new Int32Array(n), next = new Int32Array(n);
+  for(let i=0;i<n;i++){ prev[i] = (i - 1 + n) % n; next[i] = (i + 1) % n; }
+  const P = (k) => pts[poly[k]];
+  const reflex = new Set();
+  const classify = (k) => {
+    if(cross(P(prev[k]), P(k), P(next[k])) <= 0) reflex.add(k); else reflex.delete(k);
+  };
+  for(let k=0;k<n;k++) classify(k);
+
+  const same = (a, b) => a.x === b.x && a.y === b.y;
+  const isEar = (k) => {
+    const a = P(prev[k]), b = P(k), c = P(next[k]);
+    if(cross(a, b, c) <= 0) return false;
+    for(const r of reflex){
+      if(r === prev[k] || r === k || r === next[k]) continue;
+      const q = P(r);
+      if(same(q, a) || same(q, b) || same(q, c)) continue;
+      if(cross(a, b, q) >= 0 && cross(b, c, q) >= 0 && cross(c, a, q) >= 0) return false;
+    }
+    return true;
+  };
+
+  const tris = [];
+  let remaining = n, k = 0, stall = 0;
+  while(remaining > 3){
+    const a = P(prev[k]), b = P(k), c = P(next[k]);
+    const flat = Math.abs(cross(a, b, c)) < 1e-12 && (a.x - b.x)*(c.x - b.x) + (a.y - b.y)*(c.y - b.y) <= 0;
+    // Collinear vertices never form a proper ear; clip them as zero-area triangles so every wall edge
+    // still has a matching cap edge. A stalled pass (degenerate input) clips whatever is left.
+    if(flat || isEar(k) || stall > remaining){
+      tris.push([poly[prev[k]], poly[k], poly[next[k]]]);
+      const p = prev[k], q = next[k];
+      next[p] = q; prev[q] = p;
+      reflex.delete(k);
+      remaining--;
+      classify(p); classify(q);
+      k = q;
+      stall = 0;
+    } else {
+      k = next[k];
+      stall++;
+    }
+  }
+  tris.push([poly[prev[k]], poly[k], poly[next[k]]]);
+  return tris;
+}
+
+export function extrudeOutline(outer, holes = [], { height, twist = 0, shift = 0, base = 0 } = {}){
+  // Prism between z = base and z = base + height. twist (rad) turns the outer boundary about the origin and
+  // shift moves it along x by the top face — a helical gear or rack. Holes (bore, keyway, lightening holes)
+  // go straight through so a shaft and key still fit. Twisted walls are split into ≤ 2° slices.
+  const rings = [cleanRing(outer), ...holes.map(cleanRing)].filter(r => r.length >= 3);
+  const layers = twist ? Math.max(1, Math.ceil(Math.abs(twist) / (2 * Math.PI/180))) : 1;
+  const section = (f) => {
+    const ang = twist * f, dx = shift * f;
+    const ca = Math.cos(ang), sa = Math.sin(ang);
+    return rings.map((r, ri) => ri ? r : r.map(p => ({ x: p.x * ca - p.y * sa + dx, y: p.x * sa + p.y * ca })));
+  };
+  // Each cap is triangulated on its own section; triangulate lays points out ring by ring either way, so
+  // both caps index the same vertices of their layer.
+  const bottomRings = section(0), topRings = section(1);
+  const bottom = triangulate(bottomRings[0], bottomRings.slice(1));
+  const top = (twist || shift) ? triangulate(topRings[0], topRings.slice(1)) : bottom;
+  const n = bottom.points.length;
+
+  const vertices = [];
+  for(let l=0;l<=layers;l++){
+    const f = l / layers, z = base + height * f;
+    for(const r of section(f)) for(const p of r) vertices.push([p.x, p.y, z]);
+  }
+
+  const faces = [];
+  for(const [a, b, c] of bottom.triangles) faces.push([a, c, b]);                    // bottom faces −z
+  for(const [a, b, c] of top.triangles) faces.push([a + layers*n, b + layers*n, c + layers*n]); // top +z
+
+  // Walls: the cap points are laid out ring by ring, outer CCW and holes CW, so the right-hand side of
+  // every edge is outside the solid. A hole's layers sit on top of each other, so its wall is straight.
+  let start = 0;
+  rings.forEach((r, ri) => {
+    const ccw = ringArea(r) > 0;
+    const wantCcw = ri === 0;
+    const idx = r.map((_, i) => start + i);
+    if(ccw !== wantCcw) idx.reverse();
+    for(let l=0;l<layers;l++){
+      const lo = l*n, hi = (l+1)*n;
+      for(let i=0;i<idx.length;i++){
+        const p = idx[i], q = idx[(i+1) % idx.length];
+        faces.push([lo + p, lo + q, hi + q]);
+        faces.push([lo + p, hi + q, hi + p]);
+      }
+    }
+    start += r.length;
+  });
+
+  return { vertices, faces };
+}
+
+export function joinMeshes(meshes){
+  // Several closed shells in one mesh (slicers union overlapping shells).
+  const vertices = [], faces = [];
+  for(const m of meshes){
+    const o = vertices.length;
+    vertices.push(...m.vertices);
+    for(const [a, b, c] of m.faces) faces.push([a + o, b + o, c + o]);
+  }
+  return { vertices, faces };
+}
+
+function normal(v, [a, b, c]){
+  const [ax, ay, az] = v[a], [bx, by, bz] = v[b], [cx, cy, cz] = v[c];
+  const ux = bx - ax, uy = by - ay, uz = bz - az;
+  const wx = cx - ax, wy = cy - ay, wz = cz - az;
+  const nx = uy*wz - uz*wy, ny = uz*wx - ux*wz, nz = ux*wy - uy*wx;
+  const len = Math.hypot(nx, ny, nz) || 1;
+  return [nx/len, ny/len, nz/len];
+}
+
+export function stlAscii(mesh, name = 'gear'){
+  const e = (n) => n.toExponential(6);
+  const out = [`solid ${name}`];
+  for(const f of mesh.faces){
+    const [nx, ny, nz] = normal(mesh.vertices, f);
+    out.push(`  facet normal ${e(nx)} ${e(ny)} ${e(nz)}`);
+    out.push('    outer loop');
+    for(const i of f) out.push(`      vertex ${e(mesh.vertices[i][0])} ${e(mesh.vertices[i][1])} ${e(mesh.vertices[i][2])}`);
+    out.push('    endloop');
+    out.push('  endfacet');
+  }
+  out.push(`endsolid ${name}`);
+  return out.join('\n') + '\n';
+}
+
+export function stlBinary(mesh, name = 'gear'){
+  // 80-byte header, uint32 count, then 50 bytes per facet (normal, 3 vertices, attribute word).
+  const buf = new ArrayBuffer(84 + mesh.faces.length * 50);
+  const dv = new DataView(buf);
+  const head = `${name} — binary STL`.slice(0, 80);
+  for(let i=0;i<head.length;i++) dv.setUint8(i, head.charCodeAt(i) & 0x7f);
+  dv.setUint32(80, mesh.faces.length, true);
+  let o = 84;
+  for(const f of mesh.faces){
+    for(const c of normal(mesh.vertices, f)){ dv.setFloat32(o, c, true); o += 4; }
+    for(const i of f) for(const c of mesh.vertices[i]){ dv.setFloat32(o, c, true); o += 4; }
+    dv.setUint16(o, 0, true); o += 2;
+  }
+  return buf;
+}
+
+export function objText(mesh, name = 'gear'){
+  const num = (n) => (Math.round(n * 1e6) / 1e6).toString();
+  const out = [`o ${name}`];
+  for(const v of mesh.vertices) out.push(`v ${num(v[0])} ${num(v[1])} ${num(v[2])}`);
+  for(const f of mesh.faces) out.push(`f ${f[0]+1} ${f[1]+1} ${f[2]+1}`);
+  return out.join('\n') + '\n';
+}
@@ -0,0 +1,185 @@
+// A gear spec is the design as the form holds it: one entry per input id, angles in degrees, values
+// as typed. The page reads it off the DOM, the CLI off flags or a CSV/JSON row; both turn it into the
+// inputs computeGear / computeHub expect through the same functions below.
+
+// Form defaults (index.html), used for anything a spec leaves out.
+export const DEFAULT_SPEC = {
+  type: 'external',
+  units: 'mm',
+  teeth: 24,
+  basis: 'module',
+  module: 2,
+  diametralPitch: 12,
+  pressureAngle: 20,
+  helixAngle: 0,
+  helixHand: 'right',
+  backlash: 0,
+  profileShift: 0,
+  profile: 'involute',
+  cycloidPreset: 'wheel',
+  cycloidMate: 8,
+  rollAddendum: 0,
+  rollDedendum: 0,
+  addendum: 0,
+  dedendum: 0,
+  rackLength: 120,
+  rimDiameter: 0,
+  rackTipRadius: 0.38,
+  tipEdge: 'none',
+  tipEdgeSize: 0,
+  rackRootRadius: 0,
+  tipRelief: 0,
+  rootRelief: 0,
+  reliefBasis: 'diameter',
+  reliefShape: 'linear',
+  tipReliefStart: 0,
+  rootReliefStart: 0,
+  faceWidth: 10,
+  samples: 48,
+  sectorMode: 'off',
+  sectorStart: 0,
+  sectorSpan: 90,
+  sectorTeeth: 6,
+  sectorArm: 'hub',
+  sectorStops: 'on',
+  boreType: 'none',
+  bore: 8,
+  keyStandard: 'din',
+  flatDepth: 0,
+  hubDiameter: 0,
+  webWidth: 0,
+  holeCount: 0,
+  holeShape: 'circle',
+};
+
+export const SPEC_FIELDS = Object.keys(DEFAULT_SPEC);
+// The tail of the spec that feeds computeHub rather than computeGear.
+export const HUB_FIELDS = ['boreType', 'bore', 'keyStandard', 'flatDepth', 'hubDiameter', 'webWidth', 'holeCount', 'holeShape'];
+
+export function withDefaults(spec){
+  const out = { ...DEFAULT_SPEC };
+  for(const k of SPEC_FIELDS) if(spec[k] !== undefined) out[k] = spec[k];
+  return out;
+}
+
+function normalModuleMm(s){
+  // The cutter size the basis names, as a normal module in mm: m directly, or 25.4/P for a diametral pitch.
+  return s.basis === 'pitch' ? 25.4 / Number(s.diametralPitch) : Number(s.module);
+}
+
+export function pitchDiameterOf(spec){
+  // D = N·mn/cos β, in the design units. Module is always mm and diametral pitch always per inch, so the
+  // same cutter gives the same physical gear whichever units the drawing is in.
+  const s = withDefaults(spec);
+  const beta = (Number(s.helixAngle) || 0) * Math.PI/180;
+  const toUnits = s.units === 'in' ? 1/25.4 : 1;
+  return Number(s.teeth) * normalModuleMm(s) * toUnits / Math.cos(beta);
+}
+
+export function basisFromDiameter(spec, D){
+  // A typed pitch diameter (older designs, CLI -D) → the basis fields that reproduce it exactly:
+  // a module for mm designs, a diametral pitch for inch ones. Nothing to derive it from → no change.
+  const s = withDefaults(spec);
+  const N = Number(s.teeth);
+  const cosB = Math.cos((Number(s.helixAngle) || 0) * Math.PI/180);
+  const d = Number(D);
+  if(!(N > 0 && d > 0)) return {};
+  if(s.units === 'in') return { basis: 'pitch', diametralPitch: N / (d * cosB) };
+  return { basis: 'module', module: d * cosB / N };
+}
+
+export function specToInputs(spec){
+  const s = withDefaults(spec);
+  return {
+    type: s.type,
+    units: s.units,
+    N: Number(s.teeth),
+    D: pitchDiameterOf(s),
+    basis: s.basis,
+    module: Number(s.module),
+    diametralPitch: Number(s.diametralPitch),
+    phi: Number(s.pressureAngle) * Math.PI/180,
+    helixAngle: (Number(s.helixAngle) || 0) * Math.PI/180,
+    helixHand: s.helixHand,
+    backlash: Number(s.backlash),
+    profileShift: Number(s.profileShift) || 0,
+    profile: s.profile,
+    cycloidPreset: s.cycloidPreset,
+    cycloidMate: Number(s.cycloidMate),
+    rollAddendum: Number(s.rollAddendum) || 0,
+    rollDedendum: Number(s.rollDedendum) || 0,
+    addendum: Number(s.addendum),
+    dedendum: Number(s.dedendum),
+    rackLength: Number(s.rackLength),
+    rackTipRadius: Number(s.rackTipRadius),
+    rimDiameter: Number(s.rimDiameter) || 0,
+    faceWidth: Number(s.faceWidth) || 0,
+    tipEdge: s.tipEdge,
+    tipEdgeSize: Number(s.tipEdgeSize) || 0,
+    rackRootRadius: Number(s.rackRootRadius) || 0,
+    tipRelief: Number(s.tipRelief) || 0,
+    rootRelief: Number(s.rootRelief) || 0,
+    reliefBasis: s.reliefBasis,
+    reliefShape: s.reliefShape,
+    tipReliefStart: Number(s.tipReliefStart) || 0,
+    rootReliefStart: Number(s.rootReliefStart) || 0,
+    samples: Math.max(12, Math.floor(Number(s.samples) || 48)),
+    sectorMode: s.sectorMode,
+    sectorStart: Number(s.sectorStart) * Math.PI/180,
+    sectorSpan: Number(s.sectorSpan) * Math.PI/180,
+    sectorTeeth: Number(s.sectorTeeth),
+    sectorArm: s.sectorArm,
+    sectorStops: s.sectorStops,
+  };
+}
+
+export function specToHub(spec){
+  const s = withDefaults(spec);
+  return {
+    boreType: s.boreType,
+    bore: Number(s.bore) || 0,
+    keyStandard: s.keyStandard,
+    flatDepth: Number(s.flatDepth) || 0,
+    hubDiameter: Number(s.hubDiameter) || 0,
+    webWidth: Number(s.webWidth) || 0,
+    holeCount: Math.floor(Number(s.holeCount) || 0),
+    holeShape: s.holeShape,
+  };
+}
+
+// Allowed values of the form's select fields; every other field is a number (or, where its default is
+// a string, free text).
+export const SPEC_CHOICES = {
+  type: ['external', 'internal', 'rack'],
+  units: ['mm', 'in'],
+  basis: ['module', 'pitch'],
+  helixHand: ['right', 'left'],
+  profile: ['involute', 'cycloidal'],
+  cycloidPreset: ['wheel', 'pinion', 'custom'],
+  tipEdge: ['none', 'radius', 'chamfer'],
+  reliefBasis: ['diameter', 'roll'],
+  reliefShape: ['linear', 'parabolic'],
+  sectorMode: ['off', 'span', 'teeth'],
+  sectorArm: ['hub', 'none'],
+  sectorStops: ['on', 'off'],
+  boreType: ['none', 'round', 'keyway', 'dflat', 'hex'],
+  keyStandard: ['din', 'ansi'],
+  holeShape: ['circle', 'kidney'],
+};
+
+export function valueErrors(values, defaults = DEFAULT_SPEC, choices = SPEC_CHOICES){
+  // Field-level problems a form can't produce but a hand-written file can: unknown keys, bad choices, non-numbers.
+  const errors = [];
+  for(const [field, v] of Object.entries(values)){
+    if(!(field in defaults)){
+      errors.push({ field, message: 'unknown field' });
+    } else if(choices[field]){
+      if(!choices[field].includes(v)) errors.push({ field, message: `expected one of ${choices[field].join(', ')}, got "${v}"` });
+    } else if(typeof defaults[field] === 'string'){
+      if(typeof v !== 'string') errors.push({ field, message: `expected text, got ${JSON.stringify(v)}` });
+    } else if(typeof v === 'boolean' || v === null || String(v).trim() === '' || !Number.isFinite(Number(v))){
+      errors.push({ field, message: `not a number: "${v}"` });
+    }
+  }
+  return errors;
+}
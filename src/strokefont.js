@@ -0,0 +1,55 @@
+// Single-stroke vector text for engraving labels: every glyph is a few open polylines a laser or a
+// V-bit follows once. Only what coupon labels need: digits, sign, decimal point and a handful of letters.
+// Glyphs sit on a 4 × 6 grid, baseline y = 0, y up; `w` is the advance before letter spacing.
+
+const GLYPHS = {
+  '0': { w: 4, strokes: [[[1,0],[3,0],[4,1],[4,5],[3,6],[1,6],[0,5],[0,1],[1,0]], [[0,1],[4,5]]] },
+  '1': { w: 4, strokes: [[[1,5],[2,6],[2,0]], [[1,0],[3,0]]] },
+  '2': { w: 4, strokes: [[[0,5],[1,6],[3,6],[4,5],[4,4],[0,0],[4,0]]] },
+  '3': { w: 4, strokes: [[[0,5],[1,6],[3,6],[4,5],[4,4],[3,3],[4,2],[4,1],[3,0],[1,0],[0,1]], [[1,3],[3,3]]] },
+  '4': { w: 4, strokes: [[[3,0],[3,6],[0,2],[4,2]]] },
+  '5': { w: 4, strokes: [[[4,6],[0,6],[0,3],[3,3],[4,2],[4,1],[3,0],[0,0]]] },
+  '6': { w: 4, strokes: [[[3,6],[1,6],[0,5],[0,1],[1,0],[3,0],[4,1],[4,2],[3,3],[0,3]]] },
+  '7': { w: 4, strokes: [[[0,6],[4,6],[1,0]]] },
+  '8': { w: 4, strokes: [[[1,3],[0,4],[0,5],[1,6],[3,6],[4,5],[4,4],[3,3],[1,3],[0,2],[0,1],[1,0],[3,0],[4,1],[4,2],[3,3]]] },
+  '9': { w: 4, strokes: [[[4,3],[1,3],[0,4],[0,5],[1,6],[3,6],[4,5],[4,1],[3,0],[1,0]]] },
+  '.': { w: 1, strokes: [[[0,0],[1,0],[1,1],[0,1],[0,0]]] },
+  '-': { w: 3, strokes: [[[0,3],[3,3]]] },
+  '+': { w: 3, strokes: [[[0,3],[3,3]], [[1.5,1.5],[1.5,4.5]]] },
+  '=': { w: 3, strokes: [[[0,2],[3,2]], [[0,4],[3,4]]] },
+  ' ': { w: 2, strokes: [] },
+  B: { w: 4, strokes: [[[0,0],[0,6],[3,6],[4,5],[4,4],[3,3],[0,3]], [[3,3],[4,2],[4,1],[3,0],[0,0]]] },
+  T: { w: 4, strokes: [[[0,6],[4,6]], [[2,6],[2,0]]] },
+  X: { w: 4, strokes: [[[0,0],[4,6]], [[0,6],[4,0]]] },
+  S: { w: 4, strokes: [[[4,5],[3,6],[1,6],[0,5],[0,4],[1,3],[3,3],[4,2],[4,1],[3,0],[1,0],[0,1]]] },
+};
+
+const SPACING = 1;   // grid units between glyphs
+const CAP = 6;       // grid units from baseline to cap height
+
+export function strokeTextWidth(text, height){
+  const k = height / CAP;
+  let w = 0;
+  for(const ch of String(text)) w += ((GLYPHS[ch.toUpperCase()] || GLYPHS[' ']).w + SPACING) * k;
+  return Math.max(0, w - SPACING * k);
+}
+
+export function strokeText(text, { x = 0, y = 0, height = 1, angle = 0, anchor = 'middle' } = {}){
+  // Polylines (screen frame, y down) for `text` with its baseline through (x, y), cap height `height`,
+  // turned by `angle` about that point. anchor: start | middle | end. Unknown characters are spaces.
+  const k = height / CAP;
+  const width = strokeTextWidth(text, height);
+  let pen = anchor === 'start' ? 0 : anchor === 'end' ? -width : -width/2;
+  const ca = Math.cos(angle), sa = Math.sin(angle);
+  const place = (gx, gy) => {
+    const lx = pen + gx * k, ly = -gy * k;
+    return { x: x + lx * ca - ly * sa, y: y + lx * sa + ly * ca };
+  };
+  const polylines = [];
+  for(const ch of String(text)){
+    const glyph = GLYPHS[ch.toUpperCase()] || GLYPHS[' '];
+    for(const stroke of glyph.strokes) polylines.push(stroke.map(([gx, gy]) => place(gx, gy)));
+    pen += (glyph.w + SPACING) * k;
+  }
+  return { polylines, width };
+}
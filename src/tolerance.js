@@ -0,0 +1,167 @@
+// Tolerancing of the generator gear: an ISO 1328-1 accuracy grade (or an AGMA Q-number, converted) and a
+// centre distance tolerance give the tooth thickness allowances, the backlash they leave in the pair,
+// and the span / over-pins / chordal measurements at both limits. The allowances follow ISO/TR 10064-2:
+// the upper one keeps the minimum backlash jbn,min at the tightest centre distance, the thickness
+// tolerance Tsn covers runout and the radial feed of the cut. The part can be drawn at either limit.
+
+import { measurementsAt, fmt } from './gear.js';
+import { computePair } from './pair.js';
+import { tipThickness } from './diagnostics.js';
+
+function check(name, ok, detail){
+  return { name, ok: Boolean(ok), detail };
+}
+
+function error(field, message){
+  return { level: 'error', field, message };
+}
+
+function warning(field, message){
+  return { level: 'warning', field, message };
+}
+
+// AGMA 2000 Q-numbers run the other way from ISO grades; Q ≈ 17 − ISO grade (AGMA 2015, annex).
+export const agmaToIso = (q) => 17 - q;
+
+export function gradeTolerances(grade, mn, d, b){
+  // ISO 1328-1:1995 / ISO 1328-2 (runout) tolerances in µm for module mn, reference diameter d and face
+  // width b (mm): the grade 5 formulas, ×√2 per grade. Unrounded; no helix figure without a face width.
+  const k = 2 ** ((grade - 5) / 2);
+  return {
+    fpt: k * (0.3 * (mn + 0.4 * Math.sqrt(d)) + 4),
+    Fp: k * (0.3 * mn + 1.25 * Math.sqrt(d) + 7),
+    Falpha: k * (3.2 * Math.sqrt(mn) + 0.22 * Math.sqrt(d) + 0.7),
+    Fbeta: b > 0 ? k * (0.1 * Math.sqrt(d) + 0.63 * Math.sqrt(b) + 4.2) : NaN,
+    Fr: k * (0.24 * mn + 1.0 * Math.sqrt(d) + 5.6),
+  };
+}
+
+function it9(d){
+  // ISO 286 IT9 in µm, from the standard tolerance factor i = 0.45·∛D + 0.001·D at D = d.
+  return 40 * (0.45 * Math.cbrt(d) + 0.001 * d);
+}
+
+function optionErrors(opts){
+  const out = [];
+  if(opts.system === 'agma'){
+    if(!(Number.isInteger(opts.quality) && opts.quality >= 5 && opts.quality <= 15)) out.push(error('tolQuality', `AGMA quality must be a whole number from Q5 to Q15 (got ${opts.quality})`));
+  } else if(!(Number.isInteger(opts.grade) && opts.grade >= 1 && opts.grade <= 12)){
+    out.push(error('tolGrade', `ISO 1328 grade must be a whole number from 1 to 12 (got ${opts.grade})`));
+  }
+  if(!(Number.isFinite(opts.center) && opts.center >= 0)) out.push(error('tolCenter', `centre distance tolerance must be ≥ 0 (got ${opts.center})`));
+  return out;
+}
+
+export function computeTolerance(inp, c, opts, mate = null){
+  // inp / c: the gear's inputs and computeGear result; opts: { system ('iso' | 'agma'), grade (ISO),
+  // quality (AGMA Q), center (± fa, design units), outline ('nominal' | 'max' | 'min') }; mate: the Mesh
+  // pair card's { kind, N2, x2, centerDistance }, or null for an identical gear.
+  // → { grade, tolerances, Tsn, jbnMin, Esns, Esni, backlash, limits, offset, checks, diagnostics };
+  // only { diagnostics } while there are errors. offset is the Backlash value that draws the chosen limit.
+  const diagnostics = optionErrors(opts);
+  if(inp.type !== 'external') diagnostics.push(error('type', `tolerancing covers external gears: tolerance the pinion, with the ${inp.type === 'rack' ? 'rack' : 'ring'} as its Mesh pair mate`));
+  if(inp.profile === 'cycloidal') diagnostics.push(error('profile', 'ISO 1328 grades and the backlash budget are for involute gears: set the profile to involute'));
+  if(diagnostics.length) return { diagnostics };
+
+  const grade = opts.system === 'agma' ? agmaToIso(opts.quality) : opts.grade;
+  // ISO works in mm and µm; everything handed back is in the design units again.
+  const k = inp.units === 'in' ? 25.4 : 1;
+  const u = inp.units === 'in' ? 'in' : 'mm';
+  const L = (v) => `${fmt(v, u)} ${u}`;
+  const mn = c.mn * k, d = c.D * k, b = c.faceWidth * k;
+  const alphaN = c.phiN, cosB = Math.cos(c.beta);
+  if(mn < 0.5 || d < 5 || d > 10000){
+    diagnostics.push(warning('tolGrade', `outside ISO 1328-1's range (mn ≥ 0.5 mm, d 5 – 10000 mm): the grade tolerances are extrapolated`));
+  }
+
+  // Thickness tolerance from runout and the radial feed tolerance br = 1.26·IT9.
+  const thicknessTolerance = (dia, m) => {
+    const Fr = gradeTolerances(grade, m, dia, b).Fr, br = 1.26 * it9(dia);
+    return 2 * Math.tan(alphaN) * Math.hypot(Fr, br) / 1000;
+  };
+  const tolerances = gradeTolerances(grade, mn, d, b);
+  const br = 1.26 * it9(d);
+  const Tsn = thicknessTolerance(d, mn);
+
+  // The pair (the identical gear stands in without a mate). A rack has no diameter to grade, so it
+  // takes the pinion's thickness tolerance.
+  const pr = computePair(inp, mate || { kind: 'external', N2: inp.N, x2: c.x, centerDistance: 0 });
+  const aw = pr.aw * k, fa = opts.center * k;
+  const Tsn2 = pr.kind === 'rack' ? Tsn : thicknessTolerance(pr.c2.D * k, mn);
+  // Minimum backlash for industrial drives (ISO/TR 10064-2), then what the centre distance can take away:
+  // Δjbn = 2·Δa·sin αwt·cos βb. Both members give up half, normal to the flank.
+  const jbnMin = (2/3) * (0.06 + 0.0005 * aw + 0.03 * mn);
+  const jbnCenter = 2 * fa * Math.sin(pr.alphaW) * Math.cos(c.betaB);
+  const Esns = -(jbnMin + jbnCenter) / (2 * Math.cos(alphaN));
+  const Esni = Esns - Tsn, Esni2 = Esns - Tsn2;
+  const jbn = {
+    min: -2 * Esns * Math.cos(alphaN) - jbnCenter,
+    max: -(Esni + Esni2) * Math.cos(alphaN) + jbnCenter,
+  };
+  const toCircumferential = (v) => v / (Math.cos(pr.alphaW) * Math.cos(c.betaB));
+
+  // Transverse thickness at the pitch circle for each limit; the measurements over the nominal pin.
+  const sAt = (Esn) => c.s0 + Esn / (cosB * k);
+  const limits = {};
+  for(const [key, Esn] of [['max', Esns], ['min', Esni]]){
+    const s = sAt(Esn);
+    limits[key] = { s, backlash: -Esn / (cosB * k), ...measurementsAt(c, s, c.pinDiameter) };
+  }
+  const gradeField = opts.system === 'agma' ? 'tolQuality' : 'tolGrade';
+  if(!(limits.min.s > 0)){
+    diagnostics.push(error(gradeField, `the minimum material tooth has no thickness left (lower allowance ${L(Esni / k)}): pick a finer grade`));
+    return { diagnostics };
+  }
+  const tipMin = tipThickness({ ...c, s: limits.min.s }, 'external').s;
+  const checks = [];
+  checks.push(check('Tip at minimum material ≥ 0.2·m', tipMin >= 0.2 * c.mn, `${L(tipMin)} on the tip circle`));
+  if(!(tipMin >= 0.2 * c.mn)) diagnostics.push(warning(gradeField, `at minimum material the tips are ${tipMin > 0 ? `only ${L(tipMin)} thick` : 'pointed'}: pick a finer grade or a smaller centre distance tolerance`));
+
+  const offset = opts.outline === 'max' ? limits.max.backlash : opts.outline === 'min' ? limits.min.backlash : null;
+  return {
+    system: opts.system, grade, quality: opts.system === 'agma' ? opts.quality : null, outline: opts.outline,
+    mn: mn / k, d: d / k, faceWidth: b / k, tolerances, br, Tsn: Tsn / k, Tsn2: Tsn2 / k,
+    mateKind: pr.kind, z2: pr.z2, copy: !mate, aw: aw / k, center: fa / k,
+    jbnMin: jbnMin / k, jbnCenter: jbnCenter / k, Esns: Esns / k, Esni: Esni / k, Esni2: Esni2 / k,
+    backlash: { min: jbn.min / k, max: jbn.max / k, minT: toCircumferential(jbn.min) / k, maxT: toCircumferential(jbn.max) / k },
+    nominal: { s: c.s, backlash: c.backlash },
+    limits, pinDiameter: c.pinDiameter, spanTeeth: c.spanTeeth,
+    offset, checks, diagnostics,
+  };
+}
+
+export function toleranceLines(set, unit){
+  const u = unit === 'in' ? 'in' : 'mm';
+  const L = (v) => `${fmt(v, u)} ${u}`;
+  const um = (v) => `${fmt(v, 'deg')} µm`;
+  const signed = (v) => `${v >= 0 ? '+' : '−'}${L(Math.abs(v))}`;
+  const t = set.tolerances;
+  const lines = [];
+  lines.push(set.system === 'agma'
+    ? `AGMA Q${set.quality} ≈ ISO 1328-1 grade ${set.grade} (Q ≈ 17 − grade) • mn ${L(set.mn)}, d ${L(set.d)}`
+    : `ISO 1328-1 grade ${set.grade} • mn ${L(set.mn)}, d ${L(set.d)}`);
+  lines.push(`Single pitch ±fpt ${um(t.fpt)} • total pitch Fp ${um(t.Fp)} • profile Fα ${um(t.Falpha)}${Number.isFinite(t.Fbeta) ? ` • helix Fβ ${um(t.Fbeta)}` : ''} • runout Fr ${um(t.Fr)}`);
+  lines.push(`Thickness tolerance Tsn = 2·tan αn·√(Fr² + br²): ${L(set.Tsn)} (radial feed br = 1.26·IT9 = ${um(set.br)})`);
+  const mate = set.copy ? 'an identical gear'
+    : set.mateKind === 'rack' ? 'the rack from Mesh pair'
+    : `the ${set.mateKind === 'internal' ? 'ring' : 'mate'} from Mesh pair (${set.z2} teeth)`;
+  lines.push(`Centre distance a: ${L(set.aw)} ± ${L(set.center)} against ${mate}`);
+  lines.push(`Min. backlash jbn,min = ⅔·(0.06 + 0.0005·a + 0.03·mn) mm: ${L(set.jbnMin)}${set.center > 0 ? ` • taken by −fa: ${L(set.jbnCenter)}` : ''}`);
+  lines.push(`Thickness allowances (normal): upper Esns ${signed(set.Esns)} • lower Esni ${signed(set.Esni)}${set.copy || Math.abs(set.Esni2 - set.Esni) < 1e-12 ? '' : ` (mate ${signed(set.Esni2)})`}`);
+  lines.push('');
+  lines.push(`Backlash jbn (normal): min ${L(set.backlash.min)} • max ${L(set.backlash.max)} — circumferential jwt ${L(set.backlash.minT)} … ${L(set.backlash.maxT)}`);
+  lines.push(`Pitch thickness s (transverse): max material ${L(set.limits.max.s)} • min material ${L(set.limits.min.s)} • nominal ${L(set.nominal.s)}`);
+  const pair = (key, label) => {
+    const hi = set.limits.max[key], lo = set.limits.min[key];
+    if(Number.isFinite(hi) && Number.isFinite(lo)) lines.push(`${label}: ${L(hi)} / ${L(lo)} (max / min material)`);
+  };
+  pair('span', `Span W over k = ${set.spanTeeth} teeth`);
+  pair('overPins', `Over pins M (Ø${L(set.pinDiameter)})`);
+  pair('chordalThickness', 'Chordal thickness');
+  lines.push('');
+  lines.push(set.offset === null
+    ? `Outline: as designed (Backlash field ${L(set.nominal.backlash)})`
+    : `Outline: ${set.outline === 'max' ? 'maximum' : 'minimum'} material — drawn and exported with backlash ${L(set.offset)} on the thickness`);
+  for(const chk of set.checks) lines.push(`${chk.ok ? '✓' : '⚠'} ${chk.name}: ${chk.detail}`);
+  return lines;
+}
@@ -0,0 +1,365 @@
+// Gear trains: stages chained shaft to shaft — external pairs on compound shafts, idlers, internal and
+// planetary stages — with the overall ratio and every shaft's speed and direction, and a solver that
+// searches tooth counts for a target ratio. Ratios are speed ratios i = n_in / n_out (> 1 reduces);
+// directions are relative to the input shaft (+1 same, −1 reversed).
+//
+// A train is written one stage per line (or comma-separated):
+//   20:60          20 drives 60; the 60's shaft carries the next stage (a compound shaft)
+//   20:30:60       the same ratio through an idler (every gear between the ends is one)
+//   18:r72         pinion drives an internal ring on the next shaft (r72:18: the ring drives)
+//   s18:p27:r72    planetary: sun 18, planets 27, ring 72; ring fixed, sun in, carrier out.
+//                  fix=carrier: sun in, ring out; fix=sun: ring in, carrier out
+// Every gear takes the form's module (or diametral pitch), pressure angle and helix; a stage may name
+// its own size with m1.5 (module, mm) or P10 (diametral pitch, 1/in).
+
+import { computeGear, fmt } from './gear.js';
+import { specToInputs, pitchDiameterOf } from './spec.js';
+
+export const MAX_SOLVER_STAGES = 3;
+export const MAX_SOLVER_TEETH = 300;
+// Trains one search may weigh. The page runs it on the UI thread: this keeps a click under a second or
+// so, and covers two stages over any tooth range; a wide three-stage search stops here and says so.
+export const MAX_SOLVER_CANDIDATES = 1000000;
+// Past this many, a search already holding `limit` exact trains stops: nothing beats them on error.
+const EXACT_STOP_AFTER = 100000;
+
+function error(field, message){
+  return { level: 'error', field, message };
+}
+
+function warning(field, message){
+  return { level: 'warning', field, message };
+}
+
+function gcd(a, b){
+  while(b){ [a, b] = [b, a % b]; }
+  return a;
+}
+
+function gearName(g){
+  return `${{ s: 'sun ', p: 'planet ', r: 'ring ' }[g.role] || ''}z${g.z}`;
+}
+
+function parseStage(text, where){
+  // "s18:p27:r72 m1.5 fix=carrier" → { kind, gears: [{ role, z }], size, fixed } or { error }.
+  const stage = { text, gears: [], size: null, fixed: null };
+  for(const tok of text.split(/\s+/)){
+    let m;
+    if((m = tok.match(/^m(\d*\.?\d+)$/))) stage.size = { basis: 'module', module: Number(m[1]) };
+    else if((m = tok.match(/^P(\d*\.?\d+)$/))) stage.size = { basis: 'pitch', diametralPitch: Number(m[1]) };
+    else if((m = tok.match(/^fix=(ring|carrier|sun)$/i))) stage.fixed = m[1].toLowerCase();
+    else if(/^[rsp]?\d+(:[rsp]?\d+)+$/i.test(tok) && !stage.gears.length){
+      stage.gears = tok.split(':').map(g => ({ role: (g.match(/^[rsp]/i)?.[0] || '').toLowerCase(), z: Number(g.replace(/^[rsp]/i, '')) }));
+    } else return { error: `${where}: can't read "${tok}" (expected teeth like 20:60, a size like m1.5 or P10, or fix=ring|carrier|sun)` };
+  }
+  const roles = stage.gears.map(g => g.role).join('');
+  if(!stage.gears.length) return { error: `${where}: no gears (expected teeth like 20:60)` };
+  if(/[sp]/.test(roles)){
+    if(roles !== 'spr') return { error: `${where}: a planetary stage is sun:planet:ring, e.g. s18:p27:r72` };
+    stage.kind = 'planetary';
+    stage.fixed = stage.fixed || 'ring';
+  } else if(roles.includes('r')){
+    if(stage.gears.length !== 2 || roles === 'rr') return { error: `${where}: an internal stage is one pinion and one ring, e.g. 18:r72` };
+    stage.kind = 'internal';
+  } else {
+    stage.kind = 'external';
+  }
+  if(stage.fixed && stage.kind !== 'planetary') return { error: `${where}: fix= only applies to a planetary stage` };
+  const bad = stage.gears.find(g => !(Number.isInteger(g.z) && g.z >= 3));
+  if(bad) return { error: `${where}: tooth counts must be whole numbers ≥ 3 (got ${bad.z})` };
+  return { stage };
+}
+
+export function parseTrain(text){
+  // Stage list text → { stages, diagnostics } (field trainStages); blank text is no train.
+  const stages = [];
+  const diagnostics = [];
+  const parts = String(text ?? '').split(/[,;\n]+/).map(t => t.trim()).filter(Boolean);
+  parts.forEach((part, i) => {
+    const r = parseStage(part, `stage ${i + 1}`);
+    if(r.error) diagnostics.push(error('trainStages', r.error));
+    else stages.push(r.stage);
+  });
+  return { stages, diagnostics };
+}
+
+function gearInputs(spec, stage, role, z){
+  // The generator's tooth form at this stage's size; standard proportions, no shift or backlash (those
+  // belong to the generator gear, as for the Mesh pair mate).
+  return specToInputs({
+    ...spec, ...(stage.size || {}),
+    type: role === 'r' ? 'internal' : 'external', teeth: z,
+    profileShift: 0, addendum: 0, dedendum: 0, backlash: 0,
+  });
+}
+
+export function computeTrain(spec, text, { inputSpeed = 1000 } = {}){
+  // spec: the form's gear spec (units, size, pressure angle, helix); text: the stage list.
+  // → { stages, shafts, ratio, direction, inputSpeed, outputSpeed, units, diagnostics }. stages and shafts
+  // are empty while there are errors.
+  const { stages: parsed, diagnostics } = parseTrain(text);
+  const units = spec.units === 'in' ? 'in' : 'mm';
+  const train = { stages: [], shafts: [], ratio: NaN, direction: 1, inputSpeed, outputSpeed: NaN, units, diagnostics };
+  if(!(Number.isFinite(inputSpeed) && inputSpeed > 0)) diagnostics.push(error('trainInputSpeed', 'input speed must be > 0 rpm'));
+  if(!parsed.length || diagnostics.some(d => d.level === 'error')) return train;
+
+  const L = (v) => `${fmt(v, units)} ${units}`;
+  const label = gearName;
+  // Speeds run at 1 on the input shaft and are scaled at the end; sign is the direction.
+  let shaft = { name: 'input', gears: [], n: 1 };
+  train.shafts.push(shaft);
+  const newShaft = (name, n) => {
+    const s = { name, gears: [], n };
+    train.shafts.push(s);
+    return s;
+  };
+
+  parsed.forEach((stage, i) => {
+    const where = `stage ${i + 1}`;
+    const gears = stage.gears.map(g => {
+      const inp = gearInputs(spec, stage, g.role, g.z);
+      const c = computeGear(inp);
+      return { ...g, D: c.D, Do: g.role === 'r' ? c.Dt_int : c.Do_ext, c };
+    });
+    for(const g of gears){
+      if(g.role !== 'r' && g.c.undercutRisk) diagnostics.push(warning('trainStages', `${where}: ${label(g)} is undercut (N < ${g.c.NminNoUndercut} at ${fmt(g.c.phiNDeg, 'deg')}°)`));
+    }
+    const out = { kind: stage.kind, text: stage.text, gears, centers: [], module: gears[0].c.mn * (units === 'in' ? 25.4 : 1), planetSpin: NaN, fixed: stage.fixed };
+    const n0 = shaft.n;
+
+    if(stage.kind === 'external'){
+      // Each mesh reverses; the gears between the ends are idlers, each on its own shaft.
+      shaft.gears.push(`${label(gears[0])} (${where} driver)`);
+      let n = n0;
+      for(let k=1;k<gears.length;k++){
+        n = -n * gears[k-1].z / gears[k].z;
+        out.centers.push((gears[k-1].D + gears[k].D) / 2);
+        const last = k === gears.length - 1;
+        const s = newShaft(last ? `stage ${i + 1} out` : `idler ${i + 1}.${k}`, n);
+        s.gears.push(`${label(gears[k])} (${where}${last ? '' : ' idler'})`);
+        if(last) shaft = s;
+      }
+    } else if(stage.kind === 'internal'){
+      // Pinion and ring turn the same way.
+      const [a, b] = gears;
+      const ring = a.role === 'r' ? a : b, pinion = a.role === 'r' ? b : a;
+      if(ring.z <= pinion.z) diagnostics.push(error('trainStages', `${where}: the ring needs more teeth than the pinion (${ring.z} ≤ ${pinion.z})`));
+      else if(ring.z - pinion.z < 10) diagnostics.push(warning('trainStages', `${where}: ring and pinion differ by ${ring.z - pinion.z} teeth (under ~10 risks tip interference; check the pair in Mesh pair)`));
+      out.centers.push((ring.D - pinion.D) / 2);
+      shaft.gears.push(`${label(a)} (${where} driver)`);
+      shaft = newShaft(`stage ${i + 1} out`, n0 * a.z / b.z);
+      shaft.gears.push(`${label(b)} (${where})`);
+    } else {
+      // Willis: (n_s − n_c) / (n_r − n_c) = −z_r / z_s.
+      const [sun, planet, ring] = gears;
+      const zs = sun.z, zr = ring.z;
+      const aSun = (sun.D + planet.D) / 2, aRing = (ring.D - planet.D) / 2;
+      out.centers.push(aSun);
+      if(Math.abs(aSun - aRing) > 1e-9 * Math.max(1, aSun)){
+        diagnostics.push(warning('trainStages', `${where}: z_r ≠ z_s + 2·z_p (${zr} ≠ ${zs + 2*planet.z}): sun–planet centre ${L(aSun)}, planet–ring ${L(aRing)}; needs profile shift to assemble`));
+      }
+      let ns, nr, nc;
+      if(stage.fixed === 'ring'){
+        ns = n0; nr = 0; nc = ns * zs / (zs + zr);
+        shaft.gears.push(`${label(sun)} (${where} in)`);
+        shaft = newShaft(`stage ${i + 1} carrier`, nc);
+        shaft.gears.push(`carrier (${where} out)`);
+      } else if(stage.fixed === 'carrier'){
+        ns = n0; nc = 0; nr = -ns * zs / zr;
+        shaft.gears.push(`${label(sun)} (${where} in)`);
+        shaft = newShaft(`stage ${i + 1} ring`, nr);
+        shaft.gears.push(`${label(ring)} (${where} out)`);
+      } else {
+        nr = n0; ns = 0; nc = nr * zr / (zs + zr);
+        shaft.gears.push(`${label(ring)} (${where} in)`);
+        shaft = newShaft(`stage ${i + 1} carrier`, nc);
+        shaft.gears.push(`carrier (${where} out)`);
+      }
+      // Planet spin relative to the carrier (what its bearing sees).
+      out.planetSpin = -(ns - nc) * zs / planet.z;
+    }
+    out.ratio = Math.abs(n0 / shaft.n);
+    out.reverses = n0 / shaft.n < 0;
+    train.stages.push(out);
+  });
+
+  if(diagnostics.some(d => d.level === 'error')){
+    train.stages = [];
+    train.shafts = [];
+    return train;
+  }
+  const nOut = shaft.n;
+  train.ratio = 1 / Math.abs(nOut);
+  train.direction = Math.sign(nOut);
+  train.outputSpeed = inputSpeed * nOut;
+  for(const s of train.shafts) s.speed = inputSpeed * s.n;
+  for(const st of train.stages) st.planetSpin *= inputSpeed;
+  shaft.name = 'output';
+  return train;
+}
+
+// ---------- ratio solver ----------
+
+export function solverChecks(spec, opts){
+  // opts: { target, tolerance (%), stages, minTeeth, maxTeeth, minCenter, maxCenter }; fields are the form ids.
+  const out = [];
+  if(!(Number.isFinite(opts.target) && opts.target > 0)) out.push(error('trainTarget', 'target ratio must be > 0'));
+  if(!(Number.isFinite(opts.tolerance) && opts.tolerance >= 0)) out.push(error('trainTolerance', 'tolerance must be ≥ 0 %'));
+  if(!(Number.isInteger(opts.stages) && opts.stages >= 1 && opts.stages <= MAX_SOLVER_STAGES)) out.push(error('trainSolveStages', `stages must be a whole number 1 … ${MAX_SOLVER_STAGES} (got ${opts.stages})`));
+  if(!(Number.isInteger(opts.minTeeth) && opts.minTeeth >= 3)) out.push(error('trainMinTeeth', `min teeth must be a whole number ≥ 3 (got ${opts.minTeeth})`));
+  if(!(Number.isInteger(opts.maxTeeth) && opts.maxTeeth <= MAX_SOLVER_TEETH)) out.push(error('trainMaxTeeth', `max teeth must be a whole number ≤ ${MAX_SOLVER_TEETH} (got ${opts.maxTeeth})`));
+  else if(opts.maxTeeth < opts.minTeeth) out.push(error('trainMaxTeeth', `max teeth ${opts.maxTeeth} is below min teeth ${opts.minTeeth}`));
+  if(!(Number.isFinite(opts.minCenter) && opts.minCenter >= 0)) out.push(error('trainMinCenter', 'min centre distance must be ≥ 0 (0 = none)'));
+  if(!(Number.isFinite(opts.maxCenter) && opts.maxCenter >= 0)) out.push(error('trainMaxCenter', 'max centre distance must be ≥ 0 (0 = none)'));
+  else if(opts.maxCenter > 0 && opts.maxCenter < opts.minCenter) out.push(error('trainMaxCenter', 'max centre distance is below the min'));
+  if(out.length) return out;
+
+  const smallest = computeGear(specToInputs({ ...spec, type: 'external', teeth: opts.minTeeth, profileShift: 0, addendum: 0, dedendum: 0 }));
+  if(smallest.undercutRisk) out.push(warning('trainMinTeeth', `gears under ${smallest.NminNoUndercut} teeth are undercut at ${fmt(smallest.phiNDeg, 'deg')}°`));
+  return out;
+}
+
+export function solveTrain(spec, opts, { limit = 10 } = {}){
+  // Compound trains of `opts.stages` external pairs whose ratio lies within ±tolerance % of the target,
+  // each pair within the tooth and centre-distance limits. Ranked by ratio error, then by size (the sum
+  // of the centre distances). A long search stops once `limit` exact trains turn up, and any search after
+  // MAX_SOLVER_CANDIDATES; truncated says which ('exact' | 'candidates', null when it ran to the end).
+  // → { results: [{ pairs: [[z1, z2], …], ratio, error, size, largest, direction, text }], searched,
+  // truncated, diagnostics }.
+  const diagnostics = solverChecks(spec, opts);
+  const solved = { results: [], searched: 0, truncated: null, diagnostics };
+  if(diagnostics.some(d => d.level === 'error')) return solved;
+
+  // One candidate per reduced ratio: the smallest pair that meets the centre-distance limits.
+  const k = pitchDiameterOf({ ...spec, teeth: 1 });
+  const byRatio = new Map();
+  for(let z1=opts.minTeeth; z1<=opts.maxTeeth; z1++){
+    for(let z2=opts.minTeeth; z2<=opts.maxTeeth; z2++){
+      const a = k * (z1 + z2) / 2;
+      if(a < opts.minCenter || (opts.maxCenter > 0 && a > opts.maxCenter)) continue;
+      const g = gcd(z1, z2);
+      const key = `${z1/g}/${z2/g}`;
+      const seen = byRatio.get(key);
+      if(!seen || seen.z1 + seen.z2 > z1 + z2) byRatio.set(key, { z1, z2, r: z2 / z1, a });
+    }
+  }
+  const pairs = [...byRatio.values()].sort((p, q) => p.r - q.r);
+  if(!pairs.length){
+    diagnostics.push(warning('trainMaxCenter', 'no gear pair fits the tooth and centre-distance limits'));
+    return solved;
+  }
+
+  const tol = opts.tolerance / 100;
+  // A hair of slack so an exact ratio survives rounding at tolerance 0.
+  const lo = opts.target * (1 - tol) * (1 - 1e-12), hi = opts.target * (1 + tol) * (1 + 1e-12);
+  const rMax = pairs[pairs.length - 1].r;
+  const firstAtLeast = (v) => {
+    let a = 0, b = pairs.length;
+    while(a < b){
+      const mid = (a + b) >> 1;
+      if(pairs[mid].r < v) a = mid + 1; else b = mid;
+    }
+    return a;
+  };
+
+  // Stages in non-decreasing ratio order (the same stages in another order are the same train).
+  let kept = [];
+  let exact = 0;
+  // Errors within rounding of each other tie, so exact trains rank by size, then by tooth counts so the
+  // order never depends on the search order.
+  const rank = (p, q) => {
+    const d = Math.abs(p.error) - Math.abs(q.error);
+    if(Math.abs(d) > 1e-12) return d;
+    if(p.size !== q.size) return p.size - q.size;
+    for(let i=0;i<p.chosen.length;i++){
+      const t = (p.chosen[i].z1 - q.chosen[i].z1) || (p.chosen[i].z2 - q.chosen[i].z2);
+      if(t) return t;
+    }
+    return 0;
+  };
+  const consider = (chosen, ratio) => {
+    solved.searched++;
+    const err = ratio / opts.target - 1;
+    kept.push({ chosen, ratio, error: err, size: chosen.reduce((s, p) => s + p.a, 0) });
+    if(kept.length > 8 * limit){
+      kept.sort(rank);
+      kept = kept.slice(0, limit);
+    }
+    if(Math.abs(err) < 1e-12) exact++;
+    if(exact >= limit && solved.searched >= EXACT_STOP_AFTER) solved.truncated = 'exact';
+    else if(solved.searched >= MAX_SOLVER_CANDIDATES) solved.truncated = 'candidates';
+  };
+  const n = opts.stages;
+  const search = (depth, from, prod, chosen) => {
+    if(depth === n - 1){
+      // Only the `limit` ratios either side of the target can make the list for this prefix.
+      const at = firstAtLeast(opts.target / prod);
+      const first = Math.max(from, firstAtLeast(lo / prod), at - limit);
+      for(let i = first; i < Math.min(pairs.length, at + limit) && pairs[i].r * prod <= hi && !solved.truncated; i++){
+        consider([...chosen, pairs[i]], prod * pairs[i].r);
+      }
+      return;
+    }
+    // This stage is the smallest of those left, so at most the left-th root of what remains; walking down
+    // from there meets the evenly split (and usually smallest) trains first, before any cut-off.
+    const left = n - depth;
+    const top = firstAtLeast((hi / prod) ** (1 / left) * (1 + 1e-12)) - 1;
+    for(let i=top;i>=from && !solved.truncated;i--){
+      const r = pairs[i].r;
+      if(prod * r * rMax ** (left - 1) < lo) break;
+      search(depth + 1, i, prod * r, [...chosen, pairs[i]]);
+    }
+  };
+  search(0, 0, 1, []);
+  if(solved.truncated === 'exact'){
+    diagnostics.push(warning('trainMaxTeeth', `search truncated at the first ${limit} exact trains: smaller exact ones may exist (narrow the tooth range to see them)`));
+  } else if(solved.truncated === 'candidates'){
+    diagnostics.push(warning('trainMaxTeeth', `search truncated after ${MAX_SOLVER_CANDIDATES.toLocaleString('en')} trains: the best so far are listed; narrow the tooth range or use fewer stages`));
+  }
+
+  kept.sort(rank);
+  solved.results = kept.slice(0, limit).map(r => ({
+    pairs: r.chosen.map(p => [p.z1, p.z2]),
+    ratio: r.ratio,
+    error: r.error,
+    size: r.size,
+    largest: k * Math.max(...r.chosen.map(p => Math.max(p.z1, p.z2))),
+    direction: r.chosen.length % 2 ? -1 : 1,
+    text: r.chosen.map(p => `${p.z1}:${p.z2}`).join(', '),
+  }));
+  return solved;
+}
+
+// ---------- report lines ----------
+
+export function trainLines(train){
+  // For the Gear train card / CLI.
+  const u = train.units;
+  const L = (v) => `${fmt(v, u)} ${u}`;
+  const rpm = (v) => `${fmt(Math.abs(v))} rpm ${Math.abs(v) < 1e-12 ? '(held)' : v > 0 ? '↻' : '↺'}`;
+  if(!train.stages.length) return ['—'];
+  const lines = [`Overall ratio i = n_in / n_out: ${fmt(train.ratio)} : 1 (${train.direction > 0 ? 'output turns with the input' : 'output reversed'})`];
+  lines.push(`Input ${rpm(train.inputSpeed)} → output ${rpm(train.outputSpeed)}`);
+  lines.push('');
+  train.stages.forEach((st, i) => {
+    const teeth = st.gears.map(g => `${g.role || ''}${g.z}`).join(':');
+    const fixed = st.kind === 'planetary' ? `, ${st.fixed} fixed` : '';
+    lines.push(`Stage ${i + 1} (${st.kind}${fixed}) ${teeth}: i = ${fmt(st.ratio)}${st.reverses ? ' reversing' : ''} • m ${fmt(st.module)} mm`);
+    for(const g of st.gears) lines.push(`  ${gearName(g)}: pitch Ø${L(g.D)}, ${g.role === 'r' ? 'tip' : 'outside'} Ø${L(g.Do)}`);
+    lines.push(`  centre distance${st.centers.length > 1 ? 's' : ''}: ${st.centers.map(L).join(', ')}`);
+    if(Number.isFinite(st.planetSpin)) lines.push(`  planet spin on its pin: ${rpm(st.planetSpin)}`);
+  });
+  lines.push('');
+  lines.push('Shafts (↻ = input direction):');
+  for(const s of train.shafts) lines.push(`  ${s.name}: ${rpm(s.speed)} — ${s.gears.join(', ')}`);
+  return lines;
+}
+
+export function solutionLines(solved, target, units){
+  const u = units === 'in' ? 'in' : 'mm';
+  if(!solved.results.length) return [`No train within tolerance of ${fmt(target)} : 1 (${solved.searched} checked); allow more stages, teeth or tolerance.`];
+  return solved.results.map((r, i) => {
+    const err = Math.abs(r.error) < 1e-12 ? 'exact' : `${r.error > 0 ? '+' : ''}${(r.error * 100).toFixed(3)} %`;
+    return `${i + 1}. ${r.text} → ${fmt(r.ratio)} (${err}) • Σa ${fmt(r.size, u)} ${u} • largest Ø${fmt(r.largest, u)} ${u}${r.direction < 0 ? ' • reversed' : ''}`;
+  });
+}
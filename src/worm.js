@@ -0,0 +1,172 @@
+// Cylindrical worm drive: the generator gear is the worm wheel, its module the worm's axial module and its
+// pressure angle the axial one (a ZA worm, straight-sided in the axial section). In the wheel's mid-plane
+// the worm is a rack, so the pair is drawn there: the wheel's transverse profile and the worm's axial
+// section, double-sided about its axis with the far flank a half lead along.
+
+import { computeGear, buildExternalGearPath, buildRackPath, cleanLoop, pathFromPoints, fmt } from './gear.js';
+import { addHubPaths, gearPaths, referenceCircles } from './scene.js';
+
+function check(name, ok, detail){
+  return { name, ok: Boolean(ok), detail };
+}
+
+function error(field, message){
+  return { level: 'error', field, message };
+}
+
+function warning(field, message){
+  return { level: 'warning', field, message };
+}
+
+function optionErrors(opts){
+  const out = [];
+  if(!(Number.isInteger(opts.starts) && opts.starts >= 1)) out.push(error('wormStarts', `number of starts must be a whole number ≥ 1 (got ${opts.starts})`));
+  if(opts.size === 'diameter'){
+    if(!(Number.isFinite(opts.diameter) && opts.diameter > 0)) out.push(error('wormDiameter', `worm pitch diameter must be > 0 (got ${opts.diameter})`));
+  } else if(!(Number.isFinite(opts.q) && opts.q > 0)){
+    out.push(error('wormQ', `diameter factor q must be > 0 (got ${opts.q})`));
+  }
+  if(!(Number.isFinite(opts.length) && opts.length >= 0)) out.push(error('wormLength', `worm length must be ≥ 0 (0 = auto, got ${opts.length})`));
+  if(!(Number.isFinite(opts.friction) && opts.friction >= 0)) out.push(error('wormFriction', `friction coefficient must be ≥ 0 (got ${opts.friction})`));
+  return out;
+}
+
+export function computeWorm(inp, c, opts){
+  // inp / c: the wheel's inputs and computeGear result; opts: { starts, size ('q' | 'diameter'), q,
+  // diameter, length (0 = auto), friction μ }.
+  // → { z1, z2, m, q, d1, da1, df1, px, pz, gamma, ..., thread, checks, diagnostics }; only
+  // { diagnostics } while there are errors.
+  const diagnostics = optionErrors(opts);
+  if(inp.type !== 'external') diagnostics.push(error('type', 'the worm drives an external wheel: set the type to external'));
+  if(inp.profile === 'cycloidal') diagnostics.push(error('profile', 'a worm wheel is cut to the worm\'s straight-sided thread: set the profile to involute'));
+  if(inp.helixAngle > 0) diagnostics.push(error('helixAngle', 'the wheel\'s helix is the worm\'s lead angle γ and follows from the starts and diameter: set the helix angle to 0'));
+  if(diagnostics.length) return { diagnostics };
+
+  const m = c.m, z1 = opts.starts, z2 = inp.N, x2 = c.x;
+  const d1 = opts.size === 'diameter' ? opts.diameter : opts.q * m;
+  const q = d1 / m;
+  const px = Math.PI * m;
+  const pz = z1 * px;
+  const gamma = Math.atan(z1 / q);
+
+  // The thread is the wheel's basic rack, unshifted and cut true: a = m, b = 1.25·m. Length from the
+  // usual guide for full contact, (11 + 0.06·z2)·m up to two starts, (12.5 + 0.09·z2)·m above.
+  const length = opts.length > 0 ? opts.length : (z1 <= 2 ? 11 + 0.06*z2 : 12.5 + 0.09*z2) * m;
+  const thread = computeGear({
+    ...inp, type: 'rack', N: 1, D: m, profileShift: 0, addendum: 0, dedendum: 0, backlash: 0, rackLength: length,
+    tipEdge: 'none', rackRootRadius: 0, tipRelief: 0, rootRelief: 0, sectorMode: 'off',
+  });
+  const u = inp.units === 'in' ? 'in' : 'mm';
+  const L = (v) => `${fmt(v, u)} ${u}`;
+  const da1 = d1 + 2*thread.a, df1 = d1 - 2*thread.b;
+  if(!(df1 > 0)){
+    diagnostics.push(error(opts.size === 'diameter' ? 'wormDiameter' : 'wormQ', `worm root diameter ${L(df1)} is not positive: the worm needs d1 > ${L(2*thread.b)} (q > ${fmt(2*thread.b/m)})`));
+    return { diagnostics };
+  }
+
+  // Wheel: throat (tip) and root as cut on the generator; centres spread by the wheel's shift.
+  const d2 = c.D, da2 = c.Do_ext, df2 = c.Dr_ext;
+  const a = (d1 + d2)/2 + x2 * m;
+  // Largest wheel diameter, over the rim corners: da2 + 6m/(z1 + 2) (DIN 3975 guide).
+  const de2 = da2 + 6*m / (z1 + 2);
+  const throatRadius = a - da2/2;
+  const faceWidth = 2*m * (0.5 + Math.sqrt(q + 1));
+
+  const mn = m * Math.cos(gamma);
+  const alphaN = Math.atan(Math.tan(c.phi) * Math.cos(gamma));
+  // Friction angle on the thread flank; the drive locks statically when γ ≤ ρ′.
+  const rho = Math.atan(opts.friction / Math.cos(alphaN));
+  const selfLocking = gamma <= rho;
+  const effWorm = Math.tan(gamma) / Math.tan(gamma + rho);
+  const effWheel = selfLocking ? 0 : Math.tan(gamma - rho) / Math.tan(gamma);
+
+  const checks = [];
+  const clearWorm = a - da1/2 - df2/2, clearWheel = a - da2/2 - df1/2;
+  const clear = Math.min(clearWorm, clearWheel);
+  checks.push(check('Tip clearance ≥ 0.2·m', clear >= 0.2*m, `worm tip to wheel root ${L(clearWorm)}, wheel throat to worm root ${L(clearWheel)}`));
+  const field = clearWorm < clearWheel ? 'dedendum' : 'addendum';
+  if(clear <= 0) diagnostics.push(error(field, `worm and wheel interfere: ${clearWorm < clearWheel ? 'the worm tips reach past the wheel root' : 'the wheel throat reaches past the worm root'} by ${L(-clear)}`));
+  else if(clear < 0.2*m) diagnostics.push(warning(field, `tip clearance only ${L(clear)} (under 0.2·m)`));
+
+  return {
+    z1, z2, m, q, x2, d1, da1, df1, px, pz, gamma, mn, alphaN,
+    d2, da2, df2, de2, a, throatRadius, faceWidth, length,
+    ratio: z2 / z1, friction: opts.friction, rho, selfLocking, effWorm, effWheel,
+    thread, checks, diagnostics,
+  };
+}
+
+function profileChain(points){
+  // buildRackPath's loop without its two back corners, as one chain running left → right.
+  const yBack = Math.max(...points.map(p => p.y));
+  const back = (p) => Math.abs(p.y - yBack) < 1e-9 * (1 + Math.abs(yBack));
+  const n = points.length;
+  const k = points.findIndex((p, i) => back(p) && back(points[(i + 1) % n]));
+  const chain = [...points.slice(k + 2), ...points.slice(0, k)];
+  return chain[0].x > chain[chain.length - 1].x ? chain.reverse() : chain;
+}
+
+export function wormParts(set, inp, c, hub, { cx, cy }){
+  // The wheel at (cx, cy) with a tooth pointing at the worm, and the worm's axial section on an axis a
+  // below it (screen y down) with a space on the centre line. { wheel, worm, axisY, angle, scene }.
+  const { m, d1, length, thread } = set;
+  const p = thread.p;
+  const axisY = cy + set.a;
+  const x0 = cx - length/2;
+
+  const wheel = buildExternalGearPath(c, inp, { cx, cy });
+  if(hub) addHubPaths(wheel, hub, { cx, cy }, inp.samples);
+  const angle = Math.PI/2;
+
+  // Near side: teeth a half pitch either side of the centre line. Far side: the thread half a lead on.
+  const frac = (v) => v - Math.floor(v);
+  const phase = frac(length / (2*p) + 0.5);
+  const side = (ph) => profileChain(buildRackPath(thread, inp, { x: x0, y: axisY - d1/2, backing: d1/2 - thread.b, phase: ph }).points);
+  const near = side(phase);
+  const far = side(frac(phase + set.z1 / 2)).map(q => ({ x: q.x, y: 2*axisY - q.y }));
+  const outline = cleanLoop([...near, ...far.reverse()], true);
+  const worm = { d: pathFromPoints(outline, true), points: outline };
+
+  const scene = { units: inp.units, origin: { x: cx, y: cy }, paths: [], circles: [], lines: [] };
+  scene.paths.push(...gearPaths(wheel, 'WHEEL', angle, cx, cy));
+  scene.paths.push({ points: outline, layer: 'WORM' });
+  scene.circles.push(...referenceCircles(c, 'external', cx, cy), { cx, cy, r: set.de2/2, layer: 'OUTSIDE' });
+  const x1 = x0 + length;
+  const over = 2*m;
+  scene.lines.push({ a: { x: x0 - over, y: axisY }, b: { x: x1 + over, y: axisY }, layer: 'AXIS' });
+  for(const sgn of [-1, 1]){
+    const at = (r) => axisY + sgn * r;
+    scene.lines.push(
+      { a: { x: x0, y: at(d1/2) }, b: { x: x1, y: at(d1/2) }, layer: 'PITCH' },
+      { a: { x: x0, y: at(set.df1/2) }, b: { x: x1, y: at(set.df1/2) }, layer: 'ROOT' },
+      { a: { x: x0, y: at(set.da1/2) }, b: { x: x1, y: at(set.da1/2) }, layer: 'TIP' },
+    );
+  }
+  return { wheel, worm, axisY, angle, scene };
+}
+
+export function wormLines(set, unit){
+  const u = unit === 'in' ? 'in' : 'mm';
+  const L = (v) => `${fmt(v, u)} ${u}`;
+  const deg = (a) => `${fmt(a * 180/Math.PI, 'deg')}°`;
+  const pct = (v) => `${fmt(100 * v, 'deg')}%`;
+  const lines = [];
+  lines.push(`Worm z1 = ${set.z1} start${set.z1 === 1 ? '' : 's'} • wheel z2 = ${set.z2} • ratio i = z2/z1 = ${fmt(set.ratio)} : 1`);
+  lines.push(`Axial module mx: ${L(set.m)} • diameter factor q = d1/mx: ${fmt(set.q)}`);
+  lines.push(`Worm pitch dia d1: ${L(set.d1)} • tip da1: ${L(set.da1)} • root df1: ${L(set.df1)}`);
+  lines.push(`Axial pitch px: ${L(set.px)} • lead pz = z1·px: ${L(set.pz)}`);
+  lines.push(`Lead angle γ: ${deg(set.gamma)} (tan γ = z1/q); wheel helix β2 = γ, same hand as the worm`);
+  lines.push(`Normal module mn: ${L(set.mn)} • normal pressure angle αn: ${deg(set.alphaN)}`);
+  lines.push(`Wheel pitch dia d2: ${L(set.d2)} • throat da2: ${L(set.da2)} • root df2: ${L(set.df2)}`);
+  lines.push(`Wheel outside dia de2 ≈ da2 + 6·mx/(z1 + 2): ${L(set.de2)} • throat radius ${L(set.throatRadius)}`);
+  lines.push(`Centre distance a = (d1 + d2)/2${set.x2 ? ' + x2·mx' : ''}: ${L(set.a)}`);
+  lines.push(`Worm length b1: ${L(set.length)} • wheel face b2 ≈ 2·mx·(0.5 + √(q + 1)): ${L(set.faceWidth)}`);
+  lines.push('');
+  lines.push(set.selfLocking
+    ? `Self-locking: yes — γ ${deg(set.gamma)} ≤ friction angle ρ′ ${deg(set.rho)} (μ = ${fmt(set.friction)}): the wheel can't turn the worm (static; vibration can still let it creep)`
+    : `Self-locking: no — γ ${deg(set.gamma)} > friction angle ρ′ ${deg(set.rho)} (μ = ${fmt(set.friction)}): the wheel back-drives the worm at η ≈ ${pct(set.effWheel)}`);
+  lines.push(`Efficiency, worm driving: η ≈ tan γ / tan(γ + ρ′) = ${pct(set.effWorm)}`);
+  lines.push('');
+  for(const chk of set.checks) lines.push(`${chk.ok ? '✓' : '⚠'} ${chk.name}: ${chk.detail}`);
+  return lines;
+}
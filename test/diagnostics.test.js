@@ -0,0 +1,20 @@
+// Out-of-range inputs reach diagnose as typed and come back as errors on their own field.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { designFromSpec } from '../src/scene.js';
+
+const errorsOn = (spec, field) => designFromSpec(spec).diagnostics.filter(d => d.level === 'error' && d.field === field);
+
+test('a negative helix angle is an error, not a spur gear', () => {
+  const design = designFromSpec({ teeth: 24, module: 2, helixAngle: -10 });
+  assert.equal(design.scene, null, 'no drawing');
+  const [err] = errorsOn({ teeth: 24, module: 2, helixAngle: -10 }, 'helixAngle');
+  assert.ok(err, 'error on helixAngle');
+  assert.match(err.message, /got -10°/);
+});
+
+test('helix angles from 0° to 45° pass, past 45° do not', () => {
+  for(const helixAngle of [0, 15, 45]) assert.equal(errorsOn({ teeth: 24, module: 2, helixAngle }, 'helixAngle').length, 0, `${helixAngle}°`);
+  assert.equal(errorsOn({ teeth: 24, module: 2, helixAngle: 50 }, 'helixAngle').length, 1);
+});
@@ -0,0 +1,100 @@
+// DXF round trip: write each part as R12 and R2000, read it back with parseDxf and check the header units,
+// the layers, one closed outline per loop and the bulge arcs on the tip and root lands.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { designFromSpec } from '../src/scene.js';
+import { dxfFromScene, parseDxf } from '../src/dxf.js';
+
+const PRECISION = 4;
+const TOL = 10 ** -PRECISION;
+
+function roundTrip(spec, opts = {}){
+  const design = designFromSpec(spec);
+  assert.ok(design.scene, `no drawing for ${JSON.stringify(spec)}`);
+  return { ...design, dxf: parseDxf(dxfFromScene(design.scene, { precision: PRECISION, ...opts })) };
+}
+
+function bulgeArcs(poly){
+  // Each bulged segment with the radius of its ends about the origin and the bulge an arc about the origin
+  // through them would have, tan(θ/4).
+  const out = [];
+  const n = poly.vertices.length;
+  poly.vertices.forEach((v, i) => {
+    if(!v.bulge) return;
+    const w = poly.vertices[(i+1) % n];
+    const theta = Math.atan2(v.x * w.y - v.y * w.x, v.x * w.x + v.y * w.y);
+    out.push({ from: v, to: w, r: Math.hypot(v.x, v.y), bulge: v.bulge, want: Math.tan(theta/4) });
+  });
+  return out;
+}
+
+function assertLands(poly, tip, root, count){
+  // Every arc runs on the tip or root circle, ends on it within the precision and bulges as that circle does.
+  const arcs = bulgeArcs(poly);
+  const near = (r) => Math.abs(r - tip) < Math.abs(r - root) ? tip : root;
+  for(const a of arcs){
+    const r = near(a.r);
+    for(const v of [a.from, a.to]) assert.ok(Math.abs(Math.hypot(v.x, v.y) - r) < TOL, `arc end (${v.x}, ${v.y}) off radius ${r}`);
+    assert.ok(Math.abs(a.bulge - a.want) < TOL, `bulge ${a.bulge} vs ${a.want} on radius ${r}`);
+  }
+  assert.equal(arcs.filter(a => near(a.r) === tip).length, count, 'a tip land arc per tooth');
+  assert.equal(arcs.filter(a => near(a.r) === root).length, count, 'a root land arc per space');
+}
+
+const outlines = (dxf) => dxf.entities.filter(e => (e.type === 'LWPOLYLINE' || e.type === 'POLYLINE') && e.layer === 'GEAR');
+
+for(const version of ['R12', 'R2000']){
+  const entity = version === 'R2000' ? 'LWPOLYLINE' : 'POLYLINE';
+
+  test(`${version}: external gear`, () => {
+    const { c, dxf } = roundTrip({ teeth: 24, module: 2 }, { version });
+    assert.equal(dxf.header.$ACADVER, version === 'R2000' ? 'AC1015' : 'AC1009');
+    assert.equal(dxf.header.$INSUNITS, '4');
+    for(const layer of ['GEAR', 'PITCH', 'BASE', 'ROOT', 'TIP']) assert.ok(dxf.layers.includes(layer), `layer ${layer}`);
+    const gear = outlines(dxf);
+    assert.equal(gear.length, 1, 'one outline');
+    assert.equal(gear[0].type, entity);
+    assert.ok(gear[0].closed, 'closed flag');
+    assertLands(gear[0], c.Do_ext/2, c.Dr_ext/2, 24);
+    const circles = Object.fromEntries(dxf.entities.filter(e => e.type === 'CIRCLE').map(e => [e.layer, e.r]));
+    assert.ok(Math.abs(circles.PITCH - c.D/2) < TOL);
+    assert.ok(Math.abs(circles.BASE - c.Db/2) < TOL);
+  });
+
+  test(`${version}: internal gear`, () => {
+    const { c, dxf } = roundTrip({ type: 'internal', teeth: 60, module: 2, rimDiameter: 140 }, { version });
+    assert.equal(dxf.header.$INSUNITS, '4');
+    for(const layer of ['GEAR', 'PITCH', 'BASE', 'ROOT', 'TIP']) assert.ok(dxf.layers.includes(layer), `layer ${layer}`);
+    const ring = outlines(dxf);
+    assert.equal(ring.length, 1, 'one toothed loop');
+    assert.ok(ring[0].closed, 'closed flag');
+    const rim = dxf.entities.find(e => e.type === 'CIRCLE' && e.layer === 'GEAR');
+    assert.ok(rim && Math.abs(rim.r - 70) < TOL, 'rim written as a circle');
+    assertLands(ring[0], c.Dt_int/2, c.Dro_int/2, 60);
+  });
+
+  test(`${version}: rack`, () => {
+    const { c, dxf } = roundTrip({ type: 'rack', teeth: 24, module: 2, rackLength: 60 }, { version });
+    for(const layer of ['GEAR', 'PITCH', 'ROOT', 'TIP']) assert.ok(dxf.layers.includes(layer), `layer ${layer}`);
+    const rack = outlines(dxf);
+    assert.equal(rack.length, 1, 'one outline');
+    assert.ok(rack[0].closed, 'closed flag');
+    assert.ok(rack[0].vertices.every(v => !v.bulge), 'straight lands');
+    const at = Object.fromEntries(dxf.entities.filter(e => e.type === 'LINE').map(e => [e.layer, e.a.y]));
+    assert.ok(Math.abs(at.PITCH) < TOL && Math.abs(at.TIP - c.a) < TOL && Math.abs(at.ROOT + c.b) < TOL);
+    const top = Math.max(...rack[0].vertices.map(v => v.y));
+    assert.ok(Math.abs(top - c.a) < TOL, 'tips on the tip line');
+  });
+
+  test(`${version}: units in the header and the geometry scaled to them`, () => {
+    const mm = roundTrip({ teeth: 20, module: 2 }, { version, units: 'in' });
+    assert.equal(mm.dxf.header.$INSUNITS, '1');
+    assert.equal(mm.dxf.header.$MEASUREMENT, '0');
+    const pitch = mm.dxf.entities.find(e => e.type === 'CIRCLE' && e.layer === 'PITCH');
+    assert.ok(Math.abs(pitch.r - 20/25.4) < TOL);
+    const inch = roundTrip({ units: 'in', teeth: 20, basis: 'pitch', diametralPitch: 10 }, { version });
+    assert.equal(inch.dxf.header.$INSUNITS, '1');
+    assert.ok(Math.abs(inch.dxf.entities.find(e => e.type === 'CIRCLE' && e.layer === 'PITCH').r - 1) < TOL);
+  });
+}
@@ -0,0 +1,42 @@
+// Lightening-hole clearance: the check measures how far each hole really reaches, kidney end caps
+// included, against the root circle less the web.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { designFromSpec } from '../src/scene.js';
+import { buildHubPaths, holeClearance } from '../src/hub.js';
+
+const clearance = (hub) => hub.checks.find(c => c.name === 'Lightening holes clear of root circle');
+
+function reach(hub){
+  // Farthest point of the built hole outlines (the bore is the first loop).
+  const loops = buildHubPaths(hub, { cx: 0, cy: 0 }).polylines.slice(hub.bore > 0 ? 1 : 0);
+  return Math.max(...loops.flat().map(p => Math.hypot(p.x, p.y)));
+}
+
+for(const holeShape of ['circle', 'kidney']){
+  test(`${holeShape} holes sized by computeHub pass, and stay inside root − web`, () => {
+    const { c, hub } = designFromSpec({ teeth: 60, module: 2, boreType: 'round', bore: 10, holeCount: 4, holeShape });
+    assert.ok(hub.holes, 'holes placed');
+    assert.ok(clearance(hub).ok, clearance(hub).detail);
+    assert.ok(reach(hub) <= c.Dr_ext/2 - hub.web + 1e-6, `reaches r ${reach(hub)}`);
+  });
+}
+
+test('a kidney slot whose round ends run past root − web fails the check', () => {
+  const { c, hub } = designFromSpec({ teeth: 60, module: 2, boreType: 'round', bore: 10, holeCount: 4, holeShape: 'kidney' });
+  const rr = c.Dr_ext/2;
+  // Same outer arc, but end caps wider than the band: they bulge out past rw.
+  const wide = { ...hub.holes, dh: hub.holes.dh + 2 };
+  const result = holeClearance(wide, rr, hub.web);
+  assert.equal(result.ok, false, result.detail);
+  assert.match(result.detail, new RegExp(`${(wide.rc + wide.dh/2).toFixed(4)}`));
+});
+
+test('a circular hole past root − web fails the check', () => {
+  const { c, hub } = designFromSpec({ teeth: 60, module: 2, boreType: 'round', bore: 10, holeCount: 4 });
+  const rr = c.Dr_ext/2;
+  // Pitch circle moved out until the hole's edge sits half a millimetre past the limit.
+  const result = holeClearance({ ...hub.holes, rc: rr - hub.web - hub.holes.dh/2 + 0.5 }, rr, hub.web);
+  assert.equal(result.ok, false, result.detail);
+});
@@ -0,0 +1,25 @@
+// Span measurement against worked values: W = mn·cos αn·((k − 0.5)·π + z·inv αt) + 2·x·mn·sin αn and
+// the anvil contact diameter dM = √(db² + (W/cos βb)²) (DIN 3960), for a spur and a helical gear.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { specToInputs } from '../src/spec.js';
+import { computeGear } from '../src/gear.js';
+
+const near = (got, want, tol, what) => assert.ok(Math.abs(got - want) < tol, `${what} ${got} vs ${want}`);
+
+test('spur z 30, m 2, α 20°: span over 4 teeth and its contact diameter', () => {
+  const c = computeGear(specToInputs({ teeth: 30, module: 2 }));
+  assert.equal(c.spanTeeth, 4);
+  near(c.span, 21.5053, 1e-4, 'W');
+  near(c.spanContactDiameter, 60.3436, 1e-4, 'dM');
+});
+
+test('helical z 30, mn 2, αn 20°, β 15°: the contacts sit W/cos βb apart in the transverse section', () => {
+  // αt = 20.6469°, db = 58.1269, βb = 14.0761°.
+  const c = computeGear(specToInputs({ teeth: 30, module: 2, helixAngle: 15 }));
+  near(c.Db, 58.1269, 1e-4, 'db');
+  assert.equal(c.spanTeeth, 4);
+  near(c.span, 21.5926, 1e-4, 'W');
+  near(c.spanContactDiameter, 62.2438, 1e-4, 'dM');
+});
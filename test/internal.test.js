@@ -0,0 +1,65 @@
+// Ring gear space width at the pitch circle against the analytic e = p − s, with s = p/2 + 2·x·m·tanφ
+// − backlash: backlash widens the space the builder cuts, a positive shift thickens the ring tooth and
+// narrows it.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { specToInputs } from '../src/spec.js';
+import { computeGear, buildInternalGearPath } from '../src/gear.js';
+
+function pitchCrossings(loop, r){
+  // Angles where the loop crosses the circle of radius r about the origin, interpolated along each edge.
+  const out = [];
+  for(let i=0;i<loop.length;i++){
+    const p = loop[i], q = loop[(i+1) % loop.length];
+    const dp = Math.hypot(p.x, p.y) - r, dq = Math.hypot(q.x, q.y) - r;
+    if((dp < 0) === (dq < 0)) continue;
+    const t = dp / (dp - dq);
+    out.push(Math.atan2(p.y + (q.y - p.y)*t, p.x + (q.x - p.x)*t));
+  }
+  return out;
+}
+
+function spaceWidth(spec){
+  // The builder centres one space on angle 0: its flanks are the nearest crossings either side.
+  const inp = specToInputs({ type: 'internal', ...spec });
+  const c = computeGear(inp);
+  const ring = buildInternalGearPath(c, inp, { cx: 0, cy: 0 }).holes[0];
+  const angles = pitchCrossings(ring, c.D/2);
+  const above = Math.min(...angles.filter(a => a > 0));
+  const below = Math.max(...angles.filter(a => a < 0));
+  return { measured: (above - below) * c.D/2, c };
+}
+
+const cases = [
+  { teeth: 60, module: 2 },
+  { teeth: 60, module: 2, backlash: 0.2 },
+  { teeth: 48, module: 1.5, profileShift: 0.3 },
+  { teeth: 72, module: 1, profileShift: -0.2, backlash: 0.1 },
+  { teeth: 40, module: 3, pressureAngle: 25, profileShift: 0.2, backlash: 0.15 },
+  { teeth: 90, module: 2, pressureAngle: 14.5 },
+];
+
+for(const spec of cases){
+  test(`internal ${JSON.stringify(spec)}: space width at pitch is p − s`, () => {
+    const { measured, c } = spaceWidth(spec);
+    const phi = (spec.pressureAngle ?? 20) * Math.PI/180;
+    const x = spec.profileShift ?? 0;
+    const p = Math.PI * spec.module;
+    const s = p/2 + 2*x*spec.module*Math.tan(phi) - (spec.backlash ?? 0);
+    assert.ok(Math.abs(c.e - (p - s)) < 1e-9, `computeGear e ${c.e} vs ${p - s}`);
+    assert.ok(Math.abs(measured - (p - s)) < 1e-3, `measured ${measured} vs analytic ${p - s}`);
+  });
+}
+
+test('internal: backlash widens the space by exactly the backlash', () => {
+  const a = spaceWidth({ teeth: 60, module: 2 }).measured;
+  const b = spaceWidth({ teeth: 60, module: 2, backlash: 0.2 }).measured;
+  assert.ok(Math.abs(b - a - 0.2) < 1e-4, `widened by ${b - a}`);
+});
+
+test('internal: a positive shift narrows the space', () => {
+  const a = spaceWidth({ teeth: 60, module: 2 }).measured;
+  const b = spaceWidth({ teeth: 60, module: 2, profileShift: 0.3 }).measured;
+  assert.ok(b < a, `shifted space ${b} vs ${a}`);
+});
@@ -0,0 +1,107 @@
+// Outline topology across tooth counts, pressure angles and profile shifts: every builder gives one closed
+// loop with no repeated consecutive vertices, oriented as CAD expects, that never crosses itself.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { specToInputs } from '../src/spec.js';
+import { computeGear, buildExternalGearPath, buildInternalGearPath, buildRackPath } from '../src/gear.js';
+
+function shoelace(loop){
+  let a = 0;
+  for(let i=0;i<loop.length;i++){
+    const p = loop[i], q = loop[(i+1) % loop.length];
+    a += p.x * q.y - q.x * p.y;
+  }
+  return a / 2;
+}
+
+function crossings(loop){
+  // Pairs of non-adjacent edges that cross, found through a uniform grid so dense outlines stay quick.
+  const n = loop.length;
+  const edges = loop.map((p, i) => [p, loop[(i+1) % n]]);
+  const len = edges.reduce((s, [a, b]) => s + Math.hypot(b.x - a.x, b.y - a.y), 0) / n;
+  const size = Math.max(len * 4, 1e-9);
+  const grid = new Map();
+  edges.forEach(([a, b], i) => {
+    const x0 = Math.floor(Math.min(a.x, b.x) / size), x1 = Math.floor(Math.max(a.x, b.x) / size);
+    const y0 = Math.floor(Math.min(a.y, b.y) / size), y1 = Math.floor(Math.max(a.y, b.y) / size);
+    for(let gx=x0;gx<=x1;gx++) for(let gy=y0;gy<=y1;gy++){
+      const key = `${gx},${gy}`;
+      if(!grid.has(key)) grid.set(key, []);
+      grid.get(key).push(i);
+    }
+  });
+  const orient = (p, q, r) => (q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x);
+  const found = [];
+  const seen = new Set();
+  for(const cell of grid.values()){
+    for(let u=0;u<cell.length;u++) for(let v=u+1;v<cell.length;v++){
+      const i = Math.min(cell[u], cell[v]), j = Math.max(cell[u], cell[v]);
+      if(j - i <= 1 || (i === 0 && j === n - 1) || seen.has(i * n + j)) continue;
+      seen.add(i * n + j);
+      const [a, b] = edges[i], [c, d] = edges[j];
+      const eps = 1e-12 * (1 + Math.abs(a.x) + Math.abs(a.y));
+      const o1 = orient(a, b, c), o2 = orient(a, b, d), o3 = orient(c, d, a), o4 = orient(c, d, b);
+      if(((o1 > eps && o2 < -eps) || (o1 < -eps && o2 > eps)) && ((o3 > eps && o4 < -eps) || (o3 < -eps && o4 > eps))) found.push([i, j]);
+    }
+  }
+  return found;
+}
+
+function assertLoop(loop, outer, label){
+  assert.ok(loop.length >= 3, `${label}: ${loop.length} vertices`);
+  for(let i=0;i<loop.length;i++){
+    const p = loop[i], q = loop[(i+1) % loop.length];
+    assert.ok(Math.hypot(q.x - p.x, q.y - p.y) > 1e-9, `${label}: vertex ${i} repeated`);
+  }
+  // Screen coordinates (y down): an outer boundary has a negative shoelace area, a hole a positive one.
+  const area = shoelace(loop);
+  assert.ok(outer ? area < 0 : area > 0, `${label}: shoelace area ${area} has the wrong sign`);
+  const bad = crossings(loop);
+  assert.equal(bad.length, 0, `${label}: edges ${bad.slice(0, 3).map(p => p.join('×')).join(', ')} cross`);
+}
+
+const SHIFTS = [-0.3, -0.1, 0, 0.2, 0.5];
+const ANGLES = [14.5, 20, 25];
+const COUNTS = [];
+for(let N=6;N<=80;N++) COUNTS.push(N);
+
+for(const pressureAngle of ANGLES){
+  test(`external gears, φ = ${pressureAngle}°, N = 6…80, x = −0.3…0.5`, () => {
+    for(const teeth of COUNTS){
+      for(const profileShift of SHIFTS){
+        const inp = specToInputs({ teeth, module: 2, pressureAngle, profileShift, samples: 24 });
+        const gear = buildExternalGearPath(computeGear(inp), inp, { cx: 0, cy: 0 });
+        assert.equal(gear.polylines.length, 1, `N ${teeth} x ${profileShift}: one loop`);
+        assert.equal(gear.holes.length, 0);
+        assertLoop(gear.outline, true, `N ${teeth} φ ${pressureAngle} x ${profileShift}`);
+      }
+    }
+  });
+}
+
+test('internal gears: one toothed hole inside the rim', () => {
+  for(const pressureAngle of ANGLES){
+    for(const teeth of [30, 45, 60, 80]){
+      for(const profileShift of [-0.2, 0, 0.3]){
+        const inp = specToInputs({ type: 'internal', teeth, module: 2, pressureAngle, profileShift, samples: 24 });
+        const ring = buildInternalGearPath(computeGear(inp), inp, { cx: 0, cy: 0 });
+        const label = `ring N ${teeth} φ ${pressureAngle} x ${profileShift}`;
+        assert.equal(ring.holes.length, 1, `${label}: one toothed loop`);
+        assertLoop(ring.outline, true, `${label} rim`);
+        assertLoop(ring.holes[0], false, label);
+      }
+    }
+  }
+});
+
+test('racks: one closed outline', () => {
+  for(const pressureAngle of ANGLES){
+    for(const profileShift of SHIFTS){
+      const inp = specToInputs({ type: 'rack', teeth: 24, module: 2, pressureAngle, profileShift, rackLength: 75, samples: 24 });
+      const c = computeGear(inp);
+      const rack = buildRackPath(c, inp, { x: -c.rackLength/2, y: 0 });
+      assertLoop(rack.points, true, `rack φ ${pressureAngle} x ${profileShift}`);
+    }
+  }
+});
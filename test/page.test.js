@@ -0,0 +1,16 @@
+// index.html serves every module under one cache-busting version, so a browser never runs a fresh
+// app.js against a cached gear.js (or the other way round).
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+
+const html = readFileSync(new URL('../index.html', import.meta.url), 'utf8');
+const modules = readdirSync(new URL('../src/', import.meta.url)).filter(f => f.endsWith('.js'));
+
+test('every module the page loads carries the same ?v=', () => {
+  const { imports } = JSON.parse(html.match(/<script type="importmap">([\s\S]*?)<\/script>/)[1]);
+  const version = html.match(/src="\.\/src\/app\.js\?v=([^"]+)"/)[1];
+  assert.ok(html.includes(`href="./src/styles.css?v=${version}"`), 'styles.css');
+  for(const m of modules) assert.equal(imports[`./src/${m}`], `./src/${m}?v=${version}`, m);
+});
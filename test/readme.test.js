@@ -0,0 +1,48 @@
+// The README's command-line examples run as printed: each exits 0 and writes the files it names.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { readFileSync, writeFileSync, existsSync, mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, extname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+const bin = join(root, 'bin', 'gear-lab.js');
+
+function examples(){
+  // Lines of the README's code blocks that run the CLI, without trailing comments.
+  const readme = readFileSync(join(root, 'README.md'), 'utf8');
+  return readme.split('\n').filter(l => l.startsWith('node bin/gear-lab.js ')).map(l => l.replace(/\s+#.*$/, ''));
+}
+
+function args(line){
+  // Shell words: split on spaces, double quotes keep theirs.
+  return [...line.matchAll(/"([^"]*)"|(\S+)/g)].map(m => m[1] ?? m[2]).slice(2);
+}
+
+test('README has command-line examples', () => {
+  assert.ok(examples().length >= 10);
+});
+
+for(const line of examples()){
+  test(line, () => {
+    const dir = mkdtempSync(join(tmpdir(), 'gear-lab-'));
+    try {
+      // The batch example reads a spec file; give it one in the documented format.
+      writeFileSync(join(dir, 'gears.csv'), 'name,N,m,phi\nsmall,12,1,20\nlarge,48,1,20\n');
+      const run = spawnSync(process.execPath, [bin, ...args(line)], { cwd: dir, encoding: 'utf8', timeout: 60000 });
+      assert.equal(run.status, 0, `exit ${run.status}: ${run.stderr}`);
+      const a = args(line);
+      for(let i=0;i<a.length;i++){
+        if(a[i] !== '--out' && a[i] !== '-o') continue;
+        const file = a[i+1];
+        const files = extname(file) ? [file] : ['svg', 'dxf', 'json'].map(k => `${file}.${k}`);
+        for(const f of files) assert.ok(existsSync(join(dir, f)), `${f} not written`);
+      }
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+}
@@ -0,0 +1,65 @@
+// Extruded solids: watertight shells, a helix on the teeth only, and hub holes straight through.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { designFromSpec } from '../src/scene.js';
+import { extrudeOutline } from '../src/solid.js';
+
+function helicalPart(spec){
+  // As the page's buildSolid does it: the part at the origin, y flipped to CAD's y-up.
+  const { c, scene } = designFromSpec(spec);
+  const [outer, ...holes] = scene.paths.filter(p => p.layer === 'GEAR').map(p => p.points);
+  const flip = (ring) => ring.map(p => ({ x: p.x, y: -p.y }));
+  const mesh = extrudeOutline(flip(outer), holes.map(flip), { height: c.faceWidth, twist: c.helixTwist, shift: c.helixShift });
+  return { c, mesh, holes: holes.map(flip) };
+}
+
+function assertClosed(mesh){
+  // Every directed edge is matched by exactly one edge running the other way.
+  const edges = new Map();
+  for(const f of mesh.faces){
+    for(let i=0;i<3;i++){
+      const key = `${f[i]},${f[(i+1) % 3]}`;
+      edges.set(key, (edges.get(key) || 0) + 1);
+    }
+  }
+  for(const [key, count] of edges){
+    const [a, b] = key.split(',');
+    assert.equal(count, 1, `edge ${key} used ${count} times`);
+    assert.equal(edges.get(`${b},${a}`), 1, `edge ${key} has no partner`);
+  }
+}
+
+const spec = {
+  teeth: 30, module: 2, helixAngle: 20, faceWidth: 15,
+  boreType: 'keyway', bore: 12, holeCount: 5, holeShape: 'kidney',
+};
+
+test('helical gear with a keyway bore and lightening holes is watertight', () => {
+  const { c, mesh } = helicalPart(spec);
+  assert.ok(Math.abs(c.helixTwist) > 0.05, 'the spec should give a visible twist');
+  assertClosed(mesh);
+});
+
+test('hub holes keep their x and y on the bottom and top caps', () => {
+  const { c, mesh, holes } = helicalPart(spec);
+  assert.ok(holes.length >= 2, 'bore and lightening holes expected');
+  const at = (z, p) => mesh.vertices.some(v => Math.abs(v[2] - z) < 1e-9 && Math.abs(v[0] - p.x) < 1e-9 && Math.abs(v[1] - p.y) < 1e-9);
+  for(const hole of holes){
+    for(const p of [hole[0], hole[Math.floor(hole.length / 2)]]){
+      assert.ok(at(0, p), `hole vertex (${p.x}, ${p.y}) missing on the bottom cap`);
+      assert.ok(at(c.faceWidth, p), `hole vertex (${p.x}, ${p.y}) moved on the top cap`);
+    }
+  }
+});
+
+test('the toothed boundary is turned by the helix twist on the top cap', () => {
+  const outer = [{ x: 10, y: 0 }, { x: 0, y: 10 }, { x: -10, y: 0 }, { x: 0, y: -10 }];
+  const hole = [{ x: 2, y: 2 }, { x: 2, y: -2 }, { x: -2, y: -2 }, { x: -2, y: 2 }];
+  const mesh = extrudeOutline(outer, [hole], { height: 5, twist: 0.3, shift: 0.5 });
+  assertClosed(mesh);
+  const top = mesh.vertices.filter(v => Math.abs(v[2] - 5) < 1e-9);
+  const want = { x: 10 * Math.cos(0.3) + 0.5, y: 10 * Math.sin(0.3) };
+  assert.ok(top.some(v => Math.abs(v[0] - want.x) < 1e-9 && Math.abs(v[1] - want.y) < 1e-9), 'outer corner not twisted');
+  for(const p of hole) assert.ok(top.some(v => v[0] === p.x && v[1] === p.y), `hole corner (${p.x}, ${p.y}) moved`);
+});
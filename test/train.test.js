@@ -0,0 +1,26 @@
+// Ratio solver work limits: a wide search stops and says so, a narrow one runs to the end.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { solveTrain, MAX_SOLVER_CANDIDATES } from '../src/train.js';
+
+const spec = { teeth: 24, module: 2 };
+
+test('a wide 3-stage search is cut short and reported', () => {
+  const t = Date.now();
+  const solved = solveTrain(spec, { target: 47.3, tolerance: 5, stages: 3, minTeeth: 10, maxTeeth: 300, minCenter: 0, maxCenter: 0 });
+  assert.ok(Date.now() - t < 5000, `took ${Date.now() - t} ms`);
+  assert.ok(solved.truncated, 'truncated');
+  assert.ok(solved.searched <= MAX_SOLVER_CANDIDATES);
+  assert.equal(solved.results.length, 10);
+  assert.ok(solved.diagnostics.some(d => d.field === 'trainMaxTeeth' && /truncated/.test(d.message)));
+});
+
+test('a narrow search runs to the end and ranks exact trains by size', () => {
+  const solved = solveTrain(spec, { target: 0.3, tolerance: 3, stages: 2, minTeeth: 18, maxTeeth: 80, minCenter: 0, maxCenter: 0 });
+  assert.equal(solved.truncated, null);
+  assert.ok(!solved.diagnostics.some(d => /truncated/.test(d.message)));
+  const exact = solved.results.filter(r => Math.abs(r.error) < 1e-12);
+  assert.ok(exact.length >= 2);
+  for(let i=1;i<exact.length;i++) assert.ok(exact[i].size >= exact[i-1].size, `${exact[i].text} after ${exact[i-1].text}`);
+});